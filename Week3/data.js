@@ -1,9 +1,11 @@
 // data.js
 // Responsible for loading and parsing the MovieLens 100K u.item and u.data files.
+// Sources, in order: parsed data cached in IndexedDB (../shared/idb-store.js), the copies next to index.htm,
+// then files the user picks or drops on the page.
 
 // Globals (intentionally var to expose to window)
-var items = {};           // map movieId -> { id, title, year?, genres? }
-var ratings = [];         // array of { userId, itemId, rating }
+var items = {};           // map movieId -> { id, title, year, releaseDate, imdbUrl, genres }
+var ratings = [];         // array of { userId, itemId, rating, ts }
 var numUsers = 0;
 var numMovies = 0;
 
@@ -12,92 +14,171 @@ var userIdArray = [];
 var itemIdArray = [];
 var ratingValueArray = [];
 
+// IndexedDB cache of the parsed dataset
+const DATA_CACHE_DB = 'week3-data';
+const DATA_CACHE_KEY = 'ml-100k';
+const DATA_CACHE_FORMAT = 'week3-data/1';
+
+// The GroupLens files are Latin-1 encoded (accented titles in u.item)
+const DATA_ENCODING = 'iso-8859-1';
+
 /**
  * loadData()
- * Fetches u.item and u.data and parses them.
- * Returns a Promise that resolves when both files are parsed.
+ * Loads the dataset from the IndexedDB cache or, failing that, from the local u.item and u.data files.
+ * Resolves true once data is loaded, or false when the files are not reachable
+ * (e.g. index.htm opened from disk) and must be picked by the user (see loadDataFromFiles).
  */
 async function loadData() {
-  // MovieLens 100K raw file URLs
-  const ITEM_URL = 'https://files.grouplens.org/datasets/movielens/ml-100k/u.item';
-  const DATA_URL = 'https://files.grouplens.org/datasets/movielens/ml-100k/u.data';
-
-  // Update simple status via DOM if available
-  updateStatus && updateStatus('Fetching MovieLens files...');
+  updateStatus && updateStatus('Checking for cached dataset...');
+  if (await loadCachedData()) return true;
 
-  // Fetch both files in parallel
-  const [itemResp, dataResp] = await Promise.all([
-    fetch(ITEM_URL),
-    fetch(DATA_URL)
+  updateStatus && updateStatus('Loading local MovieLens files...');
+  const [itemText, dataText] = await Promise.all([
+    fetchLocalText('u.item'),
+    fetchLocalText('u.data')
   ]);
+  if (itemText == null || dataText == null) return false;
+
+  useDataTexts(itemText, dataText, 'local files');
+  return true;
+}
 
-  if (!itemResp.ok || !dataResp.ok) {
-    throw new Error('Failed to fetch dataset files. Check network or CORS.');
+/**
+ * loadDataFromFiles(fileList)
+ * Loads u.item and u.data from user-selected or dropped files (matched by name, either order).
+ * Throws if either file is missing from the selection.
+ */
+async function loadDataFromFiles(fileList) {
+  const files = Array.from(fileList || []);
+  const itemFile = files.find(f => /\.item$/i.test(f.name));
+  const dataFile = files.find(f => /\.data$/i.test(f.name));
+  if (!itemFile || !dataFile) throw new Error('Select both u.item and u.data.');
+
+  const [itemText, dataText] = await Promise.all([readFileText(itemFile), readFileText(dataFile)]);
+  useDataTexts(itemText, dataText, `${itemFile.name} and ${dataFile.name}`);
+}
+
+// Resolves with the file's text, or null if it cannot be fetched
+async function fetchLocalText(url) {
+  try {
+    const resp = await fetch(url);
+    if (!resp.ok) return null;
+    return new TextDecoder(DATA_ENCODING).decode(await resp.arrayBuffer());
+  } catch (err) {
+    return null;
   }
+}
 
-  const [itemText, dataText] = await Promise.all([
-    itemResp.text(),
-    dataResp.text()
-  ]);
+async function readFileText(file) {
+  return new TextDecoder(DATA_ENCODING).decode(await file.arrayBuffer());
+}
 
-  parseItemData(itemText);
-  parseRatingData(dataText);
+// Parse freshly loaded file contents, then cache the result for the next visit
+function useDataTexts(itemText, dataText, source) {
+  const parseProblems = [
+    formatParseErrors('u.item', parseItemData(itemText)),
+    formatParseErrors('u.data', parseRatingData(dataText))
+  ].filter(Boolean);
+  parseProblems.forEach(msg => console.warn(msg));
+  finishLoading(`from ${source}`, parseProblems);
 
+  saveCachedData().catch(err => console.warn('Could not cache parsed dataset:', err));
+}
+
+/**
+ * finishLoading(source, notes)
+ * Builds the training arrays and counts from items/ratings and reports what was loaded.
+ */
+function finishLoading(source, notes = []) {
   // Build arrays for training (1-based ids preserved)
   userIdArray = ratings.map(r => r.userId);
   itemIdArray = ratings.map(r => r.itemId);
   ratingValueArray = ratings.map(r => r.rating);
 
-  // Update derived counts
-  numUsers = Math.max(...userIdArray);
-  numMovies = Math.max(...itemIdArray);
+  // Update derived counts (a loop rather than Math.max(...arr), which overflows the stack on large arrays)
+  numUsers = 0;
+  numMovies = 0;
+  for (let i = 0; i < ratings.length; i++) {
+    if (userIdArray[i] > numUsers) numUsers = userIdArray[i];
+    if (itemIdArray[i] > numMovies) numMovies = itemIdArray[i];
+  }
+
+  updateStatus && updateStatus(`Loaded ${Object.keys(items).length} movies and ${ratings.length} ratings ${source}. Found ${numUsers} users and ${numMovies} movies.` +
+    (notes.length ? ' ' + notes.join(' ') : ''));
+}
 
-  updateStatus && updateStatus(`Loaded ${Object.keys(items).length} movies and ${ratings.length} ratings. Found ${numUsers} users and ${numMovies} movies.`);
+/**
+ * saveCachedData()
+ * Stores the parsed items and ratings in IndexedDB. Ratings are kept as typed columns,
+ * which are much cheaper to store and restore than 100K small objects.
+ */
+async function saveCachedData() {
+  const n = ratings.length;
+  const columns = {
+    userId: new Int32Array(n), itemId: new Int32Array(n), rating: new Float32Array(n), ts: new Float64Array(n)
+  };
+  for (let i = 0; i < n; i++) {
+    const r = ratings[i];
+    columns.userId[i] = r.userId; columns.itemId[i] = r.itemId; columns.rating[i] = r.rating; columns.ts[i] = r.ts;
+  }
+  await idbPut(DATA_CACHE_DB, DATA_CACHE_KEY, {
+    format: DATA_CACHE_FORMAT, savedAt: new Date().toISOString(), items, ratings: columns
+  });
+}
+
+/**
+ * loadCachedData()
+ * Restores items and ratings saved by saveCachedData(). Resolves false if there is no usable cache.
+ */
+async function loadCachedData() {
+  let cached;
+  try {
+    cached = await idbGet(DATA_CACHE_DB, DATA_CACHE_KEY);
+  } catch (err) {
+    console.warn('Dataset cache unavailable:', err);
+    return false;
+  }
+  if (!cached || cached.format !== DATA_CACHE_FORMAT) return false;
+
+  const { userId, itemId, rating, ts } = cached.ratings;
+  items = cached.items;
+  ratings = new Array(userId.length);
+  for (let i = 0; i < userId.length; i++) {
+    ratings[i] = { userId: userId[i], itemId: itemId[i], rating: rating[i], ts: ts[i] };
+  }
+  finishLoading(`from browser cache (saved ${new Date(cached.savedAt).toLocaleString()})`);
+  return true;
+}
+
+/**
+ * clearCachedData()
+ * Drops the cached dataset so the next load reads the files again.
+ */
+function clearCachedData() {
+  return idbDelete(DATA_CACHE_DB, DATA_CACHE_KEY);
 }
 
 /**
  * parseItemData(text)
- * Parses u.item file format.
- * Each line is:
- * movie id | movie title | release date | video release date | IMDb URL | genres (19 fields)
- * We primarily extract movie id and title.
+ * Parses u.item with the shared MovieLens parser (../shared/movielens.js).
+ * Each item keeps id, title, year, release date, IMDb URL and the 19 genre flags.
+ * Returns the parse errors (malformed lines are skipped).
  */
 function parseItemData(text) {
+  const { records, errors } = parseMovieLensItems(text);
   items = {};
-  const lines = text.split(/\r?\n/);
-  for (const l of lines) {
-    if (!l.trim()) continue;
-    // The title may include '|' characters in some odd datasets; u.item uses '|' as delimiter.
-    // Split into at most 5 + genres parts to be safe.
-    const parts = l.split('|');
-    const id = parseInt(parts[0], 10);
-    const title = parts[1] ? parts[1].trim() : `Movie ${id}`;
-    // store minimal info
-    items[id] = {
-      id: id,
-      title: title
-      // release_date, url, genres could be parsed if needed
-    };
-  }
+  for (const item of records) items[item.id] = item;
+  return errors;
 }
 
 /**
  * parseRatingData(text)
- * Parses u.data file format.
- * Each line:
- * user id \t item id \t rating \t timestamp
+ * Parses u.data with the shared MovieLens parser.
+ * Each rating is { userId, itemId, rating, ts }.
+ * Returns the parse errors (malformed lines are skipped).
  */
 function parseRatingData(text) {
-  ratings = [];
-  const lines = text.split(/\r?\n/);
-  for (const l of lines) {
-    if (!l.trim()) continue;
-    const parts = l.split(/\s+/); // whitespace-separated
-    if (parts.length < 3) continue;
-    const userId = parseInt(parts[0], 10);
-    const itemId = parseInt(parts[1], 10);
-    const rating = parseFloat(parts[2]);
-    if (Number.isNaN(userId) || Number.isNaN(itemId) || Number.isNaN(rating)) continue;
-    ratings.push({ userId, itemId, rating });
-  }
+  const { records, errors } = parseMovieLensRatings(text);
+  ratings = records;
+  return errors;
 }
@@ -0,0 +1,329 @@
+// model.js
+// Matrix factorization model definition (TensorFlow.js layers API) and its training run.
+// Shared by the browser demo (script.js), its training worker (train-worker.js) and the Node CLI (week4/cli.js).
+
+/**
+ * rowL2(l2, rowWeights)
+ *
+ * L2 regularizer for an embedding table: l2 * sum of squared weights, or with rowWeights (a [rows, 1] tensor
+ * owned by the caller, e.g. rating counts divided by their mean) l2 * sum over rows of rowWeight * squared row
+ * norm, so frequent users and movies are pulled towards zero harder (frequency-scaled, as in ALS-WR). The weighted form is a
+ * tf.regularizers.l2 instance with its apply() replaced, which the layers API accepts; a saved model records
+ * it as plain L2, which only matters for training.
+ */
+function rowL2(l2, rowWeights = null) {
+  const regularizer = tf.regularizers.l2({ l2 });
+  if (!rowWeights) return regularizer;
+  regularizer.apply = (x) => tf.tidy(() => tf.mul(l2, tf.sum(tf.mul(rowWeights, tf.sum(tf.square(x), 1, true)))));
+  return regularizer;
+}
+
+/**
+ * createModel(numUsers, numMovies, latentDim, regularization)
+ *
+ * Matrix factorization with user and item embeddings and optional biases.
+ *
+ * Inputs:
+ *  - userInput: scalar integer (user id)
+ *  - movieInput: scalar integer (movie id)
+ *
+ * Embeddings:
+ *  - userEmbedding: (numUsers+1, latentDim)
+ *  - movieEmbedding: (numMovies+1, latentDim)
+ *  - userBias: (numUsers+1, 1)
+ *  - movieBias: (numMovies+1, 1)
+ *
+ * Prediction: dot(userVec, movieVec) + userBias + movieBias + globalBias
+ *
+ * regularization (all optional): { l2Embedding, l2Bias, userRowWeights, movieRowWeights, normConstraint, maxNorm }
+ *  - l2Embedding / l2Bias: L2 on the embedding / bias tables (see rowL2; the row weights apply to both)
+ *  - normConstraint: 'max' keeps every embedding row's norm at most maxNorm (default 1), 'unit' at exactly 1
+ */
+function createModel(numUsersArg, numMoviesArg, latentDim=32, regularization = {}) {
+  const numUsersLocal = numUsersArg;
+  const numMoviesLocal = numMoviesArg;
+
+  // Inputs (integer ids)
+  const userInput = tf.input({ shape: [1], dtype: 'int32', name: 'userInput' });
+  const movieInput = tf.input({ shape: [1], dtype: 'int32', name: 'movieInput' });
+
+  // Regularizers and constraints per table (none by default)
+  const { l2Embedding = 0, l2Bias = 0, userRowWeights = null, movieRowWeights = null, normConstraint = 'none' } = regularization;
+  const tableL2 = (l2, rowWeights) => l2 > 0 ? { embeddingsRegularizer: rowL2(l2, rowWeights) } : {};
+  const normArgs = normConstraint === 'max'
+    ? { embeddingsConstraint: tf.constraints.maxNorm({ maxValue: regularization.maxNorm || 1, axis: 1 }) }
+    : normConstraint === 'unit' ? { embeddingsConstraint: tf.constraints.unitNorm({ axis: 1 }) } : {};
+
+  // Embedding layers ( +1 to allow ids == num to be handled properly; MovieLens ids start at 1 )
+  const userEmbeddingLayer = tf.layers.embedding(Object.assign({
+    inputDim: numUsersLocal + 1,
+    outputDim: latentDim,
+    embeddingsInitializer: 'glorotUniform',
+    name: 'userEmbedding'
+  }, tableL2(l2Embedding, userRowWeights), normArgs));
+
+  const movieEmbeddingLayer = tf.layers.embedding(Object.assign({
+    inputDim: numMoviesLocal + 1,
+    outputDim: latentDim,
+    embeddingsInitializer: 'glorotUniform',
+    name: 'movieEmbedding'
+  }, tableL2(l2Embedding, movieRowWeights), normArgs));
+
+  // Bias embeddings
+  const userBiasLayer = tf.layers.embedding(Object.assign({
+    inputDim: numUsersLocal + 1,
+    outputDim: 1,
+    embeddingsInitializer: 'zeros',
+    name: 'userBias'
+  }, tableL2(l2Bias, userRowWeights)));
+
+  const movieBiasLayer = tf.layers.embedding(Object.assign({
+    inputDim: numMoviesLocal + 1,
+    outputDim: 1,
+    embeddingsInitializer: 'zeros',
+    name: 'movieBias'
+  }, tableL2(l2Bias, movieRowWeights)));
+
+  // Apply embeddings
+  // result shapes: [batch, 1, latentDim] for embeddings and [batch,1,1] for biases
+  const userVec = userEmbeddingLayer.apply(userInput); // shape: [batch,1,latentDim]
+  const movieVec = movieEmbeddingLayer.apply(movieInput); // shape: [batch,1,latentDim]
+
+  const userBias = userBiasLayer.apply(userInput); // [batch,1,1]
+  const movieBias = movieBiasLayer.apply(movieInput); // [batch,1,1]
+
+  // Flatten embeddings and biases to shape [batch, latentDim] and [batch,1]
+  const userVecFlat = tf.layers.flatten().apply(userVec);
+  const movieVecFlat = tf.layers.flatten().apply(movieVec);
+  const userBiasFlat = tf.layers.flatten().apply(userBias);
+  const movieBiasFlat = tf.layers.flatten().apply(movieBias);
+
+  // Dot product of user and movie vectors -> [batch, 1] (tf.layers.dot returns shape [batch,1])
+  const dot = tf.layers.dot({ axes: -1 }).apply([userVecFlat, movieVecFlat]);
+
+  // Global bias: provided by the bias of the final Dense layer below (a standalone named tf.variable
+  // would not be saved with the model and would clash when a second model is created, e.g. on Retrain).
+
+  // Sum dot + userBias + movieBias + globalBias
+  // We need to create layers that can add tensors. Use tf.layers.add in combination with constant for globalBias.
+  // Convert globalBias scalar to a layer by creating a small custom layer that adds it (we'll use tf.layers.add with a lambda)
+  // Simpler: use tf.layers.add to combine dot + userBias + movieBias, then create a final Dense layer with bias initialized to globalBias.
+  // We'll add them: sum1 = dot + userBias + movieBias
+  const sum1 = tf.layers.add().apply([dot, userBiasFlat, movieBiasFlat]); // [batch,1]
+
+  // Optionally pass through activation (linear)
+  // To include global bias as trainable bias we can use a Dense layer with units=1 and useBias=true but kernelInitializer zeros and bias initializer from globalBias
+  const out = tf.layers.dense({
+    units: 1,
+    useBias: true,
+    kernelInitializer: 'zeros',
+    biasInitializer: 'zeros',
+    activation: 'linear',
+    name: 'predictionDense'
+  }).apply(sum1);
+
+  // Build model
+  const mfModel = tf.model({
+    inputs: [userInput, movieInput],
+    outputs: out,
+    name: 'matrixFactorizationModel'
+  });
+
+  return mfModel;
+}
+
+/**
+ * trainMatrixFactorization(job, control, emit)
+ *
+ * One training run, executed by train-worker.js (or on the page when workers are unavailable).
+ * job: { numUsers, numMovies, latentDim, epochs, batchSize, lr, keepBest, userIds, itemIds, ratings,
+ *        validationSplit, patience, schedule, regularization }
+ * (ids and ratings are parallel typed arrays).
+ * regularization: null or { l2Embedding, l2Bias, frequencyScaled, normConstraint, maxNorm } (see createModel);
+ * frequencyScaled weights each row's L2 by its number of training ratings relative to the mean.
+ * validationSplit: fraction of the ratings (picked at random) held out to measure a validation MSE after every
+ * epoch; with it, the best epoch is the one with the lowest validation loss, and training stops early once that
+ * has not improved for `patience` epochs (0: never).
+ * schedule: null or a createLrSchedule spec without lr/epochs (../shared/training-schedule.js), e.g. { type: 'cosine' };
+ * reduce-on-plateau watches the validation loss, or the training loss without a validation split.
+ * control (../shared/training-control.js) pauses or stops the run between batches;
+ * progress goes out as emit({ type: 'batch', ... }) and emit({ type: 'epoch', ... }); both carry the training
+ * objective (loss, including any L2 penalty) and the plain training error (mse).
+ *
+ * Resolves with { cancelled, stoppedEarly, epochLosses, valLosses, lrs, best: { epoch, loss, valLoss } | null, artifacts },
+ * where artifacts are the trained model's tf.io ModelArtifacts: the best epoch's weights if keepBest is set or
+ * the run was cancelled or stopped early, otherwise the final weights (null when cancelled before the first epoch
+ * finished).
+ */
+async function trainMatrixFactorization(job, control, emit) {
+  const { epochs, batchSize } = job;
+
+  // random train/validation split of the rating rows
+  const order = Array.from({ length: job.userIds.length }, (_, i) => i);
+  for (let i = order.length - 1; i > 0; i--) {
+    const j = Math.floor(Math.random() * (i + 1));
+    [order[i], order[j]] = [order[j], order[i]];
+  }
+  const numVal = Math.floor(order.length * Math.min(0.5, Math.max(0, job.validationSplit || 0)));
+
+  // frequency-scaled L2: rating count per id over the training rows, relative to the mean over rated ids
+  const regularization = Object.assign({}, job.regularization || {});
+  const rowWeightTensor = (ids, size) => {
+    const counts = new Float32Array(size + 1);
+    for (let k = numVal; k < order.length; k++) counts[ids[order[k]]]++;
+    let sum = 0, rated = 0;
+    for (const c of counts) if (c > 0) { sum += c; rated++; }
+    return tf.tensor2d(counts.map(c => c * rated / Math.max(1, sum)), [size + 1, 1]);
+  };
+  if (regularization.frequencyScaled) {
+    regularization.userRowWeights = rowWeightTensor(job.userIds, job.numUsers);
+    regularization.movieRowWeights = rowWeightTensor(job.itemIds, job.numMovies);
+  }
+  const mfModel = createModel(job.numUsers, job.numMovies, job.latentDim, regularization);
+  const optimizer = tf.train.adam(job.lr);
+  // the loss includes the L2 penalties; the mse metric is the plain error, comparable with the validation loss
+  mfModel.compile({ optimizer, loss: 'meanSquaredError', metrics: ['mse'] });
+  const schedule = job.schedule ? createLrSchedule(Object.assign({}, job.schedule, { lr: job.lr, epochs })) : null;
+  const rowsTensors = (rows) => [
+    tf.tensor2d(Int32Array.from(rows, i => job.userIds[i]), [rows.length, 1], 'int32'),
+    tf.tensor2d(Int32Array.from(rows, i => job.itemIds[i]), [rows.length, 1], 'int32'),
+    tf.tensor2d(Float32Array.from(rows, i => job.ratings[i]), [rows.length, 1], 'float32')
+  ];
+  const trainRows = order.slice(numVal);
+  const n = trainRows.length;
+  const [usersTensor, itemsTensor, ratingsTensor] = rowsTensors(trainRows);
+  const valTensors = numVal ? rowsTensors(order.slice(0, numVal)) : null;
+  const stopping = createEarlyStopping({ mode: 'min', patience: valTensors ? job.patience || 0 : 0 });
+
+  const epochLosses = [], valLosses = [], lrs = [];
+  let best = null, bestWeights = null, cancelled = false, stoppedEarly = false, currentEpoch = 0;
+  try {
+    await mfModel.fit([usersTensor, itemsTensor], ratingsTensor, {
+      batchSize,
+      epochs,
+      shuffle: true,
+      validationData: valTensors ? [[valTensors[0], valTensors[1]], valTensors[2]] : undefined,
+      callbacks: {
+        onEpochBegin: async (epoch) => {
+          currentEpoch = epoch;
+          if (schedule) optimizer.learningRate = schedule.lrForEpoch(epoch);
+        },
+        onBatchEnd: async (batch, logs) => {
+          emit({ type: 'batch', epoch: currentEpoch, epochs, batch, batches: Math.ceil(n / batchSize), loss: logs.loss, mse: logs.mse });
+          if (await control.checkpoint()) {
+            cancelled = true;
+            mfModel.stopTraining = true;
+          }
+        },
+        onEpochEnd: async (epoch, logs) => {
+          if (cancelled) return;  // a partial epoch is not a checkpoint
+          const valLoss = valTensors ? logs.val_loss : null;
+          const lr = schedule ? schedule.lrForEpoch(epoch) : job.lr;
+          epochLosses.push(logs.loss);
+          if (valTensors) valLosses.push(valLoss);
+          lrs.push(lr);
+          const { improved, stop } = stopping.observe(epoch, valTensors ? valLoss : logs.loss);
+          if (schedule) schedule.observe(valTensors ? valLoss : logs.loss);
+          if (improved) {
+            best = { epoch, loss: logs.loss, valLoss };
+            if (bestWeights) tf.dispose(bestWeights);
+            bestWeights = mfModel.getWeights().map(w => w.clone());
+          }
+          emit({ type: 'epoch', epoch, epochs, loss: logs.loss, mse: logs.mse, valLoss, lr, bestEpoch: best ? best.epoch : null });
+          if (stop) {
+            stoppedEarly = true;
+            mfModel.stopTraining = true;
+          }
+        }
+      }
+    });
+
+    const useBest = bestWeights && (job.keepBest || cancelled || stoppedEarly);
+    if (useBest) mfModel.setWeights(bestWeights);
+    let artifacts = null;
+    if (useBest || !cancelled) {
+      await mfModel.save(tf.io.withSaveHandler(async (a) => {
+        artifacts = a;
+        return { modelArtifactsInfo: { dateSaved: new Date(), modelTopologyType: 'JSON' } };
+      }));
+    }
+    return { cancelled, stoppedEarly, epochLosses, valLosses, lrs, best, artifacts };
+  } finally {
+    tf.dispose([usersTensor, itemsTensor, ratingsTensor]);
+    if (valTensors) tf.dispose(valTensors);
+    tf.dispose([regularization.userRowWeights, regularization.movieRowWeights].filter(Boolean));
+    if (bestWeights) tf.dispose(bestWeights);
+    mfModel.dispose();
+    optimizer.dispose();
+  }
+}
+
+/**
+ * predictForNewUser(mfModel, movieIds, userRatings, l2)
+ *
+ * Cold start without retraining: fits a vector and bias for a user who is not in the embedding table
+ * by ridge regression against the frozen movie embeddings and biases, then predicts every movie.
+ * The model computes k * (userVec . movieVec + userBias + movieBias) + b (k, b: the final Dense layer),
+ * so each rating r gives the linear target (r - b) / k - movieBias for [movieVec, 1] . [userVec, userBias].
+ *
+ * Returns a Float32Array of predicted ratings indexed by movie id (index 0 unused).
+ */
+function predictForNewUser(mfModel, movieIds, userRatings, l2 = 0.5) {
+  const movieEmb = mfModel.getLayer('movieEmbedding').getWeights()[0];
+  const [rows, dim] = movieEmb.shape;
+  const emb = movieEmb.dataSync();
+  const movieBias = mfModel.getLayer('movieBias').getWeights()[0].dataSync();
+  const [kernel, outBias] = mfModel.getLayer('predictionDense').getWeights().map(w => w.dataSync()[0]);
+  if (Math.abs(kernel) < 1e-6) throw new Error('The model does not look trained yet.');
+
+  // Normal equations (A^T A + l2 I) x = A^T t with rows A_j = [movieVec_j, 1]
+  const n = dim + 1;
+  const ata = Array.from({ length: n }, () => new Float64Array(n));
+  const att = new Float64Array(n);
+  movieIds.forEach((id, j) => {
+    const row = Array.from(emb.subarray(id * dim, (id + 1) * dim));
+    row.push(1);
+    const target = (userRatings[j] - outBias) / kernel - movieBias[id];
+    for (let a = 0; a < n; a++) {
+      att[a] += row[a] * target;
+      for (let b = 0; b < n; b++) ata[a][b] += row[a] * row[b];
+    }
+  });
+  for (let a = 0; a < n; a++) ata[a][a] += l2;
+  const x = solveLinearSystem(ata, att);
+
+  const preds = new Float32Array(rows);
+  for (let id = 1; id < rows; id++) {
+    let dot = x[dim];
+    for (let d = 0; d < dim; d++) dot += emb[id * dim + d] * x[d];
+    preds[id] = kernel * (dot + movieBias[id]) + outBias;
+  }
+  return preds;
+}
+
+// Gaussian elimination with partial pivoting for a small dense system (A is modified)
+function solveLinearSystem(A, b) {
+  const n = b.length;
+  const x = Float64Array.from(b);
+  for (let col = 0; col < n; col++) {
+    let pivot = col;
+    for (let r = col + 1; r < n; r++) if (Math.abs(A[r][col]) > Math.abs(A[pivot][col])) pivot = r;
+    [A[col], A[pivot]] = [A[pivot], A[col]];
+    [x[col], x[pivot]] = [x[pivot], x[col]];
+    for (let r = col + 1; r < n; r++) {
+      const f = A[r][col] / A[col][col];
+      for (let c = col; c < n; c++) A[r][c] -= f * A[col][c];
+      x[r] -= f * x[col];
+    }
+  }
+  for (let r = n - 1; r >= 0; r--) {
+    for (let c = r + 1; c < n; c++) x[r] -= A[r][c] * x[c];
+    x[r] /= A[r][r];
+  }
+  return x;
+}
+
+// Node (CLI) export; in the browser these stay globals
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = { createModel, trainMatrixFactorization, predictForNewUser };
+}
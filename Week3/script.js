@@ -1,9 +1,14 @@
 // script.js
-// Model, training and UI logic for Matrix Factorization recommender using TensorFlow.js
+// Training and UI logic for Matrix Factorization recommender using TensorFlow.js
+// (createModel and the training run live in model.js; training runs in train-worker.js)
 
 // Exposed global model variable
 var model = null;
 
+// Browser storage location of the saved model (tf.io IndexedDB handler) and download file prefix
+const MODEL_STORAGE_URL = 'indexeddb://week3-mf-model';
+const MODEL_DOWNLOAD_URL = 'downloads://week3-mf-model';
+
 // Simple helper to update status/result text
 function updateStatus(msg, isError=false) {
   const el = document.getElementById('result');
@@ -38,168 +43,303 @@ function populateDropdowns() {
     opt.textContent = `${id} — ${title}`;
     movieSelect.appendChild(opt);
   });
+
+  // Title suggestions for the new-user search box
+  const titleList = document.getElementById('movie-titles');
+  if (titleList) {
+    titleList.innerHTML = '';
+    movieIds.forEach(id => {
+      const opt = document.createElement('option');
+      opt.value = `${id} — ${items[id] ? items[id].title : `Movie ${id}`}`;
+      titleList.appendChild(opt);
+    });
+  }
 }
 
+// Running startTrainingWorker job ({ pause, resume, cancel, done }), null when idle
+var trainingJob = null;
+
 /**
- * createModel(numUsers, numMovies, latentDim)
- *
- * Matrix factorization with user and item embeddings and optional biases.
- *
- * Inputs:
- *  - userInput: scalar integer (user id)
- *  - movieInput: scalar integer (movie id)
- *
- * Embeddings:
- *  - userEmbedding: (numUsers+1, latentDim)
- *  - movieEmbedding: (numMovies+1, latentDim)
- *  - userBias: (numUsers+1, 1)
- *  - movieBias: (numMovies+1, 1)
- *
- * Prediction: dot(userVec, movieVec) + userBias + movieBias + globalBias
+ * plotLoss(batchLosses, validation)
+ * Draws the training MSE of every batch on #lossCanvas and, when there is a validation split, the validation
+ * MSE at the end of each epoch on the same scale (neither includes the L2 penalties). validation: { epochEnds, losses } (batches recorded at the
+ * end of each epoch, validation MSE per epoch) or null.
  */
-function createModel(numUsersArg, numMoviesArg, latentDim=32) {
-  const numUsersLocal = numUsersArg;
-  const numMoviesLocal = numMoviesArg;
-
-  // Inputs (integer ids)
-  const userInput = tf.input({ shape: [1], dtype: 'int32', name: 'userInput' });
-  const movieInput = tf.input({ shape: [1], dtype: 'int32', name: 'movieInput' });
-
-  // Embedding layers ( +1 to allow ids == num to be handled properly; MovieLens ids start at 1 )
-  const userEmbeddingLayer = tf.layers.embedding({
-    inputDim: numUsersLocal + 1,
-    outputDim: latentDim,
-    embeddingsInitializer: 'glorotUniform',
-    name: 'userEmbedding'
-  });
-
-  const movieEmbeddingLayer = tf.layers.embedding({
-    inputDim: numMoviesLocal + 1,
-    outputDim: latentDim,
-    embeddingsInitializer: 'glorotUniform',
-    name: 'movieEmbedding'
-  });
-
-  // Bias embeddings
-  const userBiasLayer = tf.layers.embedding({
-    inputDim: numUsersLocal + 1,
-    outputDim: 1,
-    embeddingsInitializer: 'zeros',
-    name: 'userBias'
-  });
-
-  const movieBiasLayer = tf.layers.embedding({
-    inputDim: numMoviesLocal + 1,
-    outputDim: 1,
-    embeddingsInitializer: 'zeros',
-    name: 'movieBias'
-  });
-
-  // Apply embeddings
-  // result shapes: [batch, 1, latentDim] for embeddings and [batch,1,1] for biases
-  const userVec = userEmbeddingLayer.apply(userInput); // shape: [batch,1,latentDim]
-  const movieVec = movieEmbeddingLayer.apply(movieInput); // shape: [batch,1,latentDim]
-
-  const userBias = userBiasLayer.apply(userInput); // [batch,1,1]
-  const movieBias = movieBiasLayer.apply(movieInput); // [batch,1,1]
-
-  // Flatten embeddings and biases to shape [batch, latentDim] and [batch,1]
-  const userVecFlat = tf.layers.flatten().apply(userVec);
-  const movieVecFlat = tf.layers.flatten().apply(movieVec);
-  const userBiasFlat = tf.layers.flatten().apply(userBias);
-  const movieBiasFlat = tf.layers.flatten().apply(movieBias);
-
-  // Dot product of user and movie vectors -> [batch, 1] (tf.layers.dot returns shape [batch,1])
-  const dot = tf.layers.dot({ axes: -1 }).apply([userVecFlat, movieVecFlat]);
-
-  // Global bias - a trainable scalar variable
-  const globalBias = tf.variable(tf.scalar(0.0), true, 'globalBias');
-
-  // Sum dot + userBias + movieBias + globalBias
-  // We need to create layers that can add tensors. Use tf.layers.add in combination with constant for globalBias.
-  // Convert globalBias scalar to a layer by creating a small custom layer that adds it (we'll use tf.layers.add with a lambda)
-  // Simpler: use tf.layers.add to combine dot + userBias + movieBias, then create a final Dense layer with bias initialized to globalBias.
-  // We'll add them: sum1 = dot + userBias + movieBias
-  const sum1 = tf.layers.add().apply([dot, userBiasFlat, movieBiasFlat]); // [batch,1]
-
-  // Optionally pass through activation (linear)
-  // To include global bias as trainable bias we can use a Dense layer with units=1 and useBias=true but kernelInitializer zeros and bias initializer from globalBias
-  const out = tf.layers.dense({
-    units: 1,
-    useBias: true,
-    kernelInitializer: 'zeros',
-    biasInitializer: 'zeros',
-    activation: 'linear',
-    name: 'predictionDense'
-  }).apply(sum1);
-
-  // Build model
-  const mfModel = tf.model({
-    inputs: [userInput, movieInput],
-    outputs: out,
-    name: 'matrixFactorizationModel'
-  });
-
-  return mfModel;
+function plotLoss(batchLosses, validation = null) {
+  const canvas = document.getElementById('lossCanvas');
+  if (!canvas) return;
+  const ctx = canvas.getContext('2d');
+  const w = canvas.width, h = canvas.height, pad = 30;
+  ctx.clearRect(0, 0, w, h);
+  ctx.font = '12px sans-serif';
+  if (!batchLosses.length) {
+    ctx.fillStyle = '#6b7280';
+    ctx.fillText('Training loss appears here.', 10, 20);
+    return;
+  }
+  const valLosses = validation ? validation.losses : [];
+  // MSE starts far above where it settles, so the first batches are left out of the scale
+  const scaled = batchLosses.slice(Math.min(batchLosses.length - 1, 20)).concat(valLosses);
+  const min = Math.min(...scaled), max = Math.max(...scaled);
+  const xAt = (i) => pad + (i / Math.max(1, batchLosses.length - 1)) * (w - 2 * pad);
+  const yAt = (v) => h - pad - ((Math.min(v, max) - min) / (max - min + 1e-9)) * (h - 2 * pad);
+
+  ctx.strokeStyle = '#2563eb';
+  ctx.beginPath();
+  batchLosses.forEach((v, i) => { if (i === 0) ctx.moveTo(xAt(i), yAt(v)); else ctx.lineTo(xAt(i), yAt(v)); });
+  ctx.stroke();
+  ctx.fillStyle = '#2563eb';
+  ctx.fillText(`training MSE (last ${batchLosses[batchLosses.length - 1].toFixed(4)})`, 10, 14);
+
+  if (valLosses.length) {
+    ctx.strokeStyle = ctx.fillStyle = '#ea580c';
+    ctx.beginPath();
+    valLosses.forEach((v, e) => {
+      const x = xAt(validation.epochEnds[e] - 1), y = yAt(v);
+      if (e === 0) ctx.moveTo(x, y); else ctx.lineTo(x, y);
+      ctx.fillRect(x - 2, y - 2, 5, 5);
+    });
+    ctx.stroke();
+    ctx.fillText(`validation MSE (last ${valLosses[valLosses.length - 1].toFixed(4)})`, w / 2, 14);
+  }
+  ctx.fillStyle = '#6b7280';
+  ctx.fillText(`${min.toFixed(3)} – ${max.toFixed(3)}`, 10, h - 8);
 }
 
 /**
  * trainModel()
- * Trains the model on the parsed ratings arrays.
- * Uses userIdArray, itemIdArray, ratingValueArray from data.js
+ * Trains the model on the parsed ratings arrays (userIdArray, itemIdArray, ratingValueArray from data.js)
+ * in train-worker.js, streaming progress into the status line and the loss plot. Epochs, learning rate,
+ * validation split, early-stopping patience, learning-rate schedule and regularization come from the
+ * training options.
+ * The current model stays usable until the new one arrives.
  */
 async function trainModel() {
+  if (trainingJob) return;
   try {
     updateStatus('Preparing model and training data...');
+    const keepBestEl = document.getElementById('keep-best');
+    const numberInput = (id, fallback) => {
+      const value = parseFloat(document.getElementById(id).value);
+      return Number.isFinite(value) ? value : fallback;
+    };
+    const scheduleType = document.getElementById('lr-schedule').value;
+    const normConstraint = document.getElementById('norm-constraint').value;
 
     // choose latent dim (smaller for speed in-browser)
-    const latentDim = 32;
+    const job = {
+      numUsers, numMovies, latentDim: 32, batchSize: 64,
+      epochs: Math.max(1, Math.round(numberInput('epochs-input', 8))),
+      lr: Math.max(1e-5, numberInput('lr-input', 0.001)),
+      validationSplit: Math.min(50, Math.max(0, numberInput('validation-input', 10))) / 100,
+      patience: Math.max(0, Math.round(numberInput('patience-input', 2))),
+      schedule: scheduleType !== 'constant' ? { type: scheduleType } : null,
+      regularization: {
+        l2Embedding: Math.max(0, numberInput('l2-embedding-input', 0)),
+        l2Bias: Math.max(0, numberInput('l2-bias-input', 0)),
+        frequencyScaled: document.getElementById('frequency-l2').checked,
+        normConstraint,
+        maxNorm: Math.max(0.01, numberInput('max-norm-input', 1))
+      },
+      keepBest: keepBestEl ? keepBestEl.checked : true,
+      userIds: Int32Array.from(userIdArray),
+      itemIds: Int32Array.from(itemIdArray),
+      ratings: Float32Array.from(ratingValueArray)
+    };
+
+    const batchLosses = [];
+    const validation = job.validationSplit > 0 ? { epochEnds: [], losses: [] } : null;
+    plotLoss(batchLosses);
+    updateStatus('Starting training (this may take a bit)...');
+    trainingJob = startTrainingWorker('train-worker.js', job, {
+      onMessage: (msg) => {
+        if (msg.type === 'batch') {
+          batchLosses.push(msg.mse);
+          if (batchLosses.length % 20 === 0) plotLoss(batchLosses, validation);
+        } else if (msg.type === 'epoch' && validation) {
+          validation.epochEnds.push(batchLosses.length);
+          validation.losses.push(msg.valLoss);
+          plotLoss(batchLosses, validation);
+        }
+        // keep "Training paused." visible (a batch already in flight may still report)
+        if (document.getElementById('pause-btn').textContent === 'Resume') return;
+        if (msg.type === 'batch' && msg.batch % 50 === 0) {
+          updateStatus(`Training... Epoch ${msg.epoch + 1}/${msg.epochs}, batch ${msg.batch + 1}/${msg.batches} — loss: ${msg.loss.toFixed(4)}`);
+        } else if (msg.type === 'epoch') {
+          const valText = msg.valLoss != null ? `, validation loss: ${msg.valLoss.toFixed(4)}` : '';
+          const bestText = msg.bestEpoch != null ? ` (best: epoch ${msg.bestEpoch + 1})` : '';
+          updateStatus(`Training... Epoch ${msg.epoch + 1}/${msg.epochs} — loss: ${msg.loss.toFixed(4)}${valText}, lr ${msg.lr.toPrecision(3)}${bestText}`);
+        }
+      }
+    }, (control, emit) => trainMatrixFactorization(job, control, emit));
+    setTrainingButtons(true);
 
-    // Create model
-    model = createModel(numUsers, numMovies, latentDim);
+    const result = await trainingJob.done;
+    plotLoss(batchLosses, validation);
+    if (!result.artifacts) {
+      updateStatus('Training cancelled before the first epoch finished' + (model ? ' — keeping the previous model.' : '.'));
+      return;
+    }
 
-    // Compile
-    model.compile({
-      optimizer: tf.train.adam(0.001),
-      loss: 'meanSquaredError'
-    });
+    // Swap in the trained model (releasing a previously trained or loaded one)
+    const trained = await tf.loadLayersModel(tf.io.fromMemory(result.artifacts));
+    if (model) model.dispose();
+    model = trained;
+
+    const bestText = result.best
+      ? `loss ${result.best.loss.toFixed(4)}` + (result.best.valLoss != null ? `, validation loss ${result.best.valLoss.toFixed(4)}` : '')
+      : '';
+    const kept = result.best && (job.keepBest || result.cancelled || result.stoppedEarly)
+      ? `kept best epoch ${result.best.epoch + 1} (${bestText})`
+      : 'kept final weights';
+    const stopped = result.stoppedEarly ? ` after early stopping at epoch ${result.epochLosses.length}` : '';
+    updateStatus(`${result.cancelled ? 'Training cancelled' : 'Training complete'}${stopped}, ${kept} — model is ready. Select a user & movie, then click Predict Rating.`);
+    setModelButtons(true);
+  } catch (err) {
+    console.error(err);
+    updateStatus('Training failed: ' + (err && err.message ? err.message : err), true);
+  } finally {
+    trainingJob = null;
+    setTrainingButtons(false);
+  }
+}
 
-    // Prepare tensors
-    // Convert to shape [n,1]
-    const usersTensor = tf.tensor2d(userIdArray, [userIdArray.length, 1], 'int32');
-    const itemsTensor = tf.tensor2d(itemIdArray, [itemIdArray.length, 1], 'int32');
-    const ratingsTensor = tf.tensor2d(ratingValueArray, [ratingValueArray.length, 1], 'float32');
+// Pause/Resume and Cancel are live only while training; Retrain only while idle
+function setTrainingButtons(running) {
+  const pauseBtn = document.getElementById('pause-btn');
+  const cancelBtn = document.getElementById('cancel-btn');
+  const retrainBtn = document.getElementById('retrain-btn');
+  if (pauseBtn) { pauseBtn.disabled = !running; pauseBtn.textContent = 'Pause'; }
+  if (cancelBtn) cancelBtn.disabled = !running;
+  if (retrainBtn) retrainBtn.disabled = running;
+}
 
-    updateStatus('Starting training (this may take a bit)...');
+/**
+ * togglePause()
+ * Pauses or resumes the running training job.
+ */
+function togglePause() {
+  const pauseBtn = document.getElementById('pause-btn');
+  if (!trainingJob || !pauseBtn) return;
+  if (pauseBtn.textContent === 'Pause') {
+    trainingJob.pause();
+    pauseBtn.textContent = 'Resume';
+    updateStatus('Training paused.');
+  } else {
+    trainingJob.resume();
+    pauseBtn.textContent = 'Pause';
+    updateStatus('Training resumed...');
+  }
+}
 
-    // Fit model with callbacks to update UI on epoch end
-    const epochs = 8;
-    const batchSize = 64;
-    await model.fit([usersTensor, itemsTensor], ratingsTensor, {
-      batchSize,
-      epochs,
-      shuffle: true,
-      callbacks: {
-        onEpochEnd: async (epoch, logs) => {
-          updateStatus(`Training... Epoch ${epoch + 1}/${epochs} — loss: ${logs.loss.toFixed(4)}`);
-          // allow UI to update
-          await tf.nextFrame();
-        }
-      }
-    });
+/**
+ * cancelTraining()
+ * Stops the running training job; the best checkpoint so far (if any epoch finished) becomes the model.
+ */
+function cancelTraining() {
+  if (!trainingJob) return;
+  trainingJob.cancel();
+  document.getElementById('cancel-btn').disabled = true;
+  updateStatus('Cancelling training...');
+}
 
-    // Dispose tensors used for training
-    usersTensor.dispose();
-    itemsTensor.dispose();
-    ratingsTensor.dispose();
+// Enable/disable the save/download buttons (load and retrain stay available once data is loaded)
+function setModelButtons(hasModel) {
+  ['save-btn', 'download-btn'].forEach(id => {
+    const el = document.getElementById(id);
+    if (el) el.disabled = !hasModel;
+  });
+  ['load-btn', 'retrain-btn'].forEach(id => {
+    const el = document.getElementById(id);
+    if (el) el.disabled = id === 'retrain-btn' && !!trainingJob;
+  });
+}
 
-    updateStatus('Training complete — model is ready. Select a user & movie, then click Predict Rating.');
+/**
+ * saveModel()
+ * Saves the trained model (topology + embedding/bias weights) to IndexedDB.
+ * MovieLens ids are used directly as embedding rows, so no separate ID mapping is needed.
+ */
+async function saveModel() {
+  try {
+    if (!model) { updateStatus('No trained model to save.', true); return; }
+    await model.save(MODEL_STORAGE_URL);
+    updateStatus('Model saved in this browser (IndexedDB). It will be reused on the next visit.');
   } catch (err) {
     console.error(err);
-    updateStatus('Training failed: ' + (err && err.message ? err.message : err), true);
+    updateStatus('Save failed: ' + (err && err.message ? err.message : err), true);
+  }
+}
+
+/**
+ * loadSavedModel()
+ * Restores the model saved by saveModel(). Resolves true if a model was loaded.
+ */
+async function loadSavedModel() {
+  try {
+    const saved = await tf.io.listModels();
+    if (!saved[MODEL_STORAGE_URL]) {
+      updateStatus('No saved model found in this browser.', true);
+      return false;
+    }
+    await useLoadedModel(await tf.loadLayersModel(MODEL_STORAGE_URL), 'browser storage');
+    return true;
+  } catch (err) {
+    console.error(err);
+    updateStatus('Load failed: ' + (err && err.message ? err.message : err), true);
+    return false;
+  }
+}
+
+/**
+ * downloadModel()
+ * Downloads model.json + weights.bin so the model can be moved to another browser.
+ */
+async function downloadModel() {
+  try {
+    if (!model) { updateStatus('No trained model to download.', true); return; }
+    await model.save(MODEL_DOWNLOAD_URL);
+    updateStatus('Model files downloaded.');
+  } catch (err) {
+    console.error(err);
+    updateStatus('Download failed: ' + (err && err.message ? err.message : err), true);
+  }
+}
+
+/**
+ * loadModelFromFiles(fileList)
+ * Loads a downloaded model from the selected model.json and weights .bin files.
+ */
+async function loadModelFromFiles(fileList) {
+  try {
+    const files = Array.from(fileList || []);
+    const jsonFile = files.find(f => f.name.endsWith('.json'));
+    const weightFiles = files.filter(f => f !== jsonFile);
+    if (!jsonFile || weightFiles.length === 0) {
+      updateStatus('Select both the model .json file and its weights .bin file.', true);
+      return;
+    }
+    await useLoadedModel(await tf.loadLayersModel(tf.io.browserFiles([jsonFile, ...weightFiles])), jsonFile.name);
+  } catch (err) {
+    console.error(err);
+    updateStatus('Load failed: ' + (err && err.message ? err.message : err), true);
   }
 }
 
+// Swap in a loaded model after checking it covers the loaded users and movies
+async function useLoadedModel(loaded, source) {
+  const userRows = loaded.getLayer('userEmbedding').inputDim;
+  const movieRows = loaded.getLayer('movieEmbedding').inputDim;
+  if (userRows < numUsers + 1 || movieRows < numMovies + 1) {
+    loaded.dispose();
+    throw new Error(`model from ${source} covers ${userRows - 1} users / ${movieRows - 1} movies, but the dataset has ${numUsers} / ${numMovies}`);
+  }
+  if (model) model.dispose();
+  model = loaded;
+  setModelButtons(true);
+  updateStatus(`Loaded model from ${source} — select a user & movie, then click Predict Rating.`);
+}
+
 /**
  * predictRating()
  * Triggered by the UI button to predict rating for the selected user & movie.
@@ -257,14 +397,228 @@ async function predictRating() {
   }
 }
 
-// On load: fetch data, populate UI, train model
+/**
+ * startWithData()
+ * Runs once a dataset is loaded: populate the UI, then reuse a saved model or train a new one.
+ */
+async function startWithData() {
+  populateDropdowns();        // populate selects
+  setModelButtons(false);
+  // Reuse a model saved in this browser; otherwise train (async, updates the UI as it proceeds).
+  const saved = await tf.io.listModels();
+  if (!saved[MODEL_STORAGE_URL] || !(await loadSavedModel())) trainModel();
+}
+
+/**
+ * showDataPicker()
+ * Shows the file input / drop zone used when u.item and u.data cannot be loaded automatically.
+ */
+function showDataPicker() {
+  const picker = document.getElementById('data-picker');
+  if (!picker) return;
+  picker.hidden = false;
+
+  const onFiles = async (files) => {
+    try {
+      updateStatus('Reading selected files...');
+      await loadDataFromFiles(files);
+      picker.hidden = true;
+      await startWithData();
+    } catch (err) {
+      console.error(err);
+      updateStatus('Could not load data: ' + (err && err.message ? err.message : err), true);
+    }
+  };
+
+  document.getElementById('data-files').onchange = (e) => onFiles(e.target.files);
+  picker.ondragover = (e) => { e.preventDefault(); picker.classList.add('dragover'); };
+  picker.ondragleave = () => picker.classList.remove('dragover');
+  picker.ondrop = (e) => {
+    e.preventDefault();
+    picker.classList.remove('dragover');
+    onFiles(e.dataTransfer.files);
+  };
+}
+
+/**
+ * reloadDataFiles()
+ * Forgets the cached dataset and reloads the page, so updated u.item/u.data files are picked up.
+ */
+async function reloadDataFiles() {
+  try {
+    await clearCachedData();
+  } catch (err) {
+    console.warn('Could not clear dataset cache:', err);
+  }
+  window.location.reload();
+}
+
+/**
+ * recommendForUser()
+ * Scores every movie for the selected user in one batched predict, drops the movies the user already
+ * rated and renders the top-N list next to the user's own rating history.
+ */
+async function recommendForUser() {
+  try {
+    if (!model) {
+      updateStatus('Model not ready yet. Please wait for training to complete.', true);
+      return;
+    }
+    const userId = parseInt(document.getElementById('user-select').value, 10);
+    const topN = Math.max(1, parseInt(document.getElementById('topn-input').value, 10) || 10);
+    if (Number.isNaN(userId)) {
+      updateStatus('Invalid user selection.', true);
+      return;
+    }
+    updateStatus(`Scoring all ${numMovies} movies for User ${userId}...`);
+
+    // Predict ratings for movie ids 1..numMovies in a single batch
+    const movieIds = Int32Array.from({ length: numMovies }, (_, i) => i + 1);
+    const u = tf.fill([numMovies, 1], userId, 'int32');
+    const m = tf.tensor2d(movieIds, [numMovies, 1], 'int32');
+    let pred = model.predict([u, m]);
+    if (Array.isArray(pred)) pred = pred[0];
+    const scores = await pred.data();
+    tf.dispose([u, m, pred]);
+
+    const history = ratings.filter(r => r.userId === userId);
+    const rated = new Set(history.map(r => r.itemId));
+    const ranked = [];
+    for (let i = 0; i < numMovies; i++) {
+      const id = movieIds[i];
+      if (!rated.has(id) && items[id]) ranked.push({ id, score: scores[i] });
+    }
+    ranked.sort((a, b) => b.score - a.score);
+    history.sort((a, b) => (b.rating - a.rating) || (b.ts - a.ts));
+
+    renderRecommendations(`User ${userId}`, ranked.slice(0, topN), history);
+    updateStatus(`Top ${Math.min(topN, ranked.length)} recommendations for User ${userId} (${history.length} rated movies excluded).`);
+  } catch (err) {
+    console.error(err);
+    updateStatus('Recommendation failed: ' + (err && err.message ? err.message : err), true);
+  }
+}
+
+// Genre names of a movie from its 0/1 flags (MOVIELENS_GENRES comes from ../shared/movielens.js)
+function genreNames(item) {
+  if (!item || !item.genres) return '';
+  return item.genres.map((flag, i) => flag ? MOVIELENS_GENRES[i] : null).filter(Boolean).join(', ');
+}
+
+function escapeHtml(text) {
+  return String(text).replace(/[&<>"']/g, c => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' }[c]));
+}
+
+// Ranked recommendations (predicted rating, title, year, genres) beside the user's rated movies.
+// who: heading label, e.g. "User 12" or "You"
+function renderRecommendations(who, recs, history) {
+  const el = document.getElementById('recommendations');
+  if (!el) return;
+  const movieCells = (item) =>
+    `<td>${escapeHtml(item.title)}</td><td>${item.year || ''}</td><td class="genres">${escapeHtml(genreNames(item))}</td>`;
+
+  let recRows = '';
+  recs.forEach((r, i) => {
+    const rating = Math.min(5, Math.max(1, r.score));
+    recRows += `<tr><td>${i + 1}</td><td>${rating.toFixed(2)}</td>${movieCells(items[r.id])}</tr>`;
+  });
+  let historyRows = '';
+  history.forEach(r => {
+    const item = items[r.itemId] || { title: `Movie ${r.itemId}` };
+    historyRows += `<tr><td>${r.rating}</td>${movieCells(item)}</tr>`;
+  });
+
+  el.innerHTML =
+    `<div class="rec-panel"><h2>Recommended for ${escapeHtml(who)}</h2>` +
+    '<table><thead><tr><th>#</th><th>Predicted</th><th>Title</th><th>Year</th><th>Genres</th></tr></thead>' +
+    `<tbody>${recRows}</tbody></table></div>` +
+    `<div class="rec-panel"><h2>Rated by ${escapeHtml(who)} (${history.length})</h2>` +
+    '<div class="scroll"><table><thead><tr><th>Rating</th><th>Title</th><th>Year</th><th>Genres</th></tr></thead>' +
+    `<tbody>${historyRows}</tbody></table></div></div>`;
+}
+
+// New-user onboarding: ratings entered in the page ({ itemId, rating }), folded into the trained model
+const NEW_USER_MIN_RATINGS = 5;
+const NEW_USER_MAX_RATINGS = 20;
+var newUserRatings = [];
+
+/**
+ * addNewUserRating()
+ * Adds (or updates) the movie picked in the search box with the chosen rating.
+ */
+function addNewUserRating() {
+  const search = document.getElementById('new-user-search');
+  const itemId = parseInt(search.value, 10);  // datalist values are "id — title"
+  const rating = parseInt(document.getElementById('new-user-rating').value, 10);
+  if (Number.isNaN(itemId) || !items[itemId]) {
+    updateStatus('Pick a movie from the suggestions first.', true);
+    return;
+  }
+  const existing = newUserRatings.find(r => r.itemId === itemId);
+  if (existing) existing.rating = rating;
+  else if (newUserRatings.length >= NEW_USER_MAX_RATINGS) {
+    updateStatus(`You can rate at most ${NEW_USER_MAX_RATINGS} movies.`, true);
+    return;
+  } else newUserRatings.push({ itemId, rating });
+  search.value = '';
+  renderNewUserRatings();
+}
+
+function removeNewUserRating(itemId) {
+  newUserRatings = newUserRatings.filter(r => r.itemId !== itemId);
+  renderNewUserRatings();
+}
+
+function renderNewUserRatings() {
+  const list = document.getElementById('new-user-ratings');
+  list.innerHTML = newUserRatings.map(r =>
+    `<li>${'★'.repeat(r.rating)} ${escapeHtml(items[r.itemId].title)} ` +
+    `<button class="link" onclick="removeNewUserRating(${r.itemId})">remove</button></li>`).join('');
+  const count = newUserRatings.length;
+  document.getElementById('new-user-btn').disabled = count < NEW_USER_MIN_RATINGS;
+  document.getElementById('new-user-count').textContent = count < NEW_USER_MIN_RATINGS
+    ? `${count} rated — rate ${NEW_USER_MIN_RATINGS - count} more to get recommendations`
+    : `${count} rated`;
+}
+
+/**
+ * recommendForNewUser()
+ * Fits the new user against the frozen movie embeddings (predictForNewUser in model.js)
+ * and shows the top-N unrated movies.
+ */
+function recommendForNewUser() {
+  try {
+    if (!model) {
+      updateStatus('Model not ready yet. Please wait for training to complete.', true);
+      return;
+    }
+    const topN = Math.max(1, parseInt(document.getElementById('topn-input').value, 10) || 10);
+    const preds = predictForNewUser(model, newUserRatings.map(r => r.itemId), newUserRatings.map(r => r.rating));
+    const rated = new Set(newUserRatings.map(r => r.itemId));
+    const ranked = [];
+    for (let id = 1; id < preds.length; id++) {
+      if (!rated.has(id) && items[id]) ranked.push({ id, score: preds[id] });
+    }
+    ranked.sort((a, b) => b.score - a.score);
+    const history = newUserRatings.slice().sort((a, b) => b.rating - a.rating);
+    renderRecommendations('You', ranked.slice(0, topN), history);
+    updateStatus(`Top ${Math.min(topN, ranked.length)} recommendations from your ${newUserRatings.length} ratings (the model was not retrained).`);
+  } catch (err) {
+    console.error(err);
+    updateStatus('Recommendation failed: ' + (err && err.message ? err.message : err), true);
+  }
+}
+
+// On load: load data (cache, local files, or user-picked files), populate UI, train model
 window.onload = async function() {
   try {
-    updateStatus('Initializing — fetching dataset...');
-    await loadData();           // loadData is defined in data.js
-    populateDropdowns();        // populate selects
-    // Train model (async). Training updates the UI as it proceeds.
-    trainModel();
+    updateStatus('Initializing — loading dataset...');
+    if (!(await loadData())) {  // loadData is defined in data.js
+      updateStatus('Could not load u.item and u.data automatically (opened from disk?). Choose or drop the two files below.', true);
+      showDataPicker();
+      return;
+    }
+    await startWithData();
   } catch (err) {
     console.error(err);
     updateStatus('Initialization failed: ' + (err && err.message ? err.message : err), true);
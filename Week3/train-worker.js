@@ -0,0 +1,14 @@
+// train-worker.js
+// Dedicated worker that trains the matrix factorization model off the main thread.
+// script.js starts it through startTrainingWorker (../shared/training-control.js) with the job described at
+// trainMatrixFactorization in model.js; losses stream back as messages and the trained model comes back
+// as tf.io ModelArtifacts.
+
+importScripts(
+  'https://cdn.jsdelivr.net/npm/@tensorflow/tfjs@latest/dist/tf.min.js',
+  '../shared/training-control.js',
+  '../shared/training-schedule.js',
+  'model.js'
+);
+
+serveTrainingJob(trainMatrixFactorization);
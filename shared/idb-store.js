@@ -0,0 +1,45 @@
+// idb-store.js
+// Minimal promise wrapper around IndexedDB for the browser demos.
+// Each database holds one object store of key -> structured-cloneable value (plain objects, typed arrays).
+
+const IDB_STORE_NAME = 'kv';
+
+// Open (and create on first use) a database with a single key-value store
+function idbOpen(dbName) {
+  return new Promise((resolve, reject) => {
+    if (typeof indexedDB === 'undefined') { reject(new Error('IndexedDB is not available in this browser')); return; }
+    const req = indexedDB.open(dbName, 1);
+    req.onupgradeneeded = () => req.result.createObjectStore(IDB_STORE_NAME);
+    req.onsuccess = () => resolve(req.result);
+    req.onerror = () => reject(req.error);
+  });
+}
+
+// Run one request against the store and resolve with its result
+async function idbRequest(dbName, mode, makeRequest) {
+  const db = await idbOpen(dbName);
+  try {
+    return await new Promise((resolve, reject) => {
+      const tx = db.transaction(IDB_STORE_NAME, mode);
+      const req = makeRequest(tx.objectStore(IDB_STORE_NAME));
+      tx.oncomplete = () => resolve(req.result);
+      tx.onerror = () => reject(tx.error);
+      tx.onabort = () => reject(tx.error || new Error('IndexedDB transaction aborted'));
+    });
+  } finally {
+    db.close();
+  }
+}
+
+function idbPut(dbName, key, value) {
+  return idbRequest(dbName, 'readwrite', store => store.put(value, key));
+}
+
+// Resolves with undefined when the key is missing
+function idbGet(dbName, key) {
+  return idbRequest(dbName, 'readonly', store => store.get(key));
+}
+
+function idbDelete(dbName, key) {
+  return idbRequest(dbName, 'readwrite', store => store.delete(key));
+}
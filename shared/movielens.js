@@ -0,0 +1,462 @@
+// movielens.js
+// Shared MovieLens parsers for the Week3 and week4 demos and the Node CLI.
+// Each parser returns {records, errors}; errors are {line, message, text} with 1-based line numbers,
+// so callers can skip malformed lines but still report them.
+//
+// File layouts (ML-100K README):
+//   u.item  movie id | movie title | release date | video release date | IMDb URL | 19 genre flags
+//   u.data  user id \t item id \t rating \t timestamp
+//   u.user  user id | age | gender | occupation | zip code
+//   u.genre genre name | genre id
+// Other supported formats (see parseDataset):
+//   ML-1M           ratings.dat  UserID::MovieID::Rating::Timestamp, movies.dat  MovieID::Title::Genre|Genre,
+//                   users.dat  UserID::Gender::Age::Occupation::Zip-code
+//   ml-latest-small ratings.csv  userId,movieId,rating,timestamp, movies.csv  movieId,title,genres, tags.csv
+//   generic CSV     any user,item[,rating][,timestamp] columns, chosen with a column mapping
+
+// Genre order of the 19 u.item flags (same as u.genre)
+const MOVIELENS_GENRES = [
+  'unknown', 'Action', 'Adventure', 'Animation', "Children's", 'Comedy', 'Crime', 'Documentary', 'Drama',
+  'Fantasy', 'Film-Noir', 'Horror', 'Musical', 'Mystery', 'Romance', 'Sci-Fi', 'Thriller', 'War', 'Western'
+];
+
+// Run parseLine over every non-blank line; parseLine returns a record or throws an Error describing the problem
+function parseMovieLensLines(text, parseLine) {
+  const records = [];
+  const errors = [];
+  const lines = text.split(/\r?\n/);
+  for (let i = 0; i < lines.length; i++) {
+    const line = lines[i];
+    if (!line.trim()) continue;
+    try {
+      records.push(parseLine(line));
+    } catch (err) {
+      errors.push({line: i + 1, message: err.message, text: line});
+    }
+  }
+  return {records, errors};
+}
+
+function parsePositiveInt(value, field) {
+  const s = (value || '').trim();
+  if (!/^\d+$/.test(s) || parseInt(s, 10) <= 0) throw new Error(`invalid ${field} "${value}"`);
+  return parseInt(s, 10);
+}
+
+function expectFields(parts, count, separatorName) {
+  if (parts.length < count) throw new Error(`expected ${count} ${separatorName}-separated fields, got ${parts.length}`);
+}
+
+// Release year from the "(1995)" title suffix, falling back to the "01-Jan-1995" release date
+function parseMovieYear(title, releaseDate) {
+  const m = title.match(/\((\d{4})\)\s*$/) || (releaseDate || '').match(/(\d{4})\s*$/);
+  return m ? parseInt(m[1], 10) : null;
+}
+
+// u.item -> [{id, title, year, releaseDate, videoReleaseDate, imdbUrl, genres: [19 x 0/1]}]
+function parseMovieLensItems(text) {
+  return parseMovieLensLines(text, line => {
+    const parts = line.split('|');
+    expectFields(parts, 5 + MOVIELENS_GENRES.length, 'pipe');
+    const id = parsePositiveInt(parts[0], 'movie id');
+    const title = parts[1].trim();
+    if (!title) throw new Error('empty title');
+    // Titles never contain '|', so the genre flags are always the last 19 fields
+    const flags = parts.slice(parts.length - MOVIELENS_GENRES.length);
+    const genres = flags.map(f => {
+      const v = f.trim();
+      if (v !== '0' && v !== '1') throw new Error(`invalid genre flag "${f}"`);
+      return v === '1' ? 1 : 0;
+    });
+    return {
+      id,
+      title,
+      year: parseMovieYear(title, parts[2]),
+      releaseDate: parts[2].trim() || null,
+      videoReleaseDate: parts[3].trim() || null,
+      imdbUrl: parts[4].trim() || null,
+      genres
+    };
+  });
+}
+
+// u.data -> [{userId, itemId, rating, ts}]. Fields are tab-separated; other whitespace is tolerated.
+function parseMovieLensRatings(text) {
+  return parseMovieLensLines(text, line => {
+    const parts = line.trim().split(/\s+/);
+    expectFields(parts, 4, 'tab');
+    const rating = parseFloat(parts[2]);
+    if (!Number.isFinite(rating)) throw new Error(`invalid rating "${parts[2]}"`);
+    if (!/^\d+$/.test(parts[3])) throw new Error(`invalid timestamp "${parts[3]}"`);
+    return {
+      userId: parsePositiveInt(parts[0], 'user id'),
+      itemId: parsePositiveInt(parts[1], 'item id'),
+      rating,
+      ts: parseInt(parts[3], 10)
+    };
+  });
+}
+
+// u.user -> [{id, age, gender, occupation, zip}]
+function parseMovieLensUsers(text) {
+  return parseMovieLensLines(text, line => {
+    const parts = line.split('|');
+    expectFields(parts, 5, 'pipe');
+    const gender = parts[2].trim();
+    if (gender !== 'M' && gender !== 'F') throw new Error(`invalid gender "${parts[2]}"`);
+    const occupation = parts[3].trim();
+    if (!occupation) throw new Error('empty occupation');
+    return {
+      id: parsePositiveInt(parts[0], 'user id'),
+      age: parsePositiveInt(parts[1], 'age'),
+      gender,
+      occupation,
+      zip: parts[4].trim()
+    };
+  });
+}
+
+// u.genre -> [{name, id}]
+function parseMovieLensGenres(text) {
+  return parseMovieLensLines(text, line => {
+    const parts = line.split('|');
+    expectFields(parts, 2, 'pipe');
+    const name = parts[0].trim();
+    const id = parseInt(parts[1], 10);
+    if (!name || !/^\d+$/.test(parts[1].trim())) throw new Error(`invalid genre entry "${line}"`);
+    return {name, id};
+  });
+}
+
+// Genre spellings of ML-1M / ml-latest that differ from the ML-100K names
+const GENRE_ALIASES = {'(no genres listed)': 'unknown', 'Children': "Children's"};
+
+// Genre names -> flag vector over a genre vocabulary. Names missing from the vocabulary are appended to it,
+// so pass the same vocabulary array for every item of a dataset and pad shorter vectors afterwards.
+function genreNamesToFlags(names, vocabulary) {
+  const flags = new Array(vocabulary.length).fill(0);
+  for (const raw of names) {
+    const name = raw.trim();
+    if (!name) continue;
+    const canonical = GENRE_ALIASES[name] || name;
+    let idx = vocabulary.indexOf(canonical);
+    if (idx < 0) { vocabulary.push(canonical); flags.push(0); idx = vocabulary.length - 1; }
+    flags[idx] = 1;
+  }
+  return flags;
+}
+
+// ML-1M occupation codes (users.dat), by code
+const ML1M_OCCUPATIONS = [
+  'other', 'academic/educator', 'artist', 'clerical/admin', 'college/grad student', 'customer service',
+  'doctor/health care', 'executive/managerial', 'farmer', 'homemaker', 'K-12 student', 'lawyer', 'programmer',
+  'retired', 'sales/marketing', 'scientist', 'self-employed', 'technician/engineer', 'tradesman/craftsman',
+  'unemployed', 'writer'
+];
+
+// ratings.dat (ML-1M) -> [{userId, itemId, rating, ts}]
+function parseMovieLens1MRatings(text) {
+  return parseMovieLensLines(text, line => {
+    const parts = line.trim().split('::');
+    expectFields(parts, 4, '::');
+    const rating = parseFloat(parts[2]);
+    if (!Number.isFinite(rating)) throw new Error(`invalid rating "${parts[2]}"`);
+    if (!/^\d+$/.test(parts[3])) throw new Error(`invalid timestamp "${parts[3]}"`);
+    return {
+      userId: parsePositiveInt(parts[0], 'user id'),
+      itemId: parsePositiveInt(parts[1], 'movie id'),
+      rating,
+      ts: parseInt(parts[3], 10)
+    };
+  });
+}
+
+// movies.dat (ML-1M) -> [{id, title, year, genreNames}]
+function parseMovieLens1MMovies(text) {
+  return parseMovieLensLines(text, line => {
+    const parts = line.split('::');
+    expectFields(parts, 3, '::');
+    const title = parts[1].trim();
+    if (!title) throw new Error('empty title');
+    return {id: parsePositiveInt(parts[0], 'movie id'), title, year: parseMovieYear(title), genreNames: parts[2].split('|')};
+  });
+}
+
+// users.dat (ML-1M) -> [{id, age, gender, occupation, zip}] (same shape as parseMovieLensUsers;
+// age is the lower bound of the ML-1M age group, occupation the name of its code)
+function parseMovieLens1MUsers(text) {
+  return parseMovieLensLines(text, line => {
+    const parts = line.trim().split('::');
+    expectFields(parts, 5, '::');
+    const gender = parts[1].trim();
+    if (gender !== 'M' && gender !== 'F') throw new Error(`invalid gender "${parts[1]}"`);
+    const code = parts[3].trim();
+    if (!/^\d+$/.test(code) || !ML1M_OCCUPATIONS[parseInt(code, 10)]) throw new Error(`invalid occupation "${parts[3]}"`);
+    return {
+      id: parsePositiveInt(parts[0], 'user id'),
+      age: parsePositiveInt(parts[2], 'age'),
+      gender,
+      occupation: ML1M_OCCUPATIONS[parseInt(code, 10)],
+      zip: parts[4].trim()
+    };
+  });
+}
+
+// RFC 4180-style CSV: quoted fields may contain the delimiter, doubled quotes and newlines.
+// The delimiter (',', '\t' or ';') is detected from the first line unless given.
+// Returns {rows: [{line, fields}], errors}
+function parseCsvRows(text, delimiter = null) {
+  const firstLine = text.slice(0, text.search(/\r?\n|$/));
+  const delim = delimiter || [',', '\t', ';']
+    .map(d => [d, firstLine.split(d).length])
+    .sort((a, b) => b[1] - a[1])[0][0];
+  const rows = [];
+  const errors = [];
+  let fields = [], field = '', inQuotes = false, line = 1, rowLine = 1, quotedField = false;
+  const endRow = () => {
+    fields.push(field);
+    if (fields.length > 1 || fields[0].trim() !== '' || quotedField) rows.push({line: rowLine, fields});
+    fields = []; field = ''; quotedField = false;
+  };
+  for (let i = 0; i < text.length; i++) {
+    const c = text[i];
+    if (inQuotes) {
+      if (c === '"' && text[i + 1] === '"') { field += '"'; i++; }
+      else if (c === '"') inQuotes = false;
+      else { if (c === '\n') line++; field += c; }
+    } else if (c === '"' && field === '') { inQuotes = true; quotedField = true; }
+    else if (c === delim) { fields.push(field); field = ''; }
+    else if (c === '\n') { endRow(); line++; rowLine = line; }
+    else if (c !== '\r') field += c;
+  }
+  if (inQuotes) errors.push({line: rowLine, message: 'unterminated quoted field', text: field.slice(0, 80)});
+  endRow();
+  return {rows, errors, delimiter: delim};
+}
+
+// Resolve a column reference (header name, case-insensitive, or 0-based index) against a header row; -1 if absent
+function resolveCsvColumn(header, ref) {
+  if (ref == null || ref === '') return -1;
+  if (typeof ref === 'number' || /^\d+$/.test(String(ref))) return Number(ref);
+  return header.findIndex(h => h.trim().toLowerCase() === String(ref).trim().toLowerCase());
+}
+
+// Guess a column mapping from header names (used as the default of the mapping step)
+function guessCsvColumns(header) {
+  const find = re => { const i = header.findIndex(h => re.test(h.trim())); return i >= 0 ? header[i] : ''; };
+  return {
+    user: find(/^user/i) || header[0] || '',
+    item: find(/^(item|movie|product|track|book)/i) || header[1] || '',
+    rating: find(/^(rating|score|stars|value)/i),
+    timestamp: find(/^(timestamp|time|date|ts)/i)
+  };
+}
+
+// Timestamp cell -> seconds since epoch (numbers are taken as-is; other strings go through Date.parse)
+function parseTimestampCell(value) {
+  const s = (value || '').trim();
+  if (/^\d+(\.\d+)?$/.test(s)) return Math.floor(parseFloat(s));
+  const ms = Date.parse(s);
+  if (Number.isNaN(ms)) throw new Error(`invalid timestamp "${value}"`);
+  return Math.floor(ms / 1000);
+}
+
+// Id column encoder: purely numeric columns keep their ids; otherwise every distinct value
+// gets a consecutive number in order of first appearance (labels keeps number -> original value).
+// Encoding more values after finish() continues the numbering; call finish() again to refresh labels.
+function makeIdEncoder(values) {
+  const numeric = values.every(v => /^\d+$/.test((v || '').trim()));
+  const ids = new Map();
+  const encoder = raw => {
+    const s = (raw || '').trim();
+    if (!s) throw new Error('empty id');
+    if (numeric) return parsePositiveInt(s, 'id');
+    if (!ids.has(s)) ids.set(s, ids.size + 1);
+    return ids.get(s);
+  };
+  encoder.labels = new Map();
+  encoder.finish = () => { for (const [label, id] of ids) encoder.labels.set(id, label); return encoder.labels; };
+  return encoder;
+}
+
+// Interaction CSV with a column mapping {user, item, rating?, timestamp?} (header names or 0-based indices).
+// hasHeader defaults to true. Missing ratings count as 1 (implicit feedback); missing timestamps use row order.
+// Returns {records, errors, header, itemLabels, encodeItem} where itemLabels maps encoded id -> original id for
+// string ids and encodeItem is the item id encoder (pass it to parseCsvMovies/parseCsvTags so their ids match).
+// Ids must be positive integers or arbitrary strings (a column mixing both is encoded as strings).
+function parseCsvRatings(text, columns = null, hasHeader = true) {
+  const {rows, errors} = parseCsvRows(text);
+  const header = hasHeader && rows.length ? rows.shift().fields : [];
+  const mapping = columns || guessCsvColumns(header);
+  const col = {
+    user: resolveCsvColumn(header, mapping.user),
+    item: resolveCsvColumn(header, mapping.item),
+    rating: resolveCsvColumn(header, mapping.rating),
+    timestamp: resolveCsvColumn(header, mapping.timestamp)
+  };
+  if (col.user < 0 || col.item < 0) {
+    errors.push({line: 1, message: `user/item columns not found (mapping ${JSON.stringify(mapping)})`, text: header.join(',')});
+    return {records: [], errors, header, itemLabels: new Map(), encodeItem: null};
+  }
+  const encodeUser = makeIdEncoder(rows.map(r => r.fields[col.user]));
+  const encodeItem = makeIdEncoder(rows.map(r => r.fields[col.item]));
+  const records = [];
+  rows.forEach((row, order) => {
+    try {
+      const f = row.fields;
+      const width = Math.max(col.user, col.item, col.rating, col.timestamp) + 1;
+      if (f.length < width) throw new Error(`expected at least ${width} fields, got ${f.length}`);
+      const rating = col.rating >= 0 ? parseFloat(f[col.rating]) : 1;
+      if (!Number.isFinite(rating)) throw new Error(`invalid rating "${f[col.rating]}"`);
+      records.push({
+        userId: encodeUser(f[col.user]),
+        itemId: encodeItem(f[col.item]),
+        rating,
+        ts: col.timestamp >= 0 ? parseTimestampCell(f[col.timestamp]) : order
+      });
+    } catch (err) {
+      errors.push({line: row.line, message: err.message, text: row.fields.join(',')});
+    }
+  });
+  return {records, errors, header, itemLabels: encodeItem.finish(), encodeItem};
+}
+
+// movies.csv (ml-latest; also item files of generic CSV datasets) -> [{id, title, year, genreNames}]
+// Columns are found by name (movieId/itemId/id, title/name, genres); genres are '|'-separated.
+// encodeItem: the ratings' item id encoder (parseCsvRatings), so string ids map to the same numbers;
+// without it ids must be positive integers.
+function parseCsvMovies(text, encodeItem = null) {
+  const {rows, errors} = parseCsvRows(text);
+  const header = rows.length ? rows.shift().fields : [];
+  const find = re => header.findIndex(h => re.test(h.trim()));
+  const idCol = find(/^(movie|item)?_?id$/i), titleCol = find(/^(title|name)$/i), genreCol = find(/^genres?$/i);
+  if (idCol < 0) {
+    errors.push({line: 1, message: 'no id column (movieId, itemId or id)', text: header.join(',')});
+    return {records: [], errors};
+  }
+  const records = [];
+  for (const row of rows) {
+    try {
+      const f = row.fields;
+      const title = titleCol >= 0 && f[titleCol] ? f[titleCol].trim() : `Item ${f[idCol]}`;
+      records.push({
+        id: encodeItem ? encodeItem(f[idCol]) : parsePositiveInt(f[idCol], 'id'),
+        title,
+        year: parseMovieYear(title),
+        genreNames: genreCol >= 0 && f[genreCol] ? f[genreCol].split('|') : []
+      });
+    } catch (err) {
+      errors.push({line: row.line, message: err.message, text: row.fields.join(',')});
+    }
+  }
+  return {records, errors};
+}
+
+// tags.csv (ml-latest) -> [{userId, itemId, tag, ts}]; encodeItem as for parseCsvMovies
+function parseCsvTags(text, encodeItem = null) {
+  const {rows, errors} = parseCsvRows(text);
+  rows.shift(); // userId,movieId,tag,timestamp
+  const records = [];
+  for (const row of rows) {
+    try {
+      const f = row.fields;
+      if (f.length < 3) throw new Error(`expected 4 fields, got ${f.length}`);
+      records.push({userId: parsePositiveInt(f[0], 'user id'), itemId: encodeItem ? encodeItem(f[1]) : parsePositiveInt(f[1], 'movie id'), tag: f[2].trim(),
+        ts: f[3] ? parseTimestampCell(f[3]) : 0});
+    } catch (err) {
+      errors.push({line: row.line, message: err.message, text: row.fields.join(',')});
+    }
+  }
+  return {records, errors};
+}
+
+// Supported dataset formats and their default file names (keys of the texts passed to parseDataset)
+// (encoding: text encoding of the original GroupLens files)
+const DATASET_FORMATS = {
+  'ml-100k': {label: 'MovieLens 100K', encoding: 'iso-8859-1', files: {ratings: 'u.data', items: 'u.item', users: 'u.user'}},
+  'ml-1m': {label: 'MovieLens 1M', encoding: 'iso-8859-1', files: {ratings: 'ratings.dat', items: 'movies.dat', users: 'users.dat'}},
+  'ml-latest': {label: 'MovieLens latest (small)', files: {ratings: 'ratings.csv', items: 'movies.csv', tags: 'tags.csv'}},
+  'csv': {label: 'Generic CSV', files: {ratings: 'ratings.csv', items: 'items.csv'}}
+};
+
+// Parse a dataset into the structures the apps index:
+//   items: Map id -> {id, title, year, genres: [flags over genreNames], tags?}
+//   interactions: [{userId, itemId, rating, ts}] sorted by ts
+//   users: Map id -> {id, age, gender, occupation, zip} (empty without a users file)
+// texts: {ratings, items?, tags?, users?} file contents; options.columns: CSV column mapping for 'csv'.
+// Returns {items, interactions, users, genreNames, problems} where problems are formatted parse error summaries.
+function parseDataset(format, texts, options = {}) {
+  const spec = DATASET_FORMATS[format];
+  if (!spec) throw new Error(`Unknown dataset format "${format}"`);
+  if (!texts.ratings) throw new Error(`Missing ratings file (${spec.files.ratings})`);
+  const problems = [];
+  const note = (file, res) => { const msg = formatParseErrors(file, res.errors); if (msg) problems.push(msg); return res; };
+
+  let interactions, itemRecords = [], itemLabels = new Map(), encodeItem = null;
+  const genreNames = MOVIELENS_GENRES.slice();
+  if (format === 'ml-100k') {
+    interactions = note(spec.files.ratings, parseMovieLensRatings(texts.ratings)).records;
+    if (texts.items) itemRecords = note(spec.files.items, parseMovieLensItems(texts.items)).records;
+  } else if (format === 'ml-1m') {
+    interactions = note(spec.files.ratings, parseMovieLens1MRatings(texts.ratings)).records;
+    if (texts.items) itemRecords = note(spec.files.items, parseMovieLens1MMovies(texts.items)).records;
+  } else {
+    const parsed = note(spec.files.ratings, parseCsvRatings(texts.ratings, format === 'csv' ? options.columns : null));
+    interactions = parsed.records;
+    itemLabels = parsed.itemLabels;
+    encodeItem = parsed.encodeItem;
+    if (texts.items) itemRecords = note(spec.files.items, parseCsvMovies(texts.items, encodeItem)).records;
+  }
+
+  const items = new Map();
+  for (const rec of itemRecords) {
+    const genres = rec.genres ? rec.genres.slice() : genreNamesToFlags(rec.genreNames, genreNames);
+    items.set(rec.id, {id: rec.id, title: rec.title, year: rec.year, genres});
+  }
+  // Items that only appear in the ratings get a placeholder title (the original id for string-keyed CSVs)
+  for (const it of interactions) {
+    if (!items.has(it.itemId)) {
+      const label = itemLabels.get(it.itemId);
+      items.set(it.itemId, {id: it.itemId, title: label != null ? String(label) : `Item ${it.itemId}`, year: null, genres: []});
+    }
+  }
+  // Pad genre vectors to the final vocabulary size (it may have grown while parsing)
+  for (const it of items.values()) while (it.genres.length < genreNames.length) it.genres.push(0);
+
+  if (texts.tags) {
+    for (const t of note(spec.files.tags || 'tags', parseCsvTags(texts.tags, encodeItem)).records) {
+      const it = items.get(t.itemId);
+      if (!it) continue;
+      if (!it.tags) it.tags = [];
+      if (!it.tags.includes(t.tag)) it.tags.push(t.tag);
+    }
+  }
+
+  const users = new Map();
+  if (texts.users && spec.files.users) {
+    const parseUsers = format === 'ml-1m' ? parseMovieLens1MUsers : parseMovieLensUsers;
+    for (const u of note(spec.files.users, parseUsers(texts.users)).records) users.set(u.id, u);
+  }
+
+  interactions.sort((a, b) => a.ts - b.ts);
+  return {items, interactions, users, genreNames, problems};
+}
+
+// One-line summary of parse errors for status messages, e.g. "u.data: 2 malformed lines skipped (line 7: ...)"
+function formatParseErrors(fileName, errors, maxShown = 3) {
+  if (!errors.length) return '';
+  const shown = errors.slice(0, maxShown).map(e => `line ${e.line}: ${e.message}`).join('; ');
+  const more = errors.length > maxShown ? `; +${errors.length - maxShown} more` : '';
+  return `${fileName}: ${errors.length} malformed line${errors.length === 1 ? '' : 's'} skipped (${shown}${more})`;
+}
+
+// Node (CLI) export; in the browser these stay globals
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = {
+    MOVIELENS_GENRES, ML1M_OCCUPATIONS, DATASET_FORMATS, parseMovieLensLines, parseMovieYear,
+    parseMovieLensItems, parseMovieLensRatings, parseMovieLensUsers, parseMovieLensGenres,
+    parseMovieLens1MRatings, parseMovieLens1MMovies, parseMovieLens1MUsers, genreNamesToFlags,
+    parseCsvRows, guessCsvColumns, parseCsvRatings, parseCsvMovies, parseCsvTags,
+    parseDataset, formatParseErrors
+  };
+}
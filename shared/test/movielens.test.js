@@ -0,0 +1,158 @@
+// movielens.test.js
+// Parser tests against the bundled ML-100K files (week4/ data and Week3 hold identical u.item/u.data copies).
+// u.user and u.genre are not bundled, so their tests use excerpts of the GroupLens files.
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const {
+  MOVIELENS_GENRES, parseMovieLensItems, parseMovieLensRatings, parseMovieLensUsers, parseMovieLensGenres,
+  parseDataset, formatParseErrors
+} = require('../movielens.js');
+
+const ROOT = path.join(__dirname, '..', '..');
+const FIXTURE_DIRS = [path.join(ROOT, 'week4', ' data'), path.join(ROOT, 'Week3')];
+const read = (dir, file) => fs.readFileSync(path.join(dir, file), 'latin1');
+
+for (const dir of FIXTURE_DIRS) {
+  const where = path.relative(ROOT, dir);
+
+  test(`${where}/u.item: 1682 movies with 19 genre flags`, () => {
+    const {records, errors} = parseMovieLensItems(read(dir, 'u.item'));
+    assert.deepEqual(errors, []);
+    assert.equal(records.length, 1682);
+    assert.deepEqual(records.map(r => r.id), records.map((r, i) => i + 1));
+    for (const r of records) {
+      assert.equal(r.genres.length, MOVIELENS_GENRES.length);
+      assert.ok(r.genres.every(g => g === 0 || g === 1));
+    }
+    assert.deepEqual(records[0], {
+      id: 1,
+      title: 'Toy Story (1995)',
+      year: 1995,
+      releaseDate: '01-Jan-1995',
+      videoReleaseDate: null,
+      imdbUrl: 'http://us.imdb.com/M/title-exact?Toy%20Story%20(1995)',
+      genres: [0, 0, 0, 1, 1, 1, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0]
+    });
+    // Animation, Children's and Comedy
+    assert.deepEqual(MOVIELENS_GENRES.filter((g, i) => records[0].genres[i]), ['Animation', "Children's", 'Comedy']);
+    // Movie 267 has no title year, release date or IMDb URL
+    const unknown = records[266];
+    assert.equal(unknown.title, 'unknown');
+    assert.equal(unknown.year, null);
+    assert.equal(unknown.releaseDate, null);
+    assert.equal(unknown.imdbUrl, null);
+    assert.equal(records.filter(r => r.year === null).length, 1);
+  });
+
+  test(`${where}/u.data: 100000 ratings from 943 users on 1682 movies`, () => {
+    const {records, errors} = parseMovieLensRatings(read(dir, 'u.data'));
+    assert.deepEqual(errors, []);
+    assert.equal(records.length, 100000);
+    assert.deepEqual(records[0], {userId: 196, itemId: 242, rating: 3, ts: 881250949});
+    assert.equal(new Set(records.map(r => r.userId)).size, 943);
+    assert.equal(new Set(records.map(r => r.itemId)).size, 1682);
+    assert.ok(records.every(r => Number.isInteger(r.rating) && r.rating >= 1 && r.rating <= 5));
+    assert.ok(records.every(r => Number.isInteger(r.ts) && r.ts > 0));
+  });
+}
+
+test('u.data: fractional ratings are kept as floats with their timestamps', () => {
+  const {records, errors} = parseMovieLensRatings('1\t10\t4.5\t881250949\n2 20  0.5\t881250950\r\n');
+  assert.deepEqual(errors, []);
+  assert.deepEqual(records, [
+    {userId: 1, itemId: 10, rating: 4.5, ts: 881250949},
+    {userId: 2, itemId: 20, rating: 0.5, ts: 881250950}
+  ]);
+});
+
+test('u.data: malformed lines are reported with their 1-based line numbers', () => {
+  const text = [
+    '196\t242\t3\t881250949',
+    '186\t302\tx\t891717742',
+    '',
+    '22\t377',
+    '244\t51\t2\tlater',
+    '0\t346\t1\t886397596',
+    '166\t346\t1\t886397596'
+  ].join('\n');
+  const {records, errors} = parseMovieLensRatings(text);
+  assert.equal(records.length, 2);
+  assert.deepEqual(errors.map(e => e.line), [2, 4, 5, 6]);
+  assert.match(errors[0].message, /invalid rating "x"/);
+  assert.match(errors[1].message, /expected 4 tab-separated fields, got 2/);
+  assert.match(errors[2].message, /invalid timestamp "later"/);
+  assert.match(errors[3].message, /invalid user id "0"/);
+  assert.equal(errors[1].text, '22\t377');
+  assert.equal(formatParseErrors('u.data', errors, 2),
+    'u.data: 4 malformed lines skipped (line 2: invalid rating "x"; line 4: expected 4 tab-separated fields, got 2; +2 more)');
+});
+
+test('u.item: malformed lines are reported with their 1-based line numbers', () => {
+  const flags = new Array(19).fill('0');
+  const text = [
+    ['1', 'Toy Story (1995)', '01-Jan-1995', '', 'http://us.imdb.com/M/title-exact?Toy%20Story%20(1995)', ...flags],
+    ['2', 'GoldenEye (1995)', '01-Jan-1995', ''],
+    ['3', '', '01-Jan-1995', '', '', ...flags],
+    ['4', 'Get Shorty (1995)', '01-Jan-1995', '', '', ...flags.slice(1), '2']
+  ].map(f => f.join('|')).join('\n');
+  const {records, errors} = parseMovieLensItems(text);
+  assert.deepEqual(records.map(r => r.id), [1]);
+  assert.deepEqual(errors.map(e => [e.line, e.message]), [
+    [2, 'expected 24 pipe-separated fields, got 4'],
+    [3, 'empty title'],
+    [4, 'invalid genre flag "2"']
+  ]);
+});
+
+test('u.user: users with age, gender, occupation and zip code', () => {
+  const text = '1|24|M|technician|85711\n2|53|F|other|94043\n3|23|X|writer|32067\n4|24|M||43537\n';
+  const {records, errors} = parseMovieLensUsers(text);
+  assert.deepEqual(records, [
+    {id: 1, age: 24, gender: 'M', occupation: 'technician', zip: '85711'},
+    {id: 2, age: 53, gender: 'F', occupation: 'other', zip: '94043'}
+  ]);
+  assert.deepEqual(errors.map(e => [e.line, e.message]), [[3, 'invalid gender "X"'], [4, 'empty occupation']]);
+});
+
+test('u.genre: the 19 genre names in flag order', () => {
+  const text = MOVIELENS_GENRES.map((g, i) => `${g}|${i}`).join('\n') + '\n\n';
+  const {records, errors} = parseMovieLensGenres(text);
+  assert.deepEqual(errors, []);
+  assert.deepEqual(records.map(r => r.name), MOVIELENS_GENRES);
+  assert.deepEqual(records.map(r => r.id), MOVIELENS_GENRES.map((g, i) => i));
+  assert.deepEqual(parseMovieLensGenres('Action|1\nWestern|x\n').errors.map(e => e.line), [2]);
+});
+
+test('parseDataset: the bundled ML-100K files index every rated movie', () => {
+  const dir = FIXTURE_DIRS[0];
+  const {items, interactions, users, genreNames, problems} =
+    parseDataset('ml-100k', {ratings: read(dir, 'u.data'), items: read(dir, 'u.item')});
+  assert.deepEqual(problems, []);
+  assert.equal(items.size, 1682);
+  assert.equal(interactions.length, 100000);
+  assert.equal(users.size, 0);
+  assert.deepEqual(genreNames, MOVIELENS_GENRES);
+  assert.ok(interactions.every((r, i) => i === 0 || interactions[i - 1].ts <= r.ts));
+  assert.equal(items.get(1).title, 'Toy Story (1995)');
+});
+
+test('parseDataset: string item ids of a generic CSV match across ratings, items and tags', () => {
+  const {items, interactions, problems} = parseDataset('csv', {
+    ratings: 'user,item,rating\nalice,tt0114709,5\nbob,tt0113189,3\nalice,tt0113189,4\n',
+    items: 'itemId,title,genres\ntt0113189,GoldenEye (1995),Action|Thriller\ntt0114709,Toy Story (1995),Animation\n'
+      + 'tt0000001,Never Rated (1990),Drama\n',
+    tags: 'userId,itemId,tag\n1,tt0114709,pixar\n'
+  }, {columns: {user: 'user', item: 'item', rating: 'rating'}});
+  assert.deepEqual(problems, []);
+  assert.deepEqual(interactions.map(r => r.itemId), [1, 2, 2]);
+  assert.equal(items.get(1).title, 'Toy Story (1995)');
+  assert.deepEqual(items.get(1).tags, ['pixar']);
+  assert.equal(items.get(2).title, 'GoldenEye (1995)');
+  assert.equal(items.get(2).year, 1995);
+  // items without ratings get ids after the rated ones instead of colliding with them
+  assert.equal(items.get(3).title, 'Never Rated (1990)');
+  assert.equal(items.size, 3);
+});
@@ -0,0 +1,32 @@
+// training-schedule.test.js
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const {createLrSchedule, createEarlyStopping} = require('../training-schedule.js');
+
+test('createEarlyStopping: non-finite values never improve and count towards patience', () => {
+  const stopping = createEarlyStopping({patience: 2});
+  assert.deepEqual(stopping.observe(0, NaN), {improved: false, stop: false});
+  assert.equal(stopping.bestEpoch, -1);
+  assert.deepEqual(stopping.observe(1, 0.5), {improved: true, stop: false});
+  assert.deepEqual(stopping.observe(2, Infinity), {improved: false, stop: false});
+  assert.deepEqual(stopping.observe(3, NaN), {improved: false, stop: true});
+  assert.equal(stopping.bestEpoch, 1);
+  assert.equal(stopping.bestValue, 0.5);
+});
+
+test('createEarlyStopping: max mode keeps the highest value', () => {
+  const stopping = createEarlyStopping({mode: 'max'});
+  [0.1, 0.3, 0.2, -Infinity].forEach((v, epoch) => stopping.observe(epoch, v));
+  assert.equal(stopping.bestEpoch, 1);
+  assert.equal(stopping.bestValue, 0.3);
+});
+
+test('createLrSchedule: plateau ignores non-finite losses', () => {
+  const schedule = createLrSchedule({type: 'plateau', lr: 0.1, patience: 1, gamma: 0.5});
+  schedule.observe(1);
+  schedule.observe(NaN);
+  assert.equal(schedule.lrForEpoch(2), 0.1);
+  schedule.observe(2);
+  assert.equal(schedule.lrForEpoch(3), 0.05);
+});
@@ -0,0 +1,124 @@
+// training-control.js
+// Pause/resume/cancel plumbing for long training runs, shared by the Week3 and week4 demos.
+// - createTrainingControl(): flags a training loop polls between batches (works in a worker or on the page)
+// - startTrainingWorker(): runs a training worker script and exposes the same pause/resume/cancel calls
+//
+// Worker protocol (see week4/train-worker.js, Week3/train-worker.js):
+//   page -> worker: {type: 'start', ...payload}, {type: 'pause'}, {type: 'resume'}, {type: 'cancel'}
+//   worker -> page: {type: 'batch', ...}, {type: 'epoch', ...}, {type: 'done', result}, {type: 'error', message}
+
+// Yield to the event loop at most this often, so control messages and UI updates get through
+const TRAINING_YIELD_MS = 30;
+
+function createTrainingControl() {
+  let paused = false;
+  let cancelled = false;
+  let lastYield = Date.now();
+  let waiters = [];
+  const wake = () => { waiters.forEach(w => w()); waiters = []; };
+
+  return {
+    get paused() { return paused; },
+    get cancelled() { return cancelled; },
+    pause() { if (!cancelled) paused = true; },
+    resume() { paused = false; wake(); },
+    cancel() { cancelled = true; paused = false; wake(); },
+    // Apply a 'pause' | 'resume' | 'cancel' message
+    handle(type) {
+      if (type === 'pause') this.pause();
+      else if (type === 'resume') this.resume();
+      else if (type === 'cancel') this.cancel();
+    },
+    // Awaited by the training loop between batches. Waits while paused; resolves true once the run should stop.
+    async checkpoint() {
+      if (Date.now() - lastYield > TRAINING_YIELD_MS) {
+        await new Promise(r => setTimeout(r, 0));
+        lastYield = Date.now();
+      }
+      while (paused && !cancelled) await new Promise(r => waiters.push(r));
+      return cancelled;
+    }
+  };
+}
+
+// Start a training worker and stream its messages to handlers.onMessage(msg).
+// runInPage(control, emit), if given, is used when workers are unavailable (e.g. the page is opened from disk):
+// it must run the same job on the page, reporting through emit(msg), and resolve with the result.
+// Returns {pause(), resume(), cancel(), done} where done resolves with the job result.
+function startTrainingWorker(scriptUrl, payload, handlers = {}, runInPage = null) {
+  const onMessage = handlers.onMessage || (() => {});
+  let worker = null;
+  let control = null;
+  let paused = false;
+
+  const fallback = () => {
+    if (!runInPage) throw new Error('Web Workers are not available and no in-page fallback was given');
+    control = createTrainingControl();
+    if (paused) control.pause();
+    return runInPage(control, onMessage);
+  };
+
+  const done = new Promise((resolve, reject) => {
+    let started = false;
+    try {
+      worker = new Worker(scriptUrl);
+    } catch (err) {
+      console.warn('Training worker unavailable, training on the page instead:', err);
+      worker = null;
+      fallback().then(resolve, reject);
+      return;
+    }
+    worker.onmessage = (e) => {
+      const msg = e.data;
+      started = true;
+      if (msg.type === 'done') { worker.terminate(); resolve(msg.result); return; }
+      if (msg.type === 'error') { worker.terminate(); reject(new Error(msg.message)); return; }
+      onMessage(msg);
+    };
+    worker.onerror = (e) => {
+      e.preventDefault();
+      worker.terminate();
+      // a worker that fails before its first message could not load its scripts: run on the page instead
+      if (!started && runInPage) {
+        console.warn('Training worker failed to start, training on the page instead:', e.message);
+        worker = null;
+        fallback().then(resolve, reject);
+      } else {
+        reject(new Error(e.message || 'training worker failed'));
+      }
+    };
+    worker.postMessage(Object.assign({type: 'start'}, payload));
+  });
+
+  const send = (type) => {
+    if (worker) worker.postMessage({type});
+    else if (control) control.handle(type);
+  };
+  return {
+    done,
+    pause() { paused = true; send('pause'); },
+    resume() { paused = false; send('resume'); },
+    cancel() { send('cancel'); }
+  };
+}
+
+// Worker side: run job(payload, control, emit) on the 'start' message and route control messages
+function serveTrainingJob(job) {
+  let control = null;
+  self.onmessage = async (e) => {
+    const msg = e.data;
+    if (msg.type !== 'start') { if (control) control.handle(msg.type); return; }
+    control = createTrainingControl();
+    try {
+      const result = await job(msg, control, (m) => self.postMessage(m));
+      self.postMessage({type: 'done', result});
+    } catch (err) {
+      self.postMessage({type: 'error', message: err && err.message ? err.message : String(err)});
+    }
+  };
+}
+
+// Node (CLI) export; in the browser these stay globals
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = { createTrainingControl, startTrainingWorker, serveTrainingJob };
+}
@@ -0,0 +1,66 @@
+// training-schedule.js
+// Learning-rate schedules and early stopping for the epoch loops of the Week3 and week4 demos.
+// - createLrSchedule(): the learning rate of every epoch (constant, step decay, cosine annealing, reduce on plateau)
+// - createEarlyStopping(): tracks a validation value per epoch and says when it last improved and when to stop
+//
+// Both are plain JS with no TF.js dependency; the training loops set optimizer.learningRate themselves.
+
+const LR_SCHEDULES = ['constant', 'step', 'cosine', 'plateau'];
+
+// spec: {type = 'constant', lr, epochs, stepSize = 3, gamma = 0.5, minLr = lr / 100, patience = 1}
+//   step    - multiply by gamma every stepSize epochs
+//   cosine  - anneal from lr to minLr over `epochs` along half a cosine
+//   plateau - multiply by gamma whenever the observed value has not improved for `patience` epochs (not below minLr)
+// lrForEpoch(epoch) is asked before each epoch; observe(value) is called after it with the value to minimise
+// (only plateau uses it).
+function createLrSchedule(spec) {
+  const type = spec.type || 'constant';
+  if (!LR_SCHEDULES.includes(type)) throw new Error(`Unknown learning-rate schedule: ${type}`);
+  const lr = spec.lr;
+  const epochs = Math.max(1, spec.epochs || 1);
+  const stepSize = Math.max(1, spec.stepSize || 3);
+  const gamma = spec.gamma != null ? spec.gamma : 0.5;
+  const minLr = spec.minLr != null ? spec.minLr : lr / 100;
+  const patience = Math.max(1, spec.patience || 1);
+  let plateauLr = lr, best = Infinity, sinceImproved = 0;
+
+  return {
+    type,
+    lrForEpoch(epoch) {
+      if (type === 'step') return lr * Math.pow(gamma, Math.floor(epoch / stepSize));
+      if (type === 'cosine') return minLr + (lr - minLr) * 0.5 * (1 + Math.cos(Math.PI * Math.min(epoch, epochs - 1) / Math.max(1, epochs - 1)));
+      if (type === 'plateau') return plateauLr;
+      return lr;
+    },
+    observe(value) {
+      if (type !== 'plateau' || !Number.isFinite(value)) return;
+      if (value < best) { best = value; sinceImproved = 0; return; }
+      if (++sinceImproved >= patience) { plateauLr = Math.max(minLr, plateauLr * gamma); sinceImproved = 0; }
+    }
+  };
+}
+
+// opts: {mode = 'min' | 'max', patience = 0}; patience 0 never stops, it only tracks the best epoch.
+// observe(epoch, value) -> {improved, stop}; non-finite values (a diverged loss) never count as improved.
+// bestEpoch stays -1 until a finite value was observed.
+function createEarlyStopping(opts = {}) {
+  const mode = opts.mode || 'min';
+  const patience = opts.patience || 0;
+  let bestValue = null, bestEpoch = -1, sinceImproved = 0;
+
+  return {
+    get bestValue() { return bestValue; },
+    get bestEpoch() { return bestEpoch; },
+    observe(epoch, value) {
+      const improved = Number.isFinite(value) &&
+        (bestValue === null || (mode === 'max' ? value > bestValue : value < bestValue));
+      if (improved) { bestValue = value; bestEpoch = epoch; sinceImproved = 0; } else sinceImproved++;
+      return {improved, stop: patience > 0 && sinceImproved >= patience};
+    }
+  };
+}
+
+// Node (CLI) export; in the browser these stay globals
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = { LR_SCHEDULES, createLrSchedule, createEarlyStopping };
+}
@@ -0,0 +1,195 @@
+// ann.js
+// Approximate nearest-neighbour retrieval over item embeddings (IVF: inverted file over k-means clusters).
+// Scores are biased inner products u . v + b, as in scoreAllItems. They are turned into a nearest-neighbour
+// problem with the usual MIPS transform:
+//   item  x = [v, b, sqrt(M^2 - |[v, b]|^2)]   (M = largest |[v, b]|, so every x has norm M)
+//   query q = [u, 1, 0]
+// so |q - x|^2 = |q|^2 + M^2 - 2 (u . v + b): the closest items are the highest-scoring ones.
+// Items are clustered with k-means on x; a query scans the nprobe lists whose centroids are closest to q
+// and ranks their items by the exact score.
+
+class IVFIndex {
+  // opts: {nlist (default ~sqrt(n)), nprobe = 8, iterations = 10, maxTrainPoints = 10000}
+  constructor(opts = {}) {
+    this.nlist = opts.nlist || 0;
+    this.nprobe = opts.nprobe || 8;
+    this.iterations = opts.iterations || 10;
+    this.maxTrainPoints = opts.maxTrainPoints || 10000;
+  }
+
+  // vectors: Float32Array [n * d] (row-major), biases: Float32Array [n] or null
+  build(vectors, biases, n, d) {
+    const started = performance.now();
+    const D = d + 2;
+    this.n = n; this.d = d; this.D = D;
+    this.vectors = vectors;
+    this.biases = biases || new Float32Array(n);
+
+    // Augmented item points on a sphere of radius M
+    const points = new Float32Array(n * D);
+    let maxNorm2 = 0;
+    for (let i = 0; i < n; i++) {
+      let norm2 = this.biases[i] * this.biases[i];
+      for (let j = 0; j < d; j++) norm2 += vectors[i*d + j] ** 2;
+      maxNorm2 = Math.max(maxNorm2, norm2);
+    }
+    for (let i = 0; i < n; i++) {
+      let norm2 = this.biases[i] * this.biases[i];
+      for (let j = 0; j < d; j++) { points[i*D + j] = vectors[i*d + j]; norm2 += vectors[i*d + j] ** 2; }
+      points[i*D + d] = this.biases[i];
+      points[i*D + d + 1] = Math.sqrt(Math.max(0, maxNorm2 - norm2));
+    }
+
+    const nlist = Math.max(1, Math.min(n, this.nlist || Math.round(Math.sqrt(n))));
+    this.nlist = nlist;
+    this.centroids = kMeans(points, n, D, nlist, this.iterations, this.maxTrainPoints);
+
+    // Inverted lists: item indices per nearest centroid
+    const lists = Array.from({length: nlist}, () => []);
+    for (let i = 0; i < n; i++) lists[nearestCentroid(this.centroids, nlist, D, points, i * D)].push(i);
+    this.lists = lists.map(l => Int32Array.from(l));
+    this.buildMs = performance.now() - started;
+    return this;
+  }
+
+  // Top-k items for a query embedding (Float32Array [d]) among the nprobe closest lists.
+  // exclude: optional Set of item indices (e.g. already seen). Returns {indices, scores, scanned}.
+  search(query, k, exclude = null, nprobe = this.nprobe) {
+    const {d, D, nlist} = this;
+    // Rank centroids by |q - c|^2 up to a constant: |c|^2 - 2 q . c with q = [u, 1, 0]
+    const order = new Array(nlist);
+    for (let c = 0; c < nlist; c++) {
+      let dot = this.centroids[c*D + d], norm2 = 0;
+      for (let j = 0; j < d; j++) dot += query[j] * this.centroids[c*D + j];
+      for (let j = 0; j < D; j++) norm2 += this.centroids[c*D + j] ** 2;
+      order[c] = {c, dist: norm2 - 2 * dot};
+    }
+    order.sort((a, b) => a.dist - b.dist);
+
+    const candidates = [];
+    let scanned = 0;
+    for (let p = 0; p < Math.min(nprobe, nlist); p++) {
+      const list = this.lists[order[p].c];
+      scanned += list.length;
+      for (let n = 0; n < list.length; n++) {
+        const i = list[n];
+        if (exclude && exclude.has(i)) continue;
+        candidates.push({i, s: this.score(query, i)});
+      }
+    }
+    candidates.sort((a, b) => b.s - a.s);
+    const top = candidates.slice(0, k);
+    return {indices: top.map(x => x.i), scores: top.map(x => x.s), scanned};
+  }
+
+  // Exact top-k by scanning every item (the brute-force reference for recall and timings)
+  searchExact(query, k, exclude = null) {
+    const scores = new Float32Array(this.n);
+    for (let i = 0; i < this.n; i++) scores[i] = this.score(query, i);
+    const indices = topKIndices(scores, k, exclude);
+    return {indices, scores: indices.map(i => scores[i]), scanned: this.n};
+  }
+
+  score(query, i) {
+    let s = this.biases[i];
+    const off = i * this.d;
+    for (let j = 0; j < this.d; j++) s += query[j] * this.vectors[off + j];
+    return s;
+  }
+
+  // Index the item tower of a TwoTowerModel or DeepRecModel (item embeddings + item biases)
+  static async fromModel(model, opts = {}) {
+    const all = await model.getItemEmbeddings(Array.from({length: model.numItems}, (_, i) => i));
+    const vectors = await all.data();
+    const d = all.shape[1];
+    all.dispose();
+    const biases = await model.itemBias.data();
+    return new IVFIndex(opts).build(vectors, biases, model.numItems, d);
+  }
+}
+
+// Squared-L2 nearest centroid for the point at points[off .. off+D)
+function nearestCentroid(centroids, k, D, points, off) {
+  let best = 0, bestDist = Infinity;
+  for (let c = 0; c < k; c++) {
+    let dist = 0;
+    for (let j = 0; j < D; j++) {
+      const diff = points[off + j] - centroids[c*D + j];
+      dist += diff * diff;
+    }
+    if (dist < bestDist) { bestDist = dist; best = c; }
+  }
+  return best;
+}
+
+// Lloyd's k-means (k-means++ seeding) on up to maxTrainPoints sampled rows; returns centroids Float32Array [k * D]
+function kMeans(points, n, D, k, iterations, maxTrainPoints) {
+  const sample = [];
+  const step = Math.max(1, n / Math.min(n, maxTrainPoints));
+  for (let x = 0; x < n; x += step) sample.push(Math.floor(x));
+  const m = sample.length;
+
+  const centroids = new Float32Array(k * D);
+  const dist2 = new Float64Array(m).fill(Infinity);
+  let chosen = sample[Math.floor(Math.random() * m)];
+  for (let c = 0; c < k; c++) {
+    centroids.set(points.subarray(chosen * D, chosen * D + D), c * D);
+    let total = 0;
+    for (let s = 0; s < m; s++) {
+      let dist = 0;
+      for (let j = 0; j < D; j++) dist += (points[sample[s]*D + j] - centroids[c*D + j]) ** 2;
+      if (dist < dist2[s]) dist2[s] = dist;
+      total += dist2[s];
+    }
+    let r = Math.random() * total;
+    chosen = sample[m - 1];
+    for (let s = 0; s < m; s++) { r -= dist2[s]; if (r <= 0) { chosen = sample[s]; break; } }
+  }
+
+  const assign = new Int32Array(m);
+  for (let it = 0; it < iterations; it++) {
+    for (let s = 0; s < m; s++) assign[s] = nearestCentroid(centroids, k, D, points, sample[s] * D);
+    const sums = new Float64Array(k * D);
+    const counts = new Int32Array(k);
+    for (let s = 0; s < m; s++) {
+      const c = assign[s];
+      counts[c]++;
+      for (let j = 0; j < D; j++) sums[c*D + j] += points[sample[s]*D + j];
+    }
+    for (let c = 0; c < k; c++) {
+      if (counts[c] === 0) continue;  // empty cluster keeps its previous centroid
+      for (let j = 0; j < D; j++) centroids[c*D + j] = sums[c*D + j] / counts[c];
+    }
+  }
+  return centroids;
+}
+
+// Recall of index.search against exact search, and mean query times, over the given query embeddings.
+// queries: [{vector: Float32Array [d], exclude: Set | null}]
+function benchmarkIndex(index, queries, k) {
+  let hits = 0, total = 0, annMs = 0, exactMs = 0, scanned = 0;
+  for (const q of queries) {
+    let t = performance.now();
+    const exact = index.searchExact(q.vector, k, q.exclude);
+    exactMs += performance.now() - t;
+    t = performance.now();
+    const approx = index.search(q.vector, k, q.exclude);
+    annMs += performance.now() - t;
+    scanned += approx.scanned;
+    const truth = new Set(exact.indices);
+    for (const i of approx.indices) if (truth.has(i)) hits++;
+    total += exact.indices.length;
+  }
+  const nq = Math.max(1, queries.length);
+  return {
+    recall: total ? hits / total : 0,
+    annMs: annMs / nq,
+    exactMs: exactMs / nq,
+    scannedFraction: scanned / nq / Math.max(1, index.n)
+  };
+}
+
+// Node (CLI) export; in the browser these stay globals
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = { IVFIndex, benchmarkIndex };
+}
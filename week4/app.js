@@ -1,30 +1,139 @@
 // app.js
 // Main application logic with robust data-loading fallback (tries multiple relative paths and local file upload if hosted files are missing).
-// Depends on two-tower.js which exposes TwoTowerModel and DeepRecModel classes.
+// Depends on two-tower.js which exposes TwoTowerModel and DeepRecModel classes,
+// evaluation.js for the held-out split and ranking metrics, and model-store.js for save/load.
+// Training runs in train-worker.js (trainer.js on the page if workers are unavailable).
 
 (async () => {
   // DOM elements
   const btnLoad = document.getElementById('btnLoad');
   const btnTrain = document.getElementById('btnTrain');
+  const btnPause = document.getElementById('btnPause');
+  const btnCancel = document.getElementById('btnCancel');
   const btnTest = document.getElementById('btnTest');
+  const btnEval = document.getElementById('btnEval');
+  const btnSaveModel = document.getElementById('btnSaveModel');
+  const btnLoadModel = document.getElementById('btnLoadModel');
+  const btnDownloadModel = document.getElementById('btnDownloadModel');
+  const fileModel = document.getElementById('fileModel');
+  const coldSearch = document.getElementById('coldSearch');
+  const coldRating = document.getElementById('coldRating');
+  const btnColdAdd = document.getElementById('btnColdAdd');
+  const btnColdRecommend = document.getElementById('btnColdRecommend');
+  const demoAge = document.getElementById('demoAge');
+  const demoGender = document.getElementById('demoGender');
+  const demoOccupation = document.getElementById('demoOccupation');
+  const demoZip = document.getElementById('demoZip');
+  const btnDemoRecommend = document.getElementById('btnDemoRecommend');
+  const appendUser = document.getElementById('appendUser');
+  const appendSearch = document.getElementById('appendSearch');
+  const appendRating = document.getElementById('appendRating');
+  const btnAppendAdd = document.getElementById('btnAppendAdd');
+  const appendList = document.getElementById('appendList');
+  const appendLines = document.getElementById('appendLines');
+  const inputAppendEpochs = document.getElementById('appendEpochs');
+  const inputAppendLR = document.getElementById('appendLR');
+  const inputAppendRecent = document.getElementById('appendRecent');
+  const inputAppendReplay = document.getElementById('appendReplay');
+  const btnAppend = document.getElementById('btnAppend');
+  const appendArea = document.getElementById('appendArea');
+  const coldList = document.getElementById('coldList');
+  const itemTitles = document.getElementById('itemTitles');
+  const similarSearch = document.getElementById('similarSearch');
+  const btnSimilar = document.getElementById('btnSimilar');
+  const similarArea = document.getElementById('similarArea');
+  const btnBuildAnn = document.getElementById('btnBuildAnn');
+  const inputNlist = document.getElementById('inputNlist');
+  const inputNprobe = document.getElementById('inputNprobe');
+  const annArea = document.getElementById('annArea');
   const status = document.getElementById('status');
   const lossCanvas = document.getElementById('lossCanvas');
   const projCanvas = document.getElementById('projCanvas');
+  const selProjMethod = document.getElementById('selProjMethod');
+  const selProjColour = document.getElementById('selProjColour');
+  const inputProjPoints = document.getElementById('inputProjPoints');
+  const btnProject = document.getElementById('btnProject');
+  const inputProjUser = document.getElementById('inputProjUser');
+  const btnProjUser = document.getElementById('btnProjUser');
+  const btnProjReset = document.getElementById('btnProjReset');
+  const projLegend = document.getElementById('projLegend');
+  const projSelection = document.getElementById('projSelection');
   const progressDiv = document.getElementById('progress');
   const tableArea = document.getElementById('tableArea');
+  const evalArea = document.getElementById('evalArea');
   const tooltip = document.getElementById('tooltip');
   const fileUdata = document.getElementById('fileUdata');
   const fileUitem = document.getElementById('fileUitem');
+  const fileTags = document.getElementById('fileTags');
+  const fileUsers = document.getElementById('fileUsers');
+  const selDataset = document.getElementById('selDataset');
+  const csvMapping = document.getElementById('csvMapping');
+  const csvColumnSelects = {
+    user: document.getElementById('mapUser'),
+    item: document.getElementById('mapItem'),
+    rating: document.getElementById('mapRating'),
+    timestamp: document.getElementById('mapTimestamp')
+  };
 
   const inputEmbDim = document.getElementById('inputEmbDim');
   const inputEpochs = document.getElementById('inputEpochs');
   const inputBatch = document.getElementById('inputBatch');
   const inputMaxInt = document.getElementById('inputMaxInt');
+  const inputHoldout = document.getElementById('inputHoldout');
+  const inputEvalK = document.getElementById('inputEvalK');
+  const inputLR = document.getElementById('inputLR');
+  const inputL2 = document.getElementById('inputL2');
 
   const optBPR = document.getElementById('optBPR');
   const optUseGenres = document.getElementById('optUseGenres');
   const optUseUserFeat = document.getElementById('optUseUserFeat');
   const optIncludeDL = document.getElementById('optIncludeDL');
+  const optDemographics = document.getElementById('optDemographics');
+  const selNegatives = document.getElementById('selNegatives');
+  const inputMinRating = document.getElementById('inputMinRating');
+  const inputConfidence = document.getElementById('inputConfidence');
+  const optRatingHead = document.getElementById('optRatingHead');
+  const optKeepBest = document.getElementById('optKeepBest');
+  const inputValidation = document.getElementById('inputValidation');
+  const inputPatience = document.getElementById('inputPatience');
+  const selLrSchedule = document.getElementById('selLrSchedule');
+  const inputL2User = document.getElementById('inputL2User');
+  const inputL2Item = document.getElementById('inputL2Item');
+  const inputL2ItemBias = document.getElementById('inputL2ItemBias');
+  const optFreqL2 = document.getElementById('optFreqL2');
+  const selNormConstraint = document.getElementById('selNormConstraint');
+  const inputMaxNorm = document.getElementById('inputMaxNorm');
+  const inputDropout = document.getElementById('inputDropout');
+  const optRanker = document.getElementById('optRanker');
+  const selRankerLoss = document.getElementById('selRankerLoss');
+  const inputCandidates = document.getElementById('inputCandidates');
+  const optBaselines = document.getElementById('optBaselines');
+  const selKnnSimilarity = document.getElementById('selKnnSimilarity');
+  const optSequential = document.getElementById('optSequential');
+  const optRerank = document.getElementById('optRerank');
+  const inputDiversity = document.getElementById('inputDiversity');
+  const diversityValue = document.getElementById('diversityValue');
+  const inputPopPenalty = document.getElementById('inputPopPenalty');
+  const inputMaxPerGenre = document.getElementById('inputMaxPerGenre');
+  const sweepInputs = {
+    embDim: document.getElementById('sweepEmbDim'),
+    epochs: document.getElementById('sweepEpochs'),
+    batchSize: document.getElementById('sweepBatch'),
+    maxInteractions: document.getElementById('sweepMaxInt'),
+    lr: document.getElementById('sweepLR'),
+    useBPR: document.getElementById('sweepLoss'),
+    l2: document.getElementById('sweepL2'),
+    l2User: document.getElementById('sweepL2User'),
+    l2Item: document.getElementById('sweepL2Item'),
+    l2ItemBias: document.getElementById('sweepL2ItemBias')
+  };
+  const selSweepMethod = document.getElementById('selSweepMethod');
+  const inputSweepSamples = document.getElementById('sweepSamples');
+  const inputSweepPatience = document.getElementById('sweepPatience');
+  const btnSweep = document.getElementById('btnSweep');
+  const btnSweepApply = document.getElementById('btnSweepApply');
+  const sweepArea = document.getElementById('sweepArea');
+  const inputSeqLen = document.getElementById('inputSeqLen');
 
   // Canvas contexts
   const lossCtx = lossCanvas.getContext('2d');
@@ -32,7 +141,9 @@
 
   // App state
   let interactions = []; // {userId, itemId, rating, ts}
-  let items = new Map(); // itemId -> {title, year, genres: [0/1..]}
+  let items = new Map(); // itemId -> {id, title, year, releaseDate, imdbUrl, genres: [0/1..]}
+  let genreNames = []; // names of the genre flags in items
+  let users = new Map(); // userId -> {id, age, gender, occupation, zip} (u.user / users.dat; empty without one)
   let usersMap = new Map(); // internal userIdx -> [{itemIdx, rating, ts}]
   let userIndex = new Map(); // original userId -> 0-based idx
   let itemIndex = new Map(); // original itemId -> 0-based idx
@@ -42,16 +153,42 @@
 
   let twoTower = null;
   let deepModel = null;
+  let split = null; // {train, test} usersMap-shaped Maps the current models were trained on
+  let trainedHyperparams = null; // UI settings of the current models (saved with them)
+  let trainingJob = null; // running startTrainingWorker job: {pause, resume, cancel, done}
+  let annIndexes = null; // {twoTower: IVFIndex, deep: IVFIndex | null} over the current models' item towers
+  let ranker = null; // RankerModel re-scoring Two-Tower candidates (optional second stage)
+  let rankerContext = null; // {itemFeatures, userFeat} the ranker scores with
+  let sequentialModel = null; // SequentialModel predicting the next item from a user's time-ordered history
+  let baselines = []; // non-neural recommenders (baselines.js) fitted on split.train
+  let diversityContext = null; // {vectors, d, itemGenres, numGenres, popularity} for re-ranking and list metrics
+  const RERANK_CANDIDATES = 100; // Two-Tower candidates the diversity re-ranker picks from
+  let sweepRuns = []; // finished sweep runs (see renderSweepTable in sweep.js), with their lossHistory
+  let sweepSort = {key: 'recall', descending: true};
+  const SWEEP_VALIDATION_PER_USER = 2; // most recent training interactions per user held out for sweep validation
+  const RANKER_LABELS_PER_USER = 2; // most recent training interactions kept from the towers to label ranker lists
 
-  let itemEmbeddingSample2D = []; // for plotting
+  // Embedding explorer (projection.js): the current map of sampled Two-Tower items and what is drawn on it
+  let projection = null; // {method, idxs: internal item indices, vectors, d, points: Float32Array [n * 2], place(vector) -> [x, y]}
+  let projectionView = {scale: 1, dx: 0, dy: 0}; // zoom/pan on top of fitting the map to the canvas
+  let projectionUser = null; // overlay: {userId, pos: [x, y], rated: [{itemIdx, rating, pos}]}
+  let projectionSelection = []; // internal item indices inside the last lasso
+  let projectionDrag = null; // mouse drag in progress: {mode: 'pan', x, y} | {mode: 'lasso', path: [[x, y], ...]}
+  let projectionHits = []; // hover targets of the last drawing: {x, y, itemIdx, label} in canvas pixels
+  let coldRatings = []; // new-user onboarding: [{itemIdx, rating}]
+  let appendedInteractions = []; // ratings appended after training ({userId, itemId, rating, ts}); always indexed
+  let pendingRatings = []; // append panel entries not appended yet: [{userId, itemId, rating}]
+  const COLD_MIN_RATINGS = 5, COLD_MAX_RATINGS = 20;
 
   // Helpers
   function setStatus(s) { status.innerText = s; }
   function setProgress(s) { progressDiv.innerText = s; }
   function sleep(ms) { return new Promise(r => setTimeout(r, ms)); }
 
-  // Simple loss plot
-  function plotLoss(lossHistory) {
+  // Loss plot: training loss per batch, plus an optional validation curve
+  // validation: null | {epochEnds: number of batches recorded at the end of each epoch, losses: one per epoch}
+  // Both curves share the y axis, so the gap between them shows over- or underfitting.
+  function plotLoss(lossHistory, validation = null) {
     const ctx = lossCtx;
     const w = lossCanvas.width;
     const h = lossCanvas.height;
@@ -64,130 +201,195 @@
       return;
     }
     const pad = 32;
-    const max = Math.max(...lossHistory);
-    const min = Math.min(...lossHistory);
+    const valLosses = validation ? validation.losses.filter(Number.isFinite) : [];
+    const max = Math.max(...lossHistory, ...valLosses);
+    const min = Math.min(...lossHistory, ...valLosses);
+    const xAt = (i) => pad + (i/Math.max(1, lossHistory.length-1))*(w-2*pad);
+    const yAt = (v) => h - pad - ((v-min)/(max-min+1e-9))*(h-2*pad);
     ctx.strokeStyle = '#2b7';
     ctx.beginPath();
     for (let i=0;i<lossHistory.length;i++) {
-      const x = pad + (i/(lossHistory.length-1))*(w-2*pad);
-      const v = lossHistory[i];
-      const y = h - pad - ((v-min)/(max-min+1e-9))*(h-2*pad);
+      const x = xAt(i), y = yAt(lossHistory[i]);
       if (i===0) ctx.moveTo(x,y); else ctx.lineTo(x,y);
     }
     ctx.stroke();
     ctx.fillStyle = '#333';
     ctx.fillText(`loss (min ${min.toFixed(4)} max ${max.toFixed(4)})`, 8, 12);
+    if (!valLosses.length) return;
+    ctx.strokeStyle = ctx.fillStyle = '#e67e22';
+    ctx.beginPath();
+    validation.losses.forEach((v, e) => {
+      const x = xAt(validation.epochEnds[e] - 1), y = yAt(v);
+      if (e===0) ctx.moveTo(x,y); else ctx.lineTo(x,y);
+      ctx.fillRect(x-2, y-2, 4, 4);
+    });
+    ctx.stroke();
+    const last = validation.losses[validation.losses.length - 1];
+    ctx.fillText(`validation (last ${last.toFixed(4)})`, w - pad - 140, 12);
+    ctx.fillStyle = '#2b7';
+    ctx.fillText('training', w - pad - 200, 12);
   }
 
-  // PCA approx (power iteration)
-  async function computePCA2D(tensorX, iterations=30) {
-    return tf.tidy(() => {
-      const mean = tensorX.mean(0);
-      let X = tensorX.sub(mean);
-      const n = X.shape[0];
-      const C = X.transpose().matMul(X).div(n);
-      function powerIter(Cmat) {
-        let v = tf.randomNormal([Cmat.shape[1], 1]);
-        for (let i=0;i<iterations;i++) {
-          v = Cmat.matMul(v);
-          const norm = v.norm();
-          v = v.div(norm.add(1e-9));
-        }
-        const eigenvec = v.reshape([Cmat.shape[1]]);
-        const eigenval = tf.squeeze(tf.matMul(tf.matMul(eigenvec.expandDims(0), Cmat), eigenvec.expandDims(1)));
-        return {eigenvec, eigenval};
-      }
-      const {eigenvec: v1, eigenval: l1} = powerIter(C);
-      const v1col = v1.reshape([v1.shape[0],1]);
-      const C2 = C.sub(v1col.matMul(v1col.transpose()).mul(l1));
-      const {eigenvec: v2} = powerIter(C2);
-      const P = tf.stack([v1, v2], 1);
-      const proj = X.matMul(P);
-      return {proj, mean, pcs: P};
-    });
+  // Embedding explorer drawing: fits the map into the canvas, then applies the zoom/pan of projectionView.
+  // Returns (x, y) in map coordinates -> [canvasX, canvasY].
+  function projectionTransform() {
+    const W = projCanvas.width, H = projCanvas.height, pad = 24;
+    const pts = projection.points;
+    let minx = Infinity, maxx = -Infinity, miny = Infinity, maxy = -Infinity;
+    for (let n = 0; n < pts.length; n += 2) {
+      minx = Math.min(minx, pts[n]); maxx = Math.max(maxx, pts[n]);
+      miny = Math.min(miny, pts[n+1]); maxy = Math.max(maxy, pts[n+1]);
+    }
+    const {scale, dx, dy} = projectionView;
+    return (x, y) => [
+      (pad + ((x - minx)/(maxx - minx + 1e-9))*(W-2*pad)) * scale + dx,
+      (pad + ((y - miny)/(maxy - miny + 1e-9))*(H-2*pad)) * scale + dy
+    ];
+  }
+
+  // Item colours by the selected attribute -> {colourOf(itemIdx), describe(itemIdx), legend: html}
+  //   genre: first flagged genre of the item; year: release year; popularity: log rating count in training
+  function projectionColouring() {
+    const mode = selProjColour.value;
+    if (mode === 'genre') {
+      const genres = buildInternalGenres(items, indexItem);
+      const primary = (i) => (genres[i] || []).findIndex(flag => flag);
+      const used = Array.from(new Set(projection.idxs.map(primary))).filter(g => g >= 0).sort((a,b) => a-b);
+      return {
+        colourOf: (i) => primary(i) >= 0 ? categoryColour(primary(i)) : '#bbb',
+        describe: (i) => primary(i) >= 0 ? genreNames[primary(i)] : 'no genre',
+        legend: used.map(g => `<span style="white-space:nowrap"><span style="display:inline-block;width:10px;height:10px;border-radius:5px;background:${categoryColour(g)}"></span> ${escapeHtml(genreNames[g] || 'genre ' + g)}</span>`).join(' ')
+      };
+    }
+    const popularity = itemPopularity(split ? split.train : usersMap, numItems);
+    const value = mode === 'year'
+      ? (i) => { const it = items.get(indexItem[i]); return it && it.year ? it.year : null; }
+      : (i) => Math.log1p(popularity[i]);
+    const values = projection.idxs.map(value).filter(v => v != null);
+    const min = values.length ? Math.min(...values) : 0, max = values.length ? Math.max(...values) : 1;
+    const label = (v) => mode === 'year' ? String(v) : `${Math.round(Math.expm1(v))} ratings`;
+    const gradient = [0, 0.25, 0.5, 0.75, 1].map(sequentialColour).join(',');
+    return {
+      colourOf: (i) => { const v = value(i); return v == null ? '#bbb' : sequentialColour((v - min) / (max - min + 1e-9)); },
+      describe: (i) => { const v = value(i); return v == null ? 'unknown year' : label(v); },
+      legend: values.length ? `${label(min)} <span style="display:inline-block;width:140px;height:10px;vertical-align:middle;background:linear-gradient(to right,${gradient})"></span> ${label(max)}` : 'no values'
+    };
   }
 
-  // Draw projection scatter
-  function drawProjection(points) {
+  // Draw the explorer: sampled items, the lasso selection, the user overlay and a lasso being drawn.
+  // Hover targets are kept in projectionHits.
+  function drawProjection() {
     const ctx = projCtx;
     const W = projCanvas.width, H = projCanvas.height;
     ctx.clearRect(0,0,W,H);
     ctx.fillStyle = '#fff';
     ctx.fillRect(0,0,W,H);
-    if (!points || points.length===0) {
+    projectionHits = [];
+    if (!projection) {
+      projLegend.innerHTML = '';
       ctx.fillStyle = '#666'; ctx.fillText('No projection', 16, 24); return;
     }
-    const xs = points.map(p=>p.x), ys = points.map(p=>p.y);
-    const minx = Math.min(...xs), maxx = Math.max(...xs);
-    const miny = Math.min(...ys), maxy = Math.max(...ys);
-    const pad = 24;
-    for (let p of points) {
-      const cx = pad + ((p.x - minx)/(maxx - minx + 1e-9))*(W-2*pad);
-      const cy = pad + ((p.y - miny)/(maxy - miny + 1e-9))*(H-2*pad);
-      p.canvasX = cx; p.canvasY = cy;
-      ctx.beginPath(); ctx.arc(cx, cy, 3, 0, Math.PI*2); ctx.fillStyle = '#1565c0'; ctx.fill();
-    }
-    projCanvas.onmousemove = (ev) => {
-      const r = projCanvas.getBoundingClientRect();
-      const mx = ev.clientX - r.left, my = ev.clientY - r.top;
-      let nearest = null, nd = 20;
-      for (let p of points) {
-        const d = Math.hypot(p.canvasX - mx, p.canvasY - my);
-        if (d < nd) { nearest = p; nd = d; }
+    const colouring = projectionColouring();
+    projLegend.innerHTML = colouring.legend;
+    const toCanvas = projectionTransform();
+    const selected = new Set(projectionSelection);
+    const title = (i) => { const it = items.get(indexItem[i]); return it ? it.title : String(indexItem[i]); };
+
+    projection.idxs.forEach((itemIdx, n) => {
+      const [cx, cy] = toCanvas(projection.points[n*2], projection.points[n*2+1]);
+      ctx.beginPath(); ctx.arc(cx, cy, selected.has(itemIdx) ? 4 : 3, 0, Math.PI*2);
+      ctx.fillStyle = colouring.colourOf(itemIdx); ctx.fill();
+      if (selected.has(itemIdx)) { ctx.strokeStyle = '#111'; ctx.lineWidth = 1; ctx.stroke(); }
+      projectionHits.push({x: cx, y: cy, itemIdx, label: `${title(itemIdx)} — ${colouring.describe(itemIdx)}`});
+    });
+
+    // rated items as red rings (larger for higher ratings) around the user's embedding
+    if (projectionUser) {
+      const [ux, uy] = toCanvas(projectionUser.pos[0], projectionUser.pos[1]);
+      ctx.strokeStyle = '#c62828';
+      for (const r of projectionUser.rated) {
+        const [cx, cy] = toCanvas(r.pos[0], r.pos[1]);
+        ctx.globalAlpha = 0.2; ctx.lineWidth = 1;
+        ctx.beginPath(); ctx.moveTo(ux, uy); ctx.lineTo(cx, cy); ctx.stroke();
+        ctx.globalAlpha = 1; ctx.lineWidth = 1.5;
+        ctx.beginPath(); ctx.arc(cx, cy, 2 + r.rating, 0, Math.PI*2); ctx.stroke();
+        projectionHits.push({x: cx, y: cy, itemIdx: r.itemIdx, label: `${title(r.itemIdx)} — rated ${r.rating}★ by user ${projectionUser.userId}`});
       }
-      if (nearest) {
-        tooltip.style.display = 'block';
-        tooltip.style.left = (ev.clientX + 10) + 'px';
-        tooltip.style.top = (ev.clientY + 10) + 'px';
-        tooltip.innerText = `${nearest.title}`;
-      } else tooltip.style.display = 'none';
-    };
-    projCanvas.onmouseleave = () => tooltip.style.display = 'none';
-  }
-
-  // Parse functions
-  function parseItemLine(line) {
-    const parts = line.split('|');
-    if (parts.length < 2) return null;
-    const id = parseInt(parts[0], 10);
-    const rawTitle = parts[1];
-    let year = null;
-    const m = rawTitle.match(/\((\d{4})\)$/);
-    if (m) year = parseInt(m[1], 10);
-    const genreFlags = parts.slice(5).map(x => parseInt(x || '0', 10));
-    return {id, title: rawTitle, year, genres: genreFlags};
-  }
-  function parseDataLine(line) {
-    const parts = line.trim().split('\t');
-    if (parts.length < 4) return null;
-    return {
-      userId: parseInt(parts[0],10),
-      itemId: parseInt(parts[1],10),
-      rating: parseInt(parts[2],10),
-      ts: parseInt(parts[3],10)
-    };
+      ctx.fillStyle = '#c62828';
+      ctx.beginPath(); ctx.moveTo(ux, uy-8); ctx.lineTo(ux+8, uy); ctx.lineTo(ux, uy+8); ctx.lineTo(ux-8, uy); ctx.closePath(); ctx.fill();
+      ctx.fillText(`user ${projectionUser.userId}`, ux + 10, uy - 6);
+      projectionHits.push({x: ux, y: uy, itemIdx: null, label: `user ${projectionUser.userId} (${projectionUser.rated.length} rated items)`});
+    }
+
+    if (projectionDrag && projectionDrag.mode === 'lasso') {
+      ctx.strokeStyle = '#333'; ctx.lineWidth = 1; ctx.setLineDash([4, 3]);
+      ctx.beginPath();
+      projectionDrag.path.forEach(([x, y], n) => n ? ctx.lineTo(x, y) : ctx.moveTo(x, y));
+      ctx.closePath(); ctx.stroke(); ctx.setLineDash([]);
+    }
+  }
+
+  // Titles inside the last lasso, most rated first, with their genre mix
+  function renderProjectionSelection() {
+    if (!projection || !projectionSelection.length) {
+      projSelection.innerHTML = 'Wheel to zoom, drag to pan, shift+drag to lasso a group of items.';
+      return;
+    }
+    const popularity = itemPopularity(split ? split.train : usersMap, numItems);
+    const genres = buildInternalGenres(items, indexItem);
+    const genreCounts = new Map();
+    for (const i of projectionSelection) (genres[i] || []).forEach((flag, g) => { if (flag) genreCounts.set(g, (genreCounts.get(g) || 0) + 1); });
+    const topGenres = Array.from(genreCounts).sort((a,b) => b[1] - a[1]).slice(0, 5)
+      .map(([g, count]) => `${escapeHtml(genreNames[g] || 'genre ' + g)} (${count})`).join(', ');
+    const sorted = projectionSelection.slice().sort((a,b) => popularity[b] - popularity[a]);
+    let html = `<b>${sorted.length} selected</b>${topGenres ? ` <span class="small">— top genres: ${topGenres}</span>` : ''}<ol>`;
+    for (const i of sorted) {
+      const it = items.get(indexItem[i]);
+      html += `<li>${escapeHtml(it ? it.title : String(indexItem[i]))} <span class="small">(${popularity[i]} ratings)</span></li>`;
+    }
+    projSelection.innerHTML = html + '</ol>';
   }
 
   // Build indexing and usersMap
   function buildIndexing(maxInteractions) {
-    const uSet = new Set(), iSet = new Set();
-    const interactionsTrim = interactions.slice(0, maxInteractions);
-    for (const it of interactionsTrim) { uSet.add(it.userId); iSet.add(it.itemId); }
-    indexUser = Array.from(uSet).sort((a,b)=>a-b);
-    indexItem = Array.from(iSet).sort((a,b)=>a-b);
-    userIndex = new Map(indexUser.map((v,i)=>[v,i]));
-    itemIndex = new Map(indexItem.map((v,i)=>[v,i]));
+    installIndexing(indexingForMax(maxInteractions));
+  }
+
+  // Install ID mappings (e.g. restored from a saved model) and rebuild usersMap from the given interactions.
+  // Interactions whose user or item is not in the mappings are skipped.
+  function setIndexing(users, itemIds, interactionList) {
+    installIndexing(indexingFrom(users, itemIds, interactionList));
+  }
+
+  function installIndexing(indexing) {
+    ({indexUser, indexItem, userIndex, itemIndex, usersMap} = indexing);
     numUsers = indexUser.length; numItems = indexItem.length;
+  }
 
-    usersMap = new Map();
-    for (const it of interactionsTrim) {
-      const u0 = userIndex.get(it.userId);
-      const i0 = itemIndex.get(it.itemId);
+  // ID mappings and usersMap for the given users/items as plain values; nothing is installed (the sweep uses its own)
+  function indexingFrom(users, itemIds, interactionList) {
+    const indexing = {
+      indexUser: users.slice(), indexItem: itemIds.slice(),
+      userIndex: new Map(users.map((v,i)=>[v,i])), itemIndex: new Map(itemIds.map((v,i)=>[v,i])),
+      usersMap: new Map()
+    };
+    for (const it of interactionList) {
+      const u0 = indexing.userIndex.get(it.userId);
+      const i0 = indexing.itemIndex.get(it.itemId);
       if (u0==null || i0==null) continue;
-      if (!usersMap.has(u0)) usersMap.set(u0, []);
-      usersMap.get(u0).push({itemIdx: i0, rating: it.rating, ts: it.ts});
+      if (!indexing.usersMap.has(u0)) indexing.usersMap.set(u0, []);
+      indexing.usersMap.get(u0).push({itemIdx: i0, rating: it.rating, ts: it.ts});
     }
-    for (const [u, arr] of usersMap) arr.sort((a,b)=>b.ts - a.ts);
+    for (const [u, arr] of indexing.usersMap) arr.sort((a,b)=>b.ts - a.ts);
+    return indexing;
+  }
+
+  // Indexing of the first maxInteractions interactions plus the appended ones (see buildIndexing), without installing it
+  function indexingForMax(maxInteractions) {
+    const uSet = new Set(), iSet = new Set();
+    const interactionsTrim = interactions.slice(0, maxInteractions).concat(appendedInteractions);
+    for (const it of interactionsTrim) { uSet.add(it.userId); iSet.add(it.itemId); }
+    return indexingFrom(Array.from(uSet).sort((a,b)=>a-b), Array.from(iSet).sort((a,b)=>a-b), interactionsTrim);
   }
 
   function getUserTopRatedTitles(uIdx, limit=10) {
@@ -204,31 +406,84 @@
     return top;
   }
 
-  function buildPosPairs() {
-    const pairs = [];
-    for (const [uIdx, arr] of usersMap) {
-      for (const r of arr) pairs.push([uIdx, r.itemIdx]);
+  // Explorer map (projection.js) of up to inputProjPoints evenly spaced Two-Tower items by the selected method
+  // (at most MAX_PAIRWISE_POINTS for t-SNE/UMAP, whatever was typed). A user overlay is placed again on the new map.
+  async function updateProjection() {
+    const method = selProjMethod.value;
+    let sampleN = Math.max(50, parseInt(inputProjPoints.value,10) || 1000);
+    if (method !== 'pca' && sampleN > MAX_PAIRWISE_POINTS) {
+      sampleN = MAX_PAIRWISE_POINTS;
+      inputProjPoints.value = String(sampleN);
     }
-    return pairs;
+    sampleN = Math.min(sampleN, numItems);
+    const idxs = [];
+    for (let n = 0; n < sampleN; n++) idxs.push(Math.floor(n * numItems / sampleN));
+
+    const itemEmbTensor = await twoTower.getItemEmbeddings(idxs);
+    const vectors = await itemEmbTensor.data();
+    const d = itemEmbTensor.shape[1];
+    itemEmbTensor.dispose();
+    const onProgress = (it, total) => setStatus(`computing ${method === 'tsne' ? 't-SNE' : 'UMAP'} projection... ${it}/${total}`);
+    let points, place;
+    if (method === 'pca') {
+      const pca = pcaProjection(vectors, idxs.length, d);
+      points = pca.points;
+      place = (vector) => pca.project(vector);
+    } else {
+      ({points} = method === 'tsne'
+        ? await tsneProjection(vectors, idxs.length, d, {onProgress})
+        : await umapProjection(vectors, idxs.length, d, {onProgress}));
+      place = (vector) => placeByNeighbours(vector, vectors, idxs.length, d, points);
+    }
+    const overlayUserId = projectionUser ? projectionUser.userId : null;
+    projection = {method, idxs, vectors, d, points, place};
+    projectionView = {scale: 1, dx: 0, dy: 0};
+    projectionSelection = []; projectionUser = null;
+    if (overlayUserId != null && userIndex.has(overlayUserId)) await placeUserOnProjection(overlayUserId);
+    renderProjectionSelection();
+    drawProjection();
+  }
+
+  // User overlay: the user's Two-Tower embedding and every item they rated, in the space of the current map.
+  // PCA projects them exactly; t-SNE/UMAP place the user and unsampled items by their nearest sampled items.
+  async function placeUserOnProjection(userId) {
+    const uIdx = userIndex.get(userId);
+    const history = usersMap.get(uIdx) || [];
+    const userT = await twoTower.getUserEmbedding(uIdx);
+    const userVec = await userT.data();
+    userT.dispose();
+    const ratedT = history.length ? await twoTower.getItemEmbeddings(history.map(x => x.itemIdx)) : null;
+    const ratedVecs = ratedT ? await ratedT.data() : new Float32Array(0);
+    if (ratedT) ratedT.dispose();
+    const sampled = new Map(projection.idxs.map((itemIdx, n) => [itemIdx, n]));
+    const d = projection.d;
+    projectionUser = {
+      userId, pos: projection.place(userVec),
+      rated: history.map((x, m) => {
+        const n = sampled.get(x.itemIdx);
+        const pos = n != null ? [projection.points[n*2], projection.points[n*2+1]] : projection.place(ratedVecs.subarray(m*d, (m+1)*d));
+        return {itemIdx: x.itemIdx, rating: x.rating, pos};
+      })
+    };
   }
 
-  // Read a File object as text (Promise)
-  function readFileAsText(file) {
+  // Read a File object as text (Promise); encoding follows the dataset (ML-100K/1M files are Latin-1)
+  function readFileAsText(file, encoding='utf-8') {
     return new Promise((res, rej) => {
       const fr = new FileReader();
       fr.onload = () => res(fr.result);
       fr.onerror = (e) => rej(e);
-      fr.readAsText(file);
+      fr.readAsText(file, encoding);
     });
   }
 
   // Try fetch a list of candidate relative URLs for a single filename
-  async function tryFetchCandidates(candidates) {
+  async function tryFetchCandidates(candidates, encoding='utf-8') {
     for (const p of candidates) {
       try {
         const r = await fetch(p);
         if (r.ok) {
-          const txt = await r.text();
+          const txt = new TextDecoder(encoding).decode(await r.arrayBuffer());
           return {path: p, text: txt};
         }
       } catch (e) {
@@ -238,203 +493,484 @@
     return null;
   }
 
-  // Unified loader that tries hosted paths, then falls back to uploaded files
-  async function loadDataFiles() {
+  // Candidate relative paths for a dataset file (the repo copy of ML-100K lives in " data/")
+  function dataFileCandidates(name) {
+    const dirs = ['data/', './data/', '%20data/', '/data/'];
+    return dirs.flatMap(d => [d + name, d + name + '.txt']);
+  }
+
+  // Unified loader: uploaded files win, otherwise hosted paths are tried.
+  // Returns {texts: {ratings, items, tags}, attempts}
+  async function loadDataFiles(format) {
     setStatus('attempting to load data from known paths...');
+    const spec = DATASET_FORMATS[format];
+    const uploads = {ratings: fileUdata, items: fileUitem, tags: fileTags, users: fileUsers};
+    const encoding = spec.encoding || 'utf-8';
+    const texts = {};
     const attempts = [];
-    // Candidate relative paths (cover common cases)
-    const dataCandidates = ['data/u.data', './data/u.data', 'data/u.data.txt', './data/u.data.txt', '/data/u.data'];
-    const itemCandidates = ['data/u.item', './data/u.item', 'data/u.item.txt', './data/u.item.txt', '/data/u.item'];
-
-    const [gotData, gotItem] = await Promise.all([
-      tryFetchCandidates(dataCandidates),
-      tryFetchCandidates(itemCandidates)
-    ]);
-
-    // accumulate attempted paths for user info
-    attempts.push({type:'u.data', tried: dataCandidates, found: gotData ? gotData.path : null});
-    attempts.push({type:'u.item', tried: itemCandidates, found: gotItem ? gotItem.path : null});
-
-    // If any missing, try uploaded files
-    let rawData = gotData ? gotData.text : null;
-    let rawItem = gotItem ? gotItem.text : null;
-
-    if (!rawData && fileUdata.files && fileUdata.files[0]) {
-      rawData = await readFileAsText(fileUdata.files[0]);
-      attempts.push({type:'u.data', tried:'local upload', found: fileUdata.files[0].name});
-    }
-    if (!rawItem && fileUitem.files && fileUitem.files[0]) {
-      rawItem = await readFileAsText(fileUitem.files[0]);
-      attempts.push({type:'u.item', tried:'local upload', found: fileUitem.files[0].name});
+    for (const [role, name] of Object.entries(spec.files)) {
+      const input = uploads[role];
+      if (input && input.files && input.files[0]) {
+        texts[role] = await readFileAsText(input.files[0], encoding);
+        attempts.push({type: name, tried: 'local upload', found: input.files[0].name});
+        continue;
+      }
+      const candidates = dataFileCandidates(name);
+      const got = await tryFetchCandidates(candidates, encoding);
+      attempts.push({type: name, tried: candidates, found: got ? got.path : null});
+      if (got) texts[role] = got.text;
     }
+    return {texts, attempts};
+  }
 
-    return {rawData, rawItem, attempts};
+  // Generic CSV: offer the uploaded ratings file's header columns in the mapping selects
+  async function refreshCsvMapping() {
+    const isCsv = selDataset.value === 'csv';
+    csvMapping.style.display = isCsv ? '' : 'none';
+    if (!isCsv || !fileUdata.files || !fileUdata.files[0]) return;
+    const head = await fileUdata.files[0].slice(0, 64 * 1024).text();
+    const {rows} = parseCsvRows(head.slice(0, head.search(/\r?\n|$/)));
+    const header = rows.length ? rows[0].fields : [];
+    const guess = guessCsvColumns(header);
+    for (const [key, sel] of Object.entries(csvColumnSelects)) {
+      const optional = key === 'rating' || key === 'timestamp';
+      sel.innerHTML = (optional ? '<option value="">(none)</option>' : '') +
+        header.map(h => `<option value="${escapeHtml(h)}">${escapeHtml(h)}</option>`).join('');
+      sel.value = guess[key] || '';
+    }
   }
+  selDataset.onchange = refreshCsvMapping;
+  fileUdata.onchange = refreshCsvMapping;
 
   // UI: Load button handler
   btnLoad.onclick = async () => {
     setStatus('loading data...');
     try {
       const maxInt = parseInt(inputMaxInt.value,10) || 80000;
-      const {rawData, rawItem, attempts} = await loadDataFiles();
-      // Display info about attempts if something missing
-      if (!rawData || !rawItem) {
-        const msgParts = [];
-        if (!rawData) msgParts.push('u.data not found');
-        if (!rawItem) msgParts.push('u.item not found');
-        setStatus('error loading data: ' + msgParts.join(', ') + '. Use the file inputs to upload files or ensure /data/u.data and /data/u.item exist in your repo.');
+      const format = selDataset.value;
+      const spec = DATASET_FORMATS[format];
+      const {texts, attempts} = await loadDataFiles(format);
+      // Display info about attempts if something missing (the items file is optional only for generic CSV)
+      const missing = [];
+      if (!texts.ratings) missing.push(spec.files.ratings);
+      if (!texts.items && format !== 'csv') missing.push(spec.files.items);
+      if (missing.length) {
+        setStatus('error loading data: ' + missing.map(n => n + ' not found').join(', ') + `. Use the file inputs to upload files or ensure /data/${missing[0]} exists in your repo.`);
         console.warn('Load attempts:', attempts);
         return;
       }
 
-      // parse items
-      items.clear();
-      rawItem.split('\n').forEach(line => {
-        if (!line.trim()) return;
-        const parsed = parseItemLine(line);
-        if (!parsed) return;
-        items.set(parsed.id, {title: parsed.title, year: parsed.year, genres: parsed.genres});
-      });
-
-      // parse interactions
-      interactions = [];
-      rawData.split('\n').forEach(line => {
-        if (!line.trim()) return;
-        const p = parseDataLine(line);
-        if (!p) return;
-        interactions.push(p);
-      });
-      interactions.sort((a,b)=>a.ts - b.ts);
+      // parse items and interactions with the shared parsers (malformed lines are skipped and reported)
+      const columns = {};
+      for (const [key, sel] of Object.entries(csvColumnSelects)) columns[key] = sel.value;
+      const parsed = parseDataset(format, texts, {columns: format === 'csv' ? columns : null});
+      items = parsed.items;
+      genreNames = parsed.genreNames;
+      interactions = parsed.interactions;
+      appendedInteractions = []; pendingRatings = [];
+      renderPendingRatings();
+      users = parsed.users;
+      optDemographics.disabled = users.size === 0;
+      if (users.size === 0) optDemographics.checked = false;
+      const parseProblems = parsed.problems;
+      if (parseProblems.length) console.warn('Parse errors:', parseProblems);
 
       buildIndexing(maxInt);
+      refreshTitleSuggestions();
 
-      setStatus(`loaded: interactions=${interactions.length} users=${numUsers} items=${numItems}`);
+      setStatus(`loaded: interactions=${interactions.length} users=${numUsers} items=${numItems}` +
+        (users.size ? ` demographics=${users.size}` : '') +
+        (parseProblems.length ? ' — ' + parseProblems.join(' ') : ''));
       btnTrain.disabled = false;
+      btnSweep.disabled = false;
       btnTest.disabled = true;
+      btnEval.disabled = true;
+      btnLoadModel.disabled = false;
+      fileModel.disabled = false;
     } catch (e) {
       console.error(e);
       setStatus('error loading data: ' + String(e));
       btnTrain.disabled = true;
       btnTest.disabled = true;
+      btnEval.disabled = true;
+    }
+  };
+
+  // Pause/Resume and Cancel are only live while a training job runs
+  function setTrainingControls(running) {
+    btnPause.disabled = !running;
+    btnCancel.disabled = !running;
+    btnPause.innerText = 'Pause';
+  }
+
+  btnPause.onclick = () => {
+    if (!trainingJob) return;
+    if (btnPause.innerText === 'Pause') {
+      trainingJob.pause();
+      btnPause.innerText = 'Resume';
+      setStatus('training paused');
+    } else {
+      trainingJob.resume();
+      btnPause.innerText = 'Pause';
+      setStatus('training resumed');
     }
   };
 
+  btnCancel.onclick = () => {
+    if (!trainingJob) return;
+    trainingJob.cancel();
+    btnCancel.disabled = true;
+    setStatus('cancelling training...');
+  };
+
   // Training handler
   btnTrain.onclick = async () => {
     try {
-      btnTrain.disabled = true; btnLoad.disabled = true; btnTest.disabled = true;
+      btnTrain.disabled = true; btnLoad.disabled = true; btnTest.disabled = true; btnEval.disabled = true; btnSweep.disabled = true;
       setStatus('initializing models...');
       const embDim = parseInt(inputEmbDim.value,10) || 32;
       const epochs = parseInt(inputEpochs.value,10) || 5;
       const batchSize = parseInt(inputBatch.value,10) || 128;
       const maxInt = parseInt(inputMaxInt.value,10) || 80000;
+      const holdout = Math.max(0, parseInt(inputHoldout.value,10) || 0);
       const useBPR = optBPR.checked;
+      const negatives = selNegatives.value;
+      const minRating = Math.max(0, parseFloat(inputMinRating.value) || 0);
+      const confidence = Math.max(0, parseFloat(inputConfidence.value) || 0);
+      const ratingHead = optRatingHead.checked;
+      const useDemographics = optDemographics.checked && users.size > 0;
       const useGenres = optUseGenres.checked;
       const useUserFeat = optUseUserFeat.checked;
       const includeDL = optIncludeDL.checked;
+      const keepBest = optKeepBest.checked;
+      const validationPerUser = Math.max(0, parseInt(inputValidation.value,10) || 0);
+      const patience = Math.max(0, parseInt(inputPatience.value,10) || 0);
+      const lrSchedule = selLrSchedule.value;
+      const nonNegative = (input) => Math.max(0, parseFloat(input.value) || 0);
+      const regularization = {
+        l2User: nonNegative(inputL2User), l2Item: nonNegative(inputL2Item), l2ItemBias: nonNegative(inputL2ItemBias),
+        frequencyScaledL2: optFreqL2.checked, normConstraint: selNormConstraint.value,
+        maxNorm: parseFloat(inputMaxNorm.value) || 1, dropout: Math.min(0.9, nonNegative(inputDropout))
+      };
+      const lr = parseFloat(inputLR.value) || 0.001;
+      const l2 = Math.max(0, parseFloat(inputL2.value) || 0);
+      const seqLen = optSequential.checked ? Math.max(2, parseInt(inputSeqLen.value,10) || 20) : 0;
 
       buildIndexing(maxInt);
+      // hide the most recent interactions of each user from training (holdout 0 trains on everything)
+      split = splitLeaveLastN(usersMap, holdout);
 
-      twoTower = new TwoTowerModel(numUsers, numItems, embDim);
-
-      if (includeDL) {
-        // synthesize user features
-        const userFeat = new Array(numUsers).fill(0).map(()=>[0,0]);
-        for (let u=0; u<numUsers; u++) {
-          const arr = usersMap.get(u) || [];
-          if (arr.length===0) userFeat[u] = [0,0];
-          else {
-            const avg = arr.reduce((s,x)=>s+x.rating,0)/arr.length;
-            userFeat[u] = [avg/5.0, Math.log1p(arr.length)/Math.log(1+50)];
-          }
-        }
-        deepModel = new DeepRecModel({
-          numUsers, numItems, embDim,
-          useGenres, useUserFeat,
-          itemMeta: items,
-          userFeatArray: userFeat
-        });
-
-        // Prepare internal item->genre mapping aligned to internal indices
-        const genreDim = (items.size>0) ? (Array.from(items.values())[0].genres ? Array.from(items.values())[0].genres.length : 0) : 0;
-        const arrGenres = new Array(numItems);
-        for (let i=0;i<numItems;i++) {
-          const origId = indexItem[i];
-          const it = items.get(origId);
-          arrGenres[i] = (it && it.genres && it.genres.length) ? it.genres.slice() : new Array(genreDim).fill(0);
-        }
-        deepModel.setInternalItemGenres(arrGenres);
-        // ensure userFeatArray attached
-        deepModel.userFeatArray = deepModel.userFeatArray || userFeat;
-      } else {
-        deepModel = null;
-      }
+      // release variables of a previous run; the worker sends back new weights
+      if (twoTower) twoTower.dispose();
+      if (deepModel) deepModel.dispose();
+      if (ranker) ranker.dispose();
+      if (sequentialModel) sequentialModel.dispose();
+      twoTower = null; deepModel = null; annIndexes = null; ranker = null; rankerContext = null; sequentialModel = null;
+      baselines = []; diversityContext = null;
+      btnBuildAnn.disabled = true;
+      btnProject.disabled = true; btnProjUser.disabled = true; btnAppend.disabled = true;
+      projection = null; projectionUser = null; projectionSelection = [];
+      refreshTitleSuggestions();  // internal indices may have changed
+      btnSaveModel.disabled = true; btnDownloadModel.disabled = true;
 
-      const pairs = buildPosPairs();
-      // shuffle pairs
-      for (let i=pairs.length-1;i>0;i--) {
-        const j = Math.floor(Math.random()*(i+1));
-        [pairs[i], pairs[j]] = [pairs[j], pairs[i]];
+      // with a ranker, the towers do not see each user's last few training interactions: they label the ranker lists
+      const useRanker = optRanker.checked;
+      const towerSplit = useRanker ? splitLeaveLastN(split.train, RANKER_LABELS_PER_USER, 3) : {train: split.train};
+      // the last validationPerUser of the remaining interactions per user only measure the validation loss
+      const fitSplit = validationPerUser
+        ? splitLeaveLastN(towerSplit.train, validationPerUser, 3) : {train: towerSplit.train, test: new Map()};
+      // ratings below the threshold are not positives; the rating head still trains on them
+      const pairs = buildTrainingPairs(fitSplit.train, {minRating, confidence, keepAll: ratingHead});
+      const valPairs = buildTrainingPairs(fitSplit.test, {minRating});
+      const flatValPairs = new Int32Array(valPairs.length * 2);
+      valPairs.forEach(([u, i], n) => { flatValPairs[2*n] = u; flatValPairs[2*n+1] = i; });
+      const flatPairs = new Int32Array(pairs.length * 2);
+      const pairWeights = new Float32Array(pairs.length);
+      const pairRatings = new Float32Array(pairs.length);
+      pairs.forEach(([u, i, w, r], n) => { flatPairs[2*n] = u; flatPairs[2*n+1] = i; pairWeights[n] = w; pairRatings[n] = r; });
+      // Demographic codes per internal user; the Deep model gets them one-hot next to its synthesized features
+      const demoVocab = useDemographics ? buildDemographicVocab(users) : null;
+      const demoCodes = useDemographics ? buildUserDemographics(users, indexUser, demoVocab) : null;
+      let userFeat = synthesizeUserFeatures(towerSplit.train, numUsers);
+      if (demoCodes) {
+        const oneHot = demographicOneHot(demoCodes, demographicSizes(demoVocab));
+        userFeat = userFeat.map((row, u) => row.concat(oneHot[u]));
       }
+      // Deep model inputs: synthesized user features (from the training split only) and genres by internal index
+      const job = {
+        numUsers, numItems, embDim, epochs, batchSize, useBPR, negatives, lr, l2, keepBest, regularization,
+        ratingHead, ratingMean: meanPairRating(pairs), pairs: flatPairs, weights: pairWeights, ratings: pairRatings,
+        validation: valPairs.length > 1 ? {
+          metric: 'loss', patience, pairs: flatValPairs,
+          ratings: ratingHead ? Float32Array.from(valPairs, p => p[3]) : null
+        } : null,
+        schedule: lrSchedule !== 'constant' ? {type: lrSchedule} : null,
+        demographics: demoCodes ? {sizes: demographicSizes(demoVocab), codes: demoCodes} : null,
+        deep: includeDL ? {
+          useGenres, useUserFeat, userFeat,
+          itemGenres: buildInternalGenres(items, indexItem)
+        } : null,
+        // the sequential model learns from the whole training history in timestamp order (the holdout stays hidden)
+        sequential: seqLen ? {
+          maxLen: seqLen,
+          histories: Array.from(split.train.values(), chronologicalItems).filter(h => h.length > 1)
+        } : null
+      };
 
-      const optimizer = tf.train.adam(0.001);
       const lossHistory = [];
-      plotLoss(lossHistory);
-
-      for (let e=0;e<epochs;e++) {
-        setProgress(`Epoch ${e+1}/${epochs}`);
-        let batchLossAccum = 0, batchCount=0;
-        for (let start=0; start<pairs.length; start += batchSize) {
-          const batch = pairs.slice(start, start+batchSize);
-          if (batch.length < 2) continue;
-          const uBatchArr = batch.map(p=>p[0]);
-          const posBatchArr = batch.map(p=>p[1]);
-
-          const lossVal = await twoTower.trainStepInBatch(uBatchArr, posBatchArr, optimizer, useBPR);
-          let dlLoss = 0;
-          if (deepModel) dlLoss = await deepModel.trainStep(uBatchArr, posBatchArr, optimizer, useBPR);
-
-          const combined = lossVal + (dlLoss || 0);
-          lossHistory.push(combined);
-          batchLossAccum += combined; batchCount++;
-
-          if (lossHistory.length % 10 === 0) plotLoss(lossHistory);
-
-          if (start % (batchSize*50) === 0) {
-            setStatus(`epoch ${e+1}/${epochs} - processed ${(start+batchSize)}/${pairs.length} pairs`);
-            await sleep(5);
+      const validationCurve = job.validation ? {epochEnds: [], losses: []} : null;
+      plotLoss([]);
+      trainingJob = startTrainingWorker('train-worker.js', job, {
+        onMessage: (msg) => {
+          // the sequential model trains after the towers; its losses stay out of the tower loss plot
+          if (msg.phase === 'sequential') {
+            if (msg.type === 'epoch') setStatus(`sequential model: finished epoch ${msg.epoch+1}/${epochs} avgLoss=${msg.avgLoss.toFixed(4)}`);
+            else if (msg.start === 0) setStatus(`sequential model: epoch ${msg.epoch+1}/${epochs}...`);
+            return;
+          }
+          if (msg.type === 'batch') {
+            lossHistory.push(msg.loss);
+            if (msg.start === 0) setProgress(`Epoch ${msg.epoch+1}/${epochs}`);
+            if (lossHistory.length % 10 === 0) plotLoss(lossHistory, validationCurve);
+            if (msg.start % (batchSize*50) === 0) {
+              setStatus(`epoch ${msg.epoch+1}/${epochs} - processed ${(msg.start+batchSize)}/${msg.total} pairs`);
+            }
+          } else if (msg.type === 'epoch') {
+            if (validationCurve) {
+              validationCurve.epochEnds.push(lossHistory.length);
+              validationCurve.losses.push(msg.validationValue);
+              plotLoss(lossHistory, validationCurve);
+            }
+            setStatus(`finished epoch ${msg.epoch+1}/${epochs} avgLoss=${msg.avgLoss.toFixed(4)}` +
+              (validationCurve ? ` valLoss=${msg.validationValue.toFixed(4)}` : '') +
+              ` lr=${msg.lr.toPrecision(3)}` + (msg.bestEpoch != null ? ` (best: epoch ${msg.bestEpoch+1})` : ''));
           }
         }
-        setStatus(`finished epoch ${e+1}/${epochs} avgLoss=${(batchLossAccum/batchCount).toFixed(4)}`);
+      }, (control, emit) => runTowerTrainingJob(job, control, emit));
+      setTrainingControls(true);
+      const result = await trainingJob.done;
+      trainingJob = null;
+      setTrainingControls(false);
+      plotLoss(lossHistory, validationCurve);
+
+      if (!result.states) {
+        setStatus('training cancelled before the first epoch finished — no model kept');
+        btnLoad.disabled = false; btnTrain.disabled = false; btnSweep.disabled = false;
+        return;
       }
+      twoTower = TwoTowerModel.fromState(result.states.twoTower);
+      deepModel = result.states.deep ? DeepRecModel.fromState(result.states.deep, items) : null;
+      sequentialModel = result.states.sequential ? SequentialModel.fromState(result.states.sequential) : null;
+      const kept = (result.best && (keepBest || result.cancelled || result.stoppedEarly)
+        ? `kept best checkpoint (epoch ${result.best.epoch+1}, avgLoss=${result.best.loss.toFixed(4)}` +
+          (result.best.validationValue != null ? `, valLoss=${result.best.validationValue.toFixed(4)})` : ')')
+        : 'kept final weights') + (result.stoppedEarly ? `, stopped early after ${result.epochLosses.length} epochs` : '');
+      setStatus(`${result.cancelled ? 'training cancelled' : 'training complete'}, ${kept} — computing item projection...`);
 
-      plotLoss(lossHistory);
-      setStatus('training complete — computing item projection...');
-
-      const sampleN = Math.min(1000, numItems);
-      const step = Math.max(1, Math.floor(numItems / sampleN));
-      const sampleIdxs = [];
-      for (let i=0;i<numItems;i+=step) sampleIdxs.push(i);
-
-      const itemEmbTensor = await twoTower.getItemEmbeddings(sampleIdxs);
-      const {proj} = await computePCA2D(itemEmbTensor);
-      const projArr = await proj.array();
-      itemEmbeddingSample2D = sampleIdxs.map((origIdx, i) => {
-        const origId = indexItem[origIdx];
-        const it = items.get(origId);
-        return {x: projArr[i][0], y: projArr[i][1], title: it ? it.title : String(origId), idx: origIdx};
-      });
-      drawProjection(itemEmbeddingSample2D);
+      renderColdRatings();
+      if (useRanker) await trainRanker(towerSplit);
+      await updateProjection();
+      btnProject.disabled = false; btnProjUser.disabled = false; btnAppend.disabled = false;
+      await buildAnnIndexes();
+      btnBuildAnn.disabled = false;
+      await fitBaselines();
+      await buildDiversityContext();
+      trainedHyperparams = {embDim, epochs, batchSize, maxInteractions: maxInt, holdout, lr, l2, useBPR, negatives, minRating, confidence, ratingHead, demographics: demoVocab, useGenres, useUserFeat, includeDL, keepBest,
+        validationPerUser, patience, lrSchedule, regularization,
+        ranker: useRanker ? selRankerLoss.value : null, baselines: baselines.length ? selKnnSimilarity.value : null, sequential: sequentialModel ? seqLen : null,
+        epochsTrained: result.epochLosses.length, bestEpoch: result.best ? result.best.epoch : null};
+      btnSaveModel.disabled = false; btnDownloadModel.disabled = false;
+      renderDemographicForm();
 
-      setStatus('done. You can now Test a random user.');
-      btnTest.disabled = false; btnLoad.disabled = false; btnTrain.disabled = false;
+      setStatus(`done (${kept}). ` + (split.test.size ? 'You can now Test a random user or Evaluate on the held-out split.' : 'You can now Test a random user.'));
+      btnTest.disabled = false; btnLoad.disabled = false; btnTrain.disabled = false; btnSweep.disabled = false;
+      btnEval.disabled = split.test.size === 0;
     } catch (err) {
       console.error(err);
+      trainingJob = null;
+      setTrainingControls(false);
       setStatus('training error: ' + String(err));
-      btnLoad.disabled = false; btnTrain.disabled = false; btnTest.disabled = true;
+      btnLoad.disabled = false; btnTrain.disabled = false; btnTest.disabled = true; btnEval.disabled = true;
+      btnSweep.disabled = false;
     }
   };
 
+  // Second stage: label Two-Tower candidate lists with the interactions the towers did not train on
+  // (towerSplit.test) and fit the ranker on them
+  async function trainRanker(towerSplit) {
+    const itemFeatures = buildItemRankFeatures(items, indexItem);
+    const lists = await buildRankerLists({
+      twoTower, deepModel, itemFeatures,
+      labelMap: towerSplit.test, seenMap: towerSplit.train,
+      userFeat: synthesizeUserFeatures(towerSplit.train, numUsers),
+      listSize: 100,
+      onProgress: async (done, total) => { setStatus(`building ranker lists: ${done}/${total} users`); await sleep(0); }
+    });
+    if (!lists.users) { setStatus('no users with enough history to train the ranker'); return; }
+    ranker = new RankerModel(lists.numFeatures, {loss: selRankerLoss.value});
+    await ranker.train(lists, {
+      onEpoch: async ({epoch, epochs, loss}) => { setStatus(`ranker (${ranker.loss}) epoch ${epoch+1}/${epochs} loss=${loss.toFixed(4)}`); await sleep(0); }
+    });
+    // at serving time user statistics cover the whole training history
+    rankerContext = {itemFeatures, userFeat: synthesizeUserFeatures(split.train, numUsers)};
+  }
+
+  // Fit the classic baselines on the current training split (they are cheap to refit, so bundles do not store them)
+  async function fitBaselines() {
+    baselines = [];
+    if (!optBaselines.checked) return;
+    baselines = await buildBaselineRecommenders(split.train, numUsers, numItems, {
+      similarity: selKnnSimilarity.value,
+      onProgress: async (message) => { setStatus(`fitting baselines: ${message}`); await sleep(0); }
+    });
+  }
+
+  function numCandidates() {
+    return Math.max(10, parseInt(inputCandidates.value,10) || 200);
+  }
+
+  // Ranked scores for every item (-Infinity outside the retrieved candidates), for evaluateRecommenders
+  async function cascadeScores(uIdx, exclude) {
+    const {candidates, rankScores} = await rankCandidates({
+      twoTower, deepModel, ranker, uIdx, exclude, numCandidates: numCandidates(),
+      itemFeatures: rankerContext.itemFeatures, userFeatRow: rankerContext.userFeat[uIdx]
+    });
+    const scores = new Float32Array(numItems).fill(-Infinity);
+    candidates.forEach((i, n) => { scores[i] = rankScores[n]; });
+    return scores;
+  }
+
+  // Top-10 unseen items for a user: from the ANN index when one is built, otherwise by scoring every item
+  async function topItemsForUser(model, index, uIdx, rated, k = 10) {
+    const userEmb = await model.getUserEmbedding(uIdx);
+    let top;
+    if (index) {
+      top = index.search(await userEmb.data(), k, rated).indices;
+    } else {
+      const scoresTensor = await model.scoreAllItems(userEmb);
+      top = topKIndices(await scoresTensor.data(), k, rated);
+      scoresTensor.dispose();
+    }
+    userEmb.dispose();
+    return top.map(i => {
+      const it = items.get(indexItem[i]);
+      return {title: it ? it.title : String(indexItem[i]), itemIdx: i};
+    });
+  }
+
+  // Build IVF indexes over the item towers and compare them with brute-force top-K on sampled users
+  async function buildAnnIndexes() {
+    annIndexes = null;
+    const nlist = parseInt(inputNlist.value,10) || 0;  // 0: about sqrt(numItems)
+    const nprobe = Math.max(1, parseInt(inputNprobe.value,10) || 8);
+    const k = Math.max(1, parseInt(inputEvalK.value,10) || 10);
+    const models = [{key: 'twoTower', name: 'Two-Tower', model: twoTower}];
+    if (deepModel) models.push({key: 'deep', name: 'Deep (MLP)', model: deepModel});
+
+    const users = Array.from(usersMap.keys());
+    const step = Math.max(1, Math.floor(users.length / 200));
+    const sampleUsers = users.filter((u, n) => n % step === 0).slice(0, 200);
+
+    const built = {twoTower: null, deep: null};
+    let html = `<table><tr><th>Model</th><th>Lists</th><th>Build</th><th>ANN query</th><th>Exact query</th>` +
+      `<th>Scanned</th><th>Recall@${k}</th></tr>`;
+    for (const {key, name, model} of models) {
+      setStatus(`building ANN index for ${name}...`);
+      await sleep(0);
+      const index = await IVFIndex.fromModel(model, {nlist, nprobe});
+      const queries = [];
+      for (const u of sampleUsers) {
+        const userEmb = await model.getUserEmbedding(u);
+        queries.push({vector: await userEmb.data(), exclude: new Set(usersMap.get(u).map(x=>x.itemIdx))});
+        userEmb.dispose();
+      }
+      const bench = benchmarkIndex(index, queries, k);
+      built[key] = index;
+      html += `<tr><td>${name}</td><td>${index.nlist} (probe ${index.nprobe})</td><td>${index.buildMs.toFixed(0)} ms</td>` +
+        `<td>${bench.annMs.toFixed(2)} ms</td><td>${bench.exactMs.toFixed(2)} ms</td>` +
+        `<td>${(bench.scannedFraction*100).toFixed(1)}%</td><td>${bench.recall.toFixed(3)}</td></tr>`;
+    }
+    html += '</table>';
+    annArea.innerHTML = html + `<div class="hint">Recall and timings over ${sampleUsers.length} users against an exact scan of all ${numItems} items (seen items excluded). Test uses the index.</div>`;
+    annIndexes = built;
+  }
+
+  btnBuildAnn.onclick = async () => {
+    try {
+      btnBuildAnn.disabled = true;
+      await buildAnnIndexes();
+      setStatus('ANN index rebuilt');
+    } catch (err) {
+      console.error(err);
+      setStatus('ANN index error: ' + String(err));
+    } finally {
+      btnBuildAnn.disabled = !twoTower;
+    }
+  };
+
+  // Two-Tower item vectors, genres and training popularity: the shared space for diversity re-ranking and metrics
+  async function buildDiversityContext() {
+    const {vectors, d} = await unitItemVectors(twoTower);
+    const itemGenres = buildInternalGenres(items, indexItem);
+    const numGenres = new Set(itemGenres.flatMap(row => row.map((flag, g) => flag ? g : -1)).filter(g => g >= 0)).size;
+    diversityContext = {vectors, d, itemGenres, numGenres, popularity: itemPopularity(split.train, numItems)};
+  }
+
+  function rerankSettings() {
+    return {
+      diversity: parseFloat(inputDiversity.value) || 0,
+      popularityPenalty: Math.max(0, parseFloat(inputPopPenalty.value) || 0),
+      maxPerGenre: Math.max(0, parseInt(inputMaxPerGenre.value,10) || 0)
+    };
+  }
+
+  // Two-Tower scores re-ranked for diversity: the re-ranked top-k get descending scores, everything else -Infinity
+  async function rerankedScores(uIdx, exclude, k) {
+    const userEmb = await twoTower.getUserEmbedding(uIdx);
+    const scoresTensor = await twoTower.scoreAllItems(userEmb);
+    const relevance = await scoresTensor.data();
+    tf.dispose([userEmb, scoresTensor]);
+    const candidates = topKIndices(relevance, RERANK_CANDIDATES, exclude);
+    const list = diversityRerank(candidates, relevance, k, Object.assign({}, diversityContext, rerankSettings()));
+    const scores = new Float32Array(numItems).fill(-Infinity);
+    list.forEach((i, n) => { scores[i] = k - n; });
+    return scores;
+  }
+
+  // ILD, novelty and genre coverage of one Test list
+  function listStatsHtml(list) {
+    if (!diversityContext || !list.length) return '';
+    const m = listDiversity(list, Object.assign({numUsers: split.train.size}, diversityContext));
+    return `<div class="small">ILD ${m.ild.toFixed(2)} · novelty ${m.novelty.toFixed(1)} bits · genres ${(m.genreCoverage*100).toFixed(0)}%</div>`;
+  }
+
+  inputDiversity.oninput = () => { diversityValue.innerText = parseFloat(inputDiversity.value).toFixed(2); };
+
+  // Explanations for a model's recommendations to one user (see explain.js)
+  async function explainForUser(model, uIdx, itemIdxs) {
+    return explainRecommendations(model, uIdx, itemIdxs, {
+      history: usersMap.get(uIdx) || [],
+      topRated: getUserTopRatedTitles(uIdx, 10).map(t => t.itemIdx),
+      itemGenres: buildInternalGenres(items, indexItem),
+      genreNames
+    });
+  }
+
+  // A recommended title that expands into its explanation; `extra` is appended to the title (already HTML)
+  function explainedItemHtml(title, ex, extra = '') {
+    const titleOf = (i) => { const it = items.get(indexItem[i]); return it ? it.title : String(indexItem[i]); };
+    const because = ex.because.length
+      ? ex.because.map(b => `${escapeHtml(titleOf(b.itemIdx))} (${b.similarity.toFixed(2)})`).join(', ')
+      : 'none of your liked movies is close in embedding space';
+    const genres = ex.sharedGenres.length
+      ? ex.sharedGenres.map(g => `${escapeHtml(g.name)} (${g.count})`).join(', ')
+      : 'none';
+    return `<details><summary>${escapeHtml(title)}${extra}</summary><div class="small">` +
+      `score ${ex.score.toFixed(3)} = item bias ${ex.bias.toFixed(3)} + user·item ${ex.interaction.toFixed(3)}<br>` +
+      `because you liked: ${because}<br>` +
+      `genres shared with your top-rated: ${genres}</div></details>`;
+  }
+
   // Test handler
   btnTest.onclick = async () => {
     try {
@@ -446,44 +982,71 @@
       const uIdx = eligible[Math.floor(Math.random()*eligible.length)];
       const topHist = getUserTopRatedTitles(uIdx, 10);
 
-      const userEmb = await twoTower.getUserEmbedding(uIdx);
-      const scoresTensor = await twoTower.scoreAllItems(userEmb);
-      const scores = await scoresTensor.array();
       const rated = new Set((usersMap.get(uIdx) || []).map(x=>x.itemIdx));
-      const pairs = scores.map((s,i)=>({i,s})).filter(p=>!rated.has(p.i));
-      pairs.sort((a,b)=>b.s - a.s);
-      const topRec = pairs.slice(0,10).map(p => {
-        const origId = indexItem[p.i];
-        const it = items.get(origId);
-        return {title: it ? it.title : String(origId), itemIdx: p.i};
-      });
-
-      let topRecDL = [];
-      if (deepModel) {
-        const userEmbDL = await deepModel.getUserEmbedding(uIdx);
-        const scoresDL = await deepModel.scoreAllItems(userEmbDL);
-        const sDL = await scoresDL.array();
-        const pairsDL = sDL.map((s,i)=>({i,s})).filter(p=>!rated.has(p.i));
-        pairsDL.sort((a,b)=>b.s - a.s);
-        topRecDL = pairsDL.slice(0,10).map(p => {
-          const origId = indexItem[p.i];
-          const it = items.get(origId);
-          return {title: it ? it.title : String(origId), itemIdx: p.i};
-        });
-      }
+      const topRec = await topItemsForUser(twoTower, annIndexes && annIndexes.twoTower, uIdx, rated);
+      const topRecDL = deepModel ? await topItemsForUser(deepModel, annIndexes && annIndexes.deep, uIdx, rated) : [];
+      const via = annIndexes ? ' via ANN' : '';
+      const topRanked = ranker ? topKIndices(await cascadeScores(uIdx, rated), 10) : [];
+      const topNext = sequentialModel
+        ? topKIndices(await sequentialModel.scoreNext(chronologicalItems(usersMap.get(uIdx))), 10, rated) : [];
+      const topDiverse = optRerank.checked ? topKIndices(await rerankedScores(uIdx, rated, 10), 10) : [];
 
       let html = '<div class="side-table"><div class="panel"><b>Top-10 Historically Rated</b><ol>';
       for (const t of topHist) html += `<li>${escapeHtml(t.title)}</li>`;
       html += '</ol></div>';
 
-      html += '<div class="panel"><b>Two-Tower Top-10 (no seen)</b><ol>';
-      for (const t of topRec) html += `<li>${escapeHtml(t.title)}</li>`;
-      html += '</ol></div>';
+      // with a rating head the Two-Tower list also shows predicted ratings
+      const predicted = twoTower.ratingHead ? await twoTower.predictRatings(uIdx, topRec.map(t => t.itemIdx)) : null;
+      const explained = await explainForUser(twoTower, uIdx, topRec.map(t => t.itemIdx));
+      html += `<div class="panel"><b>Two-Tower Top-10 (no seen${via})</b> <span class="small">— expand a title for why</span><ol>`;
+      topRec.forEach((t, n) => {
+        html += `<li>${explainedItemHtml(t.title, explained[n], predicted ? ` <span class="small">(${predicted[n].toFixed(1)}★)</span>` : '')}</li>`;
+      });
+      html += '</ol>' + listStatsHtml(topRec.map(t => t.itemIdx)) + '</div>';
+
+      if (optRerank.checked) {
+        const {diversity} = rerankSettings();
+        html += `<div class="panel"><b>Two-Tower + diversity re-rank (diversity ${diversity.toFixed(2)})</b><ol>`;
+        for (const i of topDiverse) {
+          const it = items.get(indexItem[i]);
+          html += `<li>${escapeHtml(it ? it.title : String(indexItem[i]))}</li>`;
+        }
+        html += '</ol>' + listStatsHtml(topDiverse) + '</div>';
+      }
 
       if (deepModel) {
-        html += '<div class="panel"><b>Deep (MLP) Top-10</b><ol>';
-        for (const t of topRecDL) html += `<li>${escapeHtml(t.title)}</li>`;
-        html += '</ol></div>';
+        const explainedDL = await explainForUser(deepModel, uIdx, topRecDL.map(t => t.itemIdx));
+        html += `<div class="panel"><b>Deep (MLP) Top-10${via}</b><ol>`;
+        topRecDL.forEach((t, n) => { html += `<li>${explainedItemHtml(t.title, explainedDL[n])}</li>`; });
+        html += '</ol>' + listStatsHtml(topRecDL.map(t => t.itemIdx)) + '</div>';
+      }
+
+      if (ranker) {
+        html += `<div class="panel"><b>Two-Tower → Ranker Top-10 (${numCandidates()} candidates)</b><ol>`;
+        for (const i of topRanked) {
+          const it = items.get(indexItem[i]);
+          html += `<li>${escapeHtml(it ? it.title : String(indexItem[i]))}</li>`;
+        }
+        html += '</ol>' + listStatsHtml(topRanked) + '</div>';
+      }
+
+      if (sequentialModel) {
+        html += `<div class="panel"><b>Sequential next-movie Top-10 (last ${sequentialModel.maxLen} watched)</b><ol>`;
+        for (const i of topNext) {
+          const it = items.get(indexItem[i]);
+          html += `<li>${escapeHtml(it ? it.title : String(indexItem[i]))}</li>`;
+        }
+        html += '</ol>' + listStatsHtml(topNext) + '</div>';
+      }
+
+      for (const b of baselines) {
+        html += `<div class="panel"><b>${escapeHtml(b.name)} Top-10</b><ol>`;
+        const top = topKIndices(await b.scoreUser(uIdx), 10, rated);
+        for (const i of top) {
+          const it = items.get(indexItem[i]);
+          html += `<li>${escapeHtml(it ? it.title : String(indexItem[i]))}</li>`;
+        }
+        html += '</ol>' + listStatsHtml(top) + '</div>';
       }
 
       html += '</div>';
@@ -497,6 +1060,745 @@
     }
   };
 
+  // Install restored models: mappings, usersMap, split and UI settings follow the saved bundle
+  async function applyRestoredModels(restored) {
+    const hp = restored.hyperparams;
+    if (twoTower) twoTower.dispose();
+    if (deepModel) deepModel.dispose();
+    if (ranker) ranker.dispose();
+    if (sequentialModel) sequentialModel.dispose();
+    ranker = null; rankerContext = null;  // the ranker is not part of saved bundles
+    twoTower = restored.twoTower;
+    deepModel = restored.deepModel;
+    sequentialModel = restored.sequentialModel;
+    trainedHyperparams = hp;
+
+    const maxInt = hp.maxInteractions || interactions.length;
+    setIndexing(restored.indexUser, restored.indexItem, interactions.slice(0, maxInt).concat(appendedInteractions));
+    split = splitLeaveLastN(usersMap, hp.holdout || 0);
+    refreshTitleSuggestions();
+
+    if (hp.embDim) inputEmbDim.value = hp.embDim;
+    if (hp.epochs) inputEpochs.value = hp.epochs;
+    if (hp.batchSize) inputBatch.value = hp.batchSize;
+    if (hp.maxInteractions) inputMaxInt.value = hp.maxInteractions;
+    if (hp.holdout != null) inputHoldout.value = hp.holdout;
+    if (hp.lr) inputLR.value = hp.lr;
+    inputL2.value = hp.l2 || 0;
+    if (hp.validationPerUser != null) inputValidation.value = hp.validationPerUser;
+    if (hp.patience != null) inputPatience.value = hp.patience;
+    selLrSchedule.value = hp.lrSchedule || 'constant';
+    const reg = hp.regularization || {};
+    inputL2User.value = reg.l2User || 0;
+    inputL2Item.value = reg.l2Item || 0;
+    inputL2ItemBias.value = reg.l2ItemBias || 0;
+    optFreqL2.checked = reg.frequencyScaledL2 !== false;
+    selNormConstraint.value = reg.normConstraint || 'none';
+    inputMaxNorm.value = reg.maxNorm || 1;
+    inputDropout.value = reg.dropout || 0;
+    optBPR.checked = !!hp.useBPR;
+    selNegatives.value = hp.negatives || 'uniform';
+    inputMinRating.value = hp.minRating || 0;
+    inputConfidence.value = hp.confidence || 0;
+    optRatingHead.checked = twoTower.ratingHead;
+    optDemographics.checked = !!hp.demographics;
+    renderDemographicForm();
+    optUseGenres.checked = !!hp.useGenres;
+    optUseUserFeat.checked = !!hp.useUserFeat;
+    optIncludeDL.checked = !!deepModel;
+    optSequential.checked = !!sequentialModel;
+    if (hp.baselines !== undefined) optBaselines.checked = !!hp.baselines;
+    if (hp.baselines) selKnnSimilarity.value = hp.baselines;
+    if (sequentialModel) inputSeqLen.value = sequentialModel.maxLen;
+
+    await updateProjection();
+    btnProject.disabled = false; btnProjUser.disabled = false; btnAppend.disabled = false;
+    await buildAnnIndexes();
+    btnBuildAnn.disabled = false;
+    await fitBaselines();
+    await buildDiversityContext();
+    btnTest.disabled = false;
+    btnEval.disabled = split.test.size === 0;
+    btnSaveModel.disabled = false; btnDownloadModel.disabled = false;
+  }
+
+  async function currentModelBundle() {
+    return createModelBundle({twoTower, deepModel, sequentialModel, indexUser, indexItem, hyperparams: trainedHyperparams || {}});
+  }
+
+  btnSaveModel.onclick = async () => {
+    try {
+      setStatus('saving models to IndexedDB...');
+      await saveBundleToIndexedDB(await currentModelBundle());
+      setStatus('models saved to IndexedDB');
+    } catch (err) {
+      console.error(err);
+      setStatus('save error: ' + String(err));
+    }
+  };
+
+  btnDownloadModel.onclick = async () => {
+    try {
+      downloadBundle(await currentModelBundle());
+      setStatus('model bundle downloaded');
+    } catch (err) {
+      console.error(err);
+      setStatus('download error: ' + String(err));
+    }
+  };
+
+  btnLoadModel.onclick = async () => {
+    try {
+      setStatus('loading models from IndexedDB...');
+      const bundle = await loadBundleFromIndexedDB();
+      if (!bundle) { setStatus('no saved models found — train and Save first'); return; }
+      await applyRestoredModels(restoreModelBundle(bundle, items));
+      setStatus(`restored models saved at ${bundle.savedAt}: users=${numUsers} items=${numItems}`);
+    } catch (err) {
+      console.error(err);
+      setStatus('load error: ' + String(err));
+    }
+  };
+
+  fileModel.onchange = async () => {
+    const file = fileModel.files && fileModel.files[0];
+    if (!file) return;
+    try {
+      setStatus(`importing ${file.name}...`);
+      const bundle = bundleFromJSON(await readFileAsText(file));
+      await applyRestoredModels(restoreModelBundle(bundle, items));
+      setStatus(`imported models from ${file.name}: users=${numUsers} items=${numItems}`);
+    } catch (err) {
+      console.error(err);
+      setStatus('import error: ' + String(err));
+    } finally {
+      fileModel.value = '';
+    }
+  };
+
+  // Score-all-items adapter so evaluation.js can treat every model the same way
+  function modelRecommender(name, model) {
+    return {
+      name,
+      scoreUser: async (uIdx) => {
+        const userEmb = await model.getUserEmbedding(uIdx);
+        const scoresTensor = await model.scoreAllItems(userEmb);
+        const scores = await scoresTensor.data();
+        tf.dispose([userEmb, scoresTensor]);
+        return scores;
+      }
+    };
+  }
+
+  // Evaluate handler: held-out metrics for every trained model
+  btnEval.onclick = async () => {
+    const buttons = [btnEval, btnTest, btnTrain, btnLoad];
+    try {
+      buttons.forEach(b => b.disabled = true);
+      const k = Math.max(1, parseInt(inputEvalK.value,10) || 10);
+      const recommenders = [modelRecommender('Two-Tower', twoTower)];
+      if (deepModel) recommenders.push(modelRecommender('Deep (MLP)', deepModel));
+      const vocab = demographicVocab();
+      if (vocab) {
+        // as if the test users were new: only their u.user row, no ID embedding
+        recommenders.push({
+          name: 'Two-Tower (demographics only)',
+          scoreUser: (uIdx) => demographicScores(demographicCodes(users.get(indexUser[uIdx]), vocab))
+        });
+      }
+      if (ranker) {
+        recommenders.push({
+          name: `Two-Tower → Ranker (${ranker.loss})`,
+          scoreUser: (uIdx) => cascadeScores(uIdx, new Set((split.train.get(uIdx) || []).map(x => x.itemIdx)))
+        });
+      }
+      if (sequentialModel) {
+        // next items after the user's training history, i.e. the start of the held-out (later) interactions
+        recommenders.push({
+          name: 'Sequential (self-attention)',
+          scoreUser: (uIdx) => sequentialModel.scoreNext(chronologicalItems(split.train.get(uIdx)))
+        });
+      }
+      if (optRerank.checked) {
+        const {diversity} = rerankSettings();
+        recommenders.push({
+          name: `Two-Tower + diversity re-rank (${diversity.toFixed(2)})`,
+          scoreUser: (uIdx) => rerankedScores(uIdx, new Set((split.train.get(uIdx) || []).map(x => x.itemIdx)), k)
+        });
+      }
+      recommenders.push(...baselines);
+      const minRating = (trainedHyperparams && trainedHyperparams.minRating) || 0;
+      const results = await evaluateRecommenders(recommenders, split, {
+        k, numItems, minRating, diversity: diversityContext,
+        onProgress: async (name, done, total) => { setStatus(`evaluating ${name}: ${done}/${total} users`); await sleep(0); }
+      });
+      let html = renderEvaluationTable(results, k);
+      if (twoTower.ratingHead) {
+        setStatus('evaluating rating head...');
+        const rmse = await ratingRmse((uIdx, itemIdxs) => twoTower.predictRatings(uIdx, itemIdxs), split);
+        html += `<div>Two-Tower rating head RMSE on the held-out ratings: <b>${rmse.toFixed(4)}</b></div>`;
+      }
+      // what the regularization settings did to the parameters
+      const popularity = itemPopularity(split.train, numItems);
+      const statRows = [{name: 'Two-Tower', stats: await embeddingStats(twoTower, popularity)}];
+      if (deepModel) statRows.push({name: 'Deep (MLP)', stats: await embeddingStats(deepModel, popularity)});
+      html += `<div class="small">Parameters (${regularizationSummary()}):</div>` + renderEmbeddingStats(statRows);
+      const relevant = minRating > 0 ? ` (relevant: rated ≥ ${minRating})` : '';
+      evalArea.innerHTML = html +
+        `<div class="hint">Holdout: last ${split.holdout} interactions of ${split.test.size} users${relevant}. Pop. bias = mean training popularity of recommended items / catalog mean. ` +
+        `ILD = mean pairwise cosine distance of a list in the Two-Tower item space; novelty = mean self-information (bits) of its items.</div>`;
+      setStatus('evaluation complete');
+    } catch (err) {
+      console.error(err);
+      setStatus('evaluation error: ' + String(err));
+    } finally {
+      buttons.forEach(b => b.disabled = false);
+    }
+  };
+
+  // Regularization of the current models, as trained (trainedHyperparams) — for the evaluation output
+  function regularizationSummary() {
+    const hp = trainedHyperparams || {};
+    const reg = hp.regularization || {};
+    const parts = [];
+    if (hp.l2) parts.push(`output L2 ${hp.l2}`);
+    const tables = [['user emb', reg.l2User], ['item emb', reg.l2Item], ['item bias', reg.l2ItemBias]].filter(([, v]) => v > 0);
+    if (tables.length) {
+      parts.push('L2 ' + tables.map(([name, v]) => `${name} ${v}`).join(', ') +
+        (reg.frequencyScaledL2 === false ? ' (weight decay)' : ' (frequency-scaled)'));
+    }
+    if (reg.normConstraint === 'max') parts.push(`max-norm ${reg.maxNorm}`);
+    if (reg.normConstraint === 'unit') parts.push('unit-norm');
+    if (reg.dropout > 0 && deepModel) parts.push(`Deep dropout ${reg.dropout}`);
+    return parts.length ? parts.join('; ') : 'no regularization';
+  }
+
+  // Sweep space from the comma-separated sweep inputs (loss accepts softmax / bpr)
+  function sweepSpace() {
+    const list = (input, parse) => input.value.split(',').map(v => v.trim()).filter(Boolean).map(parse);
+    const number = (v) => { const x = Number(v); if (!Number.isFinite(x)) throw new Error(`not a number: ${v}`); return x; };
+    const space = {};
+    for (const key of ['embDim', 'epochs', 'batchSize', 'maxInteractions', 'lr', 'l2', 'l2User', 'l2Item', 'l2ItemBias']) {
+      space[key] = list(sweepInputs[key], number);
+    }
+    space.useBPR = list(sweepInputs.useBPR, v => {
+      if (v.toLowerCase() !== 'softmax' && v.toLowerCase() !== 'bpr') throw new Error(`loss must be softmax or bpr, got ${v}`);
+      return v.toLowerCase() === 'bpr';
+    });
+    for (const [key, values] of Object.entries(space)) if (!values.length) throw new Error(`no values for ${key}`);
+    return space;
+  }
+
+  function renderSweep() {
+    const k = Math.max(1, parseInt(inputEvalK.value,10) || 10);
+    sweepArea.innerHTML = sweepRuns.length ? renderSweepTable(sweepRuns, k, sweepSort.key, sweepSort.descending) : 'No runs yet.';
+    btnSweepApply.disabled = !sweepRuns.some(r => r.validation);
+  }
+
+  // Header click sorts, row click plots that run's loss curve
+  sweepArea.onclick = (ev) => {
+    const th = ev.target.closest('th[data-sort]');
+    if (th) {
+      const key = th.dataset.sort;
+      sweepSort = {key, descending: sweepSort.key === key ? !sweepSort.descending : true};
+      renderSweep();
+      return;
+    }
+    const row = ev.target.closest('tr[data-run]');
+    if (!row) return;
+    const run = sweepRuns.find(r => r.id === Number(row.dataset.run));
+    plotLoss(run.lossHistory);
+    setProgress(`Sweep run #${run.id + 1}: training loss per batch`);
+  };
+
+  // Train each configuration of the sweep in turn; the validation set is the last SWEEP_VALIDATION_PER_USER
+  // training interactions of each user (the evaluation holdout stays unseen), used for early stopping
+  btnSweep.onclick = async () => {
+    const buttons = [btnSweep, btnTrain, btnLoad, btnEval];
+    try {
+      const configs = sweepConfigs(sweepSpace(), selSweepMethod.value, Math.max(1, parseInt(inputSweepSamples.value,10) || 10));
+      const patience = Math.max(1, parseInt(inputSweepPatience.value,10) || 2);
+      const k = Math.max(1, parseInt(inputEvalK.value,10) || 10);
+      const holdout = Math.max(0, parseInt(inputHoldout.value,10) || 0);
+      const minRating = Math.max(0, parseFloat(inputMinRating.value) || 0);
+      buttons.forEach(b => b.disabled = true);
+      sweepRuns = [];
+      renderSweep();
+
+      for (let n = 0; n < configs.length; n++) {
+        const config = configs[n];
+        const data = indexingForMax(config.maxInteractions);
+        const valSplit = splitLeaveLastN(splitLeaveLastN(data.usersMap, holdout).train, SWEEP_VALIDATION_PER_USER, 3);
+        const pairs = buildTrainingPairs(valSplit.train, {minRating});
+        const flatPairs = new Int32Array(pairs.length * 2);
+        pairs.forEach(([u, i], m) => { flatPairs[2*m] = u; flatPairs[2*m+1] = i; });
+        const numUsersRun = data.indexUser.length, numItemsRun = data.indexItem.length;
+        const job = {
+          numUsers: numUsersRun, numItems: numItemsRun, embDim: config.embDim, epochs: config.epochs,
+          batchSize: config.batchSize, useBPR: config.useBPR, negatives: selNegatives.value, lr: config.lr, l2: config.l2,
+          regularization: {l2User: config.l2User, l2Item: config.l2Item, l2ItemBias: config.l2ItemBias,
+            frequencyScaledL2: optFreqL2.checked},
+          keepBest: true, pairs: flatPairs, weights: null, ratings: null, deep: null,
+          validation: {split: valSplit, k, patience}
+        };
+
+        const lossHistory = [];
+        const started = performance.now();
+        plotLoss([]);
+        trainingJob = startTrainingWorker('train-worker.js', job, {
+          onMessage: (msg) => {
+            if (msg.type === 'batch') {
+              lossHistory.push(msg.loss);
+              if (lossHistory.length % 10 === 0) plotLoss(lossHistory);
+            } else if (msg.type === 'epoch') {
+              setStatus(`sweep run ${n+1}/${configs.length}: epoch ${msg.epoch+1}/${msg.epochs} ` +
+                `avgLoss=${msg.avgLoss.toFixed(4)} val. Recall@${k}=${msg.validationValue.toFixed(4)}`);
+            }
+          }
+        }, (control, emit) => runTowerTrainingJob(job, control, emit));
+        setTrainingControls(true);
+        const result = await trainingJob.done;
+        trainingJob = null;
+        setTrainingControls(false);
+        if (!result.states) break;  // cancelled before the first epoch finished
+
+        // both metrics for the kept (best validation) weights
+        const model = TwoTowerModel.fromState(result.states.twoTower);
+        const [metrics] = await evaluateRecommenders([modelRecommender('Two-Tower', model)], valSplit, {k, numItems: numItemsRun});
+        model.dispose();
+        sweepRuns.push({
+          id: n, config, lossHistory,
+          validation: {recall: metrics.recall, ndcg: metrics.ndcg},
+          bestEpoch: result.best ? result.best.epoch : null,
+          epochsTrained: result.epochLosses.length,
+          stoppedEarly: result.stoppedEarly,
+          seconds: (performance.now() - started) / 1000
+        });
+        renderSweep();
+        if (result.cancelled) break;
+      }
+      setStatus(`sweep finished: ${sweepRuns.length}/${configs.length} runs — click a row for its loss curve`);
+    } catch (err) {
+      console.error(err);
+      trainingJob = null;
+      setTrainingControls(false);
+      setStatus('sweep error: ' + String(err));
+    } finally {
+      btnSweep.disabled = false; btnTrain.disabled = false; btnLoad.disabled = false;
+      btnEval.disabled = !twoTower || split.test.size === 0;
+    }
+  };
+
+  // Copy the configuration with the best validation recall into the training inputs
+  btnSweepApply.onclick = () => {
+    const best = sweepRuns.filter(r => r.validation).sort((a, b) => b.validation.recall - a.validation.recall)[0];
+    if (!best) return;
+    const c = best.config;
+    inputEmbDim.value = c.embDim;
+    inputEpochs.value = best.bestEpoch != null ? best.bestEpoch + 1 : c.epochs;
+    inputBatch.value = c.batchSize;
+    inputMaxInt.value = c.maxInteractions;
+    inputLR.value = c.lr;
+    inputL2.value = c.l2;
+    inputL2User.value = c.l2User;
+    inputL2Item.value = c.l2Item;
+    inputL2ItemBias.value = c.l2ItemBias;
+    optBPR.checked = c.useBPR;
+    setStatus(`applied sweep run #${best.id + 1}; press Train to train it on the full training split`);
+  };
+
+  // Titles of the indexed items for the new-user and similar-movie search boxes ("title [#internalIdx]")
+  function refreshTitleSuggestions() {
+    itemTitles.innerHTML = indexItem.map((origId, i) => {
+      const it = items.get(origId);
+      return `<option value="${escapeHtml(it ? it.title : String(origId))} [#${i}]">`;
+    }).join('');
+    coldRatings = [];
+    renderColdRatings();
+    btnSimilar.disabled = numItems === 0;
+  }
+
+  function renderColdRatings() {
+    coldList.innerHTML = coldRatings.map((r, n) => {
+      const it = items.get(indexItem[r.itemIdx]);
+      return `<li>${r.rating}★ ${escapeHtml(it ? it.title : String(indexItem[r.itemIdx]))} <a href="#" data-n="${n}">remove</a></li>`;
+    }).join('');
+    coldList.querySelectorAll('a').forEach(a => a.onclick = (ev) => {
+      ev.preventDefault();
+      coldRatings.splice(parseInt(a.dataset.n, 10), 1);
+      renderColdRatings();
+    });
+    btnColdRecommend.disabled = !twoTower || coldRatings.length < COLD_MIN_RATINGS;
+    btnColdRecommend.innerText = coldRatings.length < COLD_MIN_RATINGS
+      ? `Recommend (rate ${COLD_MIN_RATINGS - coldRatings.length} more)` : 'Recommend';
+  }
+
+  // Internal item index of a "title [#idx]" suggestion, or -1
+  function suggestionItemIdx(value) {
+    const m = /\[#(\d+)\]$/.exec(value.trim());
+    const itemIdx = m ? parseInt(m[1], 10) : -1;
+    return itemIdx < numItems ? itemIdx : -1;
+  }
+
+  btnColdAdd.onclick = () => {
+    const itemIdx = suggestionItemIdx(coldSearch.value);
+    if (itemIdx < 0) { setStatus('pick a movie from the suggestions'); return; }
+    const rating = parseInt(coldRating.value, 10);
+    const existing = coldRatings.find(r => r.itemIdx === itemIdx);
+    if (existing) existing.rating = rating;
+    else if (coldRatings.length >= COLD_MAX_RATINGS) { setStatus(`at most ${COLD_MAX_RATINGS} ratings`); return; }
+    else coldRatings.push({itemIdx, rating});
+    coldSearch.value = '';
+    renderColdRatings();
+  };
+
+  // Fit a user embedding for the entered ratings against the frozen Two-Tower item tower (no retraining).
+  // Ratings of 3+ are positives weighted by (rating - 2); lower ratings are only excluded from the results.
+  btnColdRecommend.onclick = async () => {
+    try {
+      btnColdRecommend.disabled = true;
+      const liked = coldRatings.filter(r => r.rating >= 3);
+      if (liked.length === 0) { setStatus('rate at least one movie 3★ or higher'); return; }
+      setStatus('inferring a user embedding for your ratings...');
+      const userEmb = await twoTower.inferUserEmbedding(liked.map(r => r.itemIdx), liked.map(r => r.rating - 2));
+      const scoresTensor = await twoTower.scoreAllItems(userEmb);
+      const scores = await scoresTensor.data();
+      tf.dispose([userEmb, scoresTensor]);
+      const rated = new Set(coldRatings.map(r => r.itemIdx));
+      const topRec = topKIndices(scores, 10, rated);
+
+      const title = (i) => { const it = items.get(indexItem[i]); return it ? it.title : String(indexItem[i]); };
+      let html = '<div class="side-table"><div class="panel"><b>Your ratings</b><ol>';
+      for (const r of coldRatings.slice().sort((a,b)=>b.rating - a.rating)) html += `<li>${r.rating}★ ${escapeHtml(title(r.itemIdx))}</li>`;
+      html += '</ol></div><div class="panel"><b>Two-Tower Top-10 for you (cold start)</b><ol>';
+      for (const i of topRec) html += `<li>${escapeHtml(title(i))}</li>`;
+      html += '</ol></div></div>';
+      tableArea.innerHTML = html;
+      setStatus(`cold-start recommendations from ${coldRatings.length} ratings (model unchanged)`);
+    } catch (err) {
+      console.error(err);
+      setStatus('cold-start error: ' + String(err));
+    } finally {
+      renderColdRatings();
+    }
+  };
+
+  // Occupation vocabulary of the current Two-Tower model, or null when it was trained without demographics
+  function demographicVocab() {
+    return twoTower && twoTower.demographicSizes && trainedHyperparams ? trainedHyperparams.demographics : null;
+  }
+
+  function renderDemographicForm() {
+    const vocab = demographicVocab();
+    demoOccupation.innerHTML = '<option value="">occupation?</option>' +
+      (vocab ? vocab.occupations.map(o => `<option value="${escapeHtml(o)}">${escapeHtml(o)}</option>`).join('') : '');
+    btnDemoRecommend.disabled = !vocab;
+  }
+
+  // Two-Tower scores of every item for a demographic profile (no ID embedding)
+  async function demographicScores(codes) {
+    const userEmb = await twoTower.getDemographicEmbedding(codes);
+    const scoresTensor = await twoTower.scoreAllItems(userEmb);
+    const scores = await scoresTensor.data();
+    tf.dispose([userEmb, scoresTensor]);
+    return scores;
+  }
+
+  // Demographics-only recommendations: a new user described by age, gender, occupation and zip code
+  btnDemoRecommend.onclick = async () => {
+    try {
+      const vocab = demographicVocab();
+      if (!vocab) { setStatus('train with the demographics option first'); return; }
+      const profile = {
+        age: parseInt(demoAge.value, 10) || 0, gender: demoGender.value,
+        occupation: demoOccupation.value, zip: demoZip.value
+      };
+      const topRec = topKIndices(await demographicScores(demographicCodes(profile, vocab)), 10);
+      const title = (i) => { const it = items.get(indexItem[i]); return it ? it.title : String(indexItem[i]); };
+      const described = [profile.age ? `age ${profile.age}` : '', profile.gender, profile.occupation, profile.zip ? `zip ${profile.zip}` : '']
+        .filter(Boolean).join(', ') || 'no details';
+      let html = `<div class="side-table"><div class="panel"><b>Two-Tower Top-10 from demographics (${escapeHtml(described)})</b><ol>`;
+      for (const i of topRec) html += `<li>${escapeHtml(title(i))}</li>`;
+      html += '</ol></div></div>';
+      tableArea.innerHTML = html;
+      setStatus('demographics-only recommendations (no ratings, model unchanged)');
+    } catch (err) {
+      console.error(err);
+      setStatus('demographics error: ' + String(err));
+    }
+  };
+
+  // Incremental update (see appendInteractions in trainer.js): append ratings with original IDs to the indexing and
+  // the training split, grow the models for unseen users and items and fine-tune them on the new and recent
+  // interactions. What is derived from the models is refreshed (diversity vectors, ranker features, baselines);
+  // the ANN index is dropped until it is rebuilt, and the sequential model only grows (it learns new items on retrain).
+  // opts: {epochs, lr, recentPerUser, replay} -> {added, newUsers, newItems, pairs, epochLosses}
+  async function appendRatings(records, opts = {}) {
+    const hp = trainedHyperparams || {};
+    const oldUsers = numUsers, oldItems = numItems;
+    const {added, newUsers, newItems} = appendInteractions({indexUser, indexItem, userIndex, itemIndex, usersMap}, records);
+    appendedInteractions.push(...records);
+    numUsers = indexUser.length; numItems = indexItem.length;
+    addInteractions(split.train, added);
+
+    const genres = buildInternalGenres(items, indexItem);
+    const demoCodes = hp.demographics ? buildUserDemographics(users, indexUser, hp.demographics) : null;
+    twoTower.grow(numUsers, numItems, {itemGenres: genres.slice(oldItems), userDemo: demoCodes ? demoCodes.slice(oldUsers) : null});
+    if (deepModel) {
+      // the same user features as for training, now including the appended ratings
+      let userFeat = synthesizeUserFeatures(split.train, numUsers);
+      if (demoCodes) {
+        const oneHot = demographicOneHot(demoCodes, demographicSizes(hp.demographics));
+        userFeat = userFeat.map((row, u) => row.concat(oneHot[u]));
+      }
+      deepModel.grow(numUsers, numItems, {itemGenres: genres.slice(oldItems), userFeatArray: userFeat});
+    }
+    if (sequentialModel) sequentialModel.grow(numItems);
+
+    const tuneMap = fineTuneInteractions(split.train, added, {recentPerUser: opts.recentPerUser, replay: opts.replay});
+    const {epochLosses, pairs} = await fineTuneTowerModels({twoTower, deepModel}, tuneMap, {
+      epochs: opts.epochs, lr: opts.lr, batchSize: hp.batchSize || 128, useBPR: !!hp.useBPR,
+      minRating: hp.minRating || 0, confidence: hp.confidence || 0,
+      onEpoch: async ({epoch, epochs, avgLoss}) => {
+        setStatus(`fine-tuning on new and recent interactions: epoch ${epoch+1}/${epochs} loss=${avgLoss.toFixed(4)}`);
+        await sleep(0);
+      }
+    });
+
+    if (annIndexes) annArea.innerHTML = 'Index dropped after appending ratings — press <b>Rebuild index</b> to include the update (Test uses exact top-K until then).';
+    annIndexes = null;
+    await buildDiversityContext();
+    if (rankerContext) rankerContext = {itemFeatures: buildItemRankFeatures(items, indexItem), userFeat: synthesizeUserFeatures(split.train, numUsers)};
+    if (baselines.length) await fitBaselines();
+    if (newItems) refreshTitleSuggestions();
+    return {added, newUsers, newItems, pairs, epochLosses};
+  }
+
+  function renderPendingRatings() {
+    appendList.innerHTML = pendingRatings.map((r, n) => {
+      const it = items.get(r.itemId);
+      return `<li>user ${r.userId}: ${r.rating}★ ${escapeHtml(it ? it.title : 'item ' + r.itemId)}` +
+        `${itemIndex.has(r.itemId) ? '' : ' <i>(new item)</i>'}${userIndex.has(r.userId) ? '' : ' <i>(new user)</i>'}` +
+        ` <a href="#" data-n="${n}">remove</a></li>`;
+    }).join('');
+    appendList.querySelectorAll('a').forEach(a => a.onclick = (ev) => {
+      ev.preventDefault();
+      pendingRatings.splice(parseInt(a.dataset.n, 10), 1);
+      renderPendingRatings();
+    });
+  }
+
+  // "userId,itemId,rating[,timestamp]" lines (comma, tab or semicolon separated) -> {records, errors};
+  // ts is null where no timestamp was given
+  function parseAppendLines(text) {
+    const records = [], errors = [];
+    text.split('\n').forEach((line, n) => {
+      if (!line.trim()) return;
+      const f = line.split(/[,;\t]/).map(x => x.trim());
+      const [userId, itemId, rating, ts] = f.map(Number);
+      if (f.length < 3 || !Number.isInteger(userId) || !Number.isInteger(itemId) || !Number.isFinite(rating) ||
+          (f.length > 3 && !Number.isFinite(ts))) {
+        errors.push(`line ${n+1} is not userId,itemId,rating[,timestamp].`);
+        return;
+      }
+      records.push({userId, itemId, rating, ts: f.length > 3 ? ts : null});
+    });
+    return {records, errors};
+  }
+
+  // The movie box takes a title suggestion or a (possibly new) original item ID
+  btnAppendAdd.onclick = () => {
+    const userId = parseInt(appendUser.value, 10);
+    if (!Number.isInteger(userId)) { setStatus('enter a user ID (an existing one or a new number)'); return; }
+    const itemIdx = suggestionItemIdx(appendSearch.value);
+    const typed = appendSearch.value.trim();
+    const itemId = itemIdx >= 0 ? indexItem[itemIdx] : (/^\d+$/.test(typed) ? parseInt(typed, 10) : null);
+    if (itemId == null) { setStatus('pick a movie from the suggestions or type an item ID'); return; }
+    pendingRatings.push({userId, itemId, rating: parseFloat(appendRating.value)});
+    appendSearch.value = '';
+    renderPendingRatings();
+  };
+
+  // Append the pending and pasted ratings, fine-tune, and show the first user's Two-Tower top-10 before and after
+  btnAppend.onclick = async () => {
+    try {
+      const {records, errors} = parseAppendLines(appendLines.value);
+      if (errors.length) { setStatus('append error: ' + errors.join(' ')); return; }
+      // without a timestamp the ratings count as happening now, in the order given
+      const now = Math.floor(Date.now() / 1000);
+      const all = pendingRatings.map(r => Object.assign({ts: null}, r)).concat(records)
+        .map((r, n) => ({userId: r.userId, itemId: r.itemId, rating: r.rating, ts: r.ts != null ? r.ts : now + n}));
+      if (!all.length) { setStatus('add ratings or paste lines first'); return; }
+      btnAppend.disabled = true; btnTrain.disabled = true;
+      const started = performance.now();
+      const focusUser = all[0].userId;
+      const ratedBy = (uIdx) => new Set((usersMap.get(uIdx) || []).map(x => x.itemIdx));
+      const before = userIndex.has(focusUser)
+        ? await topItemsForUser(twoTower, null, userIndex.get(focusUser), ratedBy(userIndex.get(focusUser))) : [];
+
+      const result = await appendRatings(all, {
+        epochs: Math.max(1, parseInt(inputAppendEpochs.value,10) || 5),
+        lr: parseFloat(inputAppendLR.value) || 0.01,
+        recentPerUser: Math.max(0, parseInt(inputAppendRecent.value,10) || 0),
+        replay: Math.max(0, parseInt(inputAppendReplay.value,10) || 0)
+      });
+      const uIdx = userIndex.get(focusUser);
+      const after = await topItemsForUser(twoTower, null, uIdx, ratedBy(uIdx));
+      const seconds = (performance.now() - started) / 1000;
+
+      const losses = result.epochLosses;
+      let html = `<div class="small">Appended ${result.added.length} ratings (${result.newUsers} new users, ${result.newItems} new items); ` +
+        `fine-tuned on ${result.pairs} interactions in ${seconds.toFixed(1)} s` +
+        (losses.length ? ` (loss ${losses[0].toFixed(4)} → ${losses[losses.length-1].toFixed(4)})` : '') + '.</div>';
+      html += `<div class="side-table"><div class="panel"><b>User ${focusUser} before</b><ol>`;
+      for (const t of before) html += `<li>${escapeHtml(t.title)}</li>`;
+      html += `</ol>${before.length ? '' : '<span class="small">(new user)</span>'}</div><div class="panel"><b>User ${focusUser} after</b><ol>`;
+      for (const t of after) html += `<li>${escapeHtml(t.title)}</li>`;
+      html += '</ol></div></div>';
+      appendArea.innerHTML = html;
+      pendingRatings = []; appendLines.value = '';
+      renderPendingRatings();
+      setStatus(`appended ${result.added.length} ratings and updated the models in ${seconds.toFixed(1)} s`);
+    } catch (err) {
+      console.error(err);
+      setStatus('append error: ' + String(err));
+    } finally {
+      btnAppend.disabled = !twoTower; btnTrain.disabled = false;
+    }
+  };
+
+  // Embedding explorer controls
+  btnProject.onclick = async () => {
+    try {
+      btnProject.disabled = true; btnProjUser.disabled = true;
+      setStatus('computing item projection...');
+      await updateProjection();
+      setStatus(`${selProjMethod.options[selProjMethod.selectedIndex].text} projection of ${projection.idxs.length} items ready`);
+    } catch (err) {
+      console.error(err);
+      setStatus('projection error: ' + String(err));
+    } finally {
+      btnProject.disabled = !twoTower; btnProjUser.disabled = !twoTower;
+    }
+  };
+
+  // An empty user ID clears the overlay
+  btnProjUser.onclick = async () => {
+    try {
+      if (!projection) { setStatus('project the items first'); return; }
+      if (!inputProjUser.value.trim()) { projectionUser = null; drawProjection(); return; }
+      const userId = parseInt(inputProjUser.value, 10);
+      if (!userIndex.has(userId)) { setStatus(`user ${inputProjUser.value} is not in the indexed data`); return; }
+      await placeUserOnProjection(userId);
+      drawProjection();
+      setStatus(`user ${userId} and ${projectionUser.rated.length} rated items shown on the map` +
+        (projection.method === 'pca' ? '' : ' (placed by their nearest sampled items)'));
+    } catch (err) {
+      console.error(err);
+      setStatus('user overlay error: ' + String(err));
+    }
+  };
+
+  selProjColour.onchange = () => drawProjection();
+  btnProjReset.onclick = () => { projectionView = {scale: 1, dx: 0, dy: 0}; drawProjection(); };
+
+  // Mouse position in canvas pixels (the canvas is drawn at its attribute size and stretched by CSS)
+  function projCanvasPoint(ev) {
+    const r = projCanvas.getBoundingClientRect();
+    return [(ev.clientX - r.left) * projCanvas.width / r.width, (ev.clientY - r.top) * projCanvas.height / r.height];
+  }
+
+  // Wheel zooms around the cursor
+  projCanvas.onwheel = (ev) => {
+    if (!projection) return;
+    ev.preventDefault();
+    const [mx, my] = projCanvasPoint(ev);
+    const scale = Math.max(0.5, Math.min(50, projectionView.scale * Math.exp(-ev.deltaY * 0.0015)));
+    const f = scale / projectionView.scale;
+    projectionView = {scale, dx: mx - (mx - projectionView.dx) * f, dy: my - (my - projectionView.dy) * f};
+    drawProjection();
+  };
+
+  // Drag pans, shift+drag draws a lasso
+  projCanvas.onmousedown = (ev) => {
+    if (!projection) return;
+    const [x, y] = projCanvasPoint(ev);
+    projectionDrag = ev.shiftKey ? {mode: 'lasso', path: [[x, y]]} : {mode: 'pan', x, y};
+    tooltip.style.display = 'none';
+  };
+
+  projCanvas.onmousemove = (ev) => {
+    const [x, y] = projCanvasPoint(ev);
+    if (projectionDrag && projectionDrag.mode === 'pan') {
+      projectionView.dx += x - projectionDrag.x; projectionView.dy += y - projectionDrag.y;
+      projectionDrag.x = x; projectionDrag.y = y;
+      drawProjection();
+      return;
+    }
+    if (projectionDrag) { projectionDrag.path.push([x, y]); drawProjection(); return; }
+    let nearest = null, nd = 20;
+    for (const h of projectionHits) {
+      const d = Math.hypot(h.x - x, h.y - y);
+      if (d < nd) { nearest = h; nd = d; }
+    }
+    if (nearest) {
+      tooltip.style.display = 'block';
+      tooltip.style.left = (ev.clientX + 10) + 'px';
+      tooltip.style.top = (ev.clientY + 10) + 'px';
+      tooltip.innerText = nearest.label;
+    } else tooltip.style.display = 'none';
+  };
+
+  // Releasing a lasso selects the items inside it (shift+click clears the selection)
+  function endProjectionDrag() {
+    if (projectionDrag && projectionDrag.mode === 'lasso') {
+      const path = projectionDrag.path;
+      const inside = path.length > 2 ? projectionHits.filter(h => h.itemIdx != null && insidePolygon(h.x, h.y, path)) : [];
+      projectionSelection = Array.from(new Set(inside.map(h => h.itemIdx)));
+      renderProjectionSelection();
+    }
+    projectionDrag = null;
+    drawProjection();
+  }
+  projCanvas.onmouseup = endProjectionDrag;
+  projCanvas.onmouseleave = () => {
+    tooltip.style.display = 'none';
+    if (projectionDrag) endProjectionDrag();
+  };
+
+  // "More like this": nearest neighbours of the picked movie in each model's item space and by genres
+  btnSimilar.onclick = async () => {
+    try {
+      const queryIdx = suggestionItemIdx(similarSearch.value);
+      if (queryIdx < 0) { setStatus('pick a movie from the suggestions'); return; }
+      btnSimilar.disabled = true;
+      setStatus('finding similar movies...');
+      const columns = [];
+      if (twoTower) columns.push({name: 'Two-Tower (cosine)', list: await embeddingNeighbours(twoTower, queryIdx)});
+      if (deepModel) columns.push({name: 'Deep item tower (cosine)', list: await embeddingNeighbours(deepModel, queryIdx)});
+      columns.push({
+        name: 'Genre Jaccard',
+        list: genreJaccardNeighbours(buildInternalGenres(items, indexItem), queryIdx, 10, itemPopularity(usersMap, numItems))
+      });
+
+      const title = (i) => { const it = items.get(indexItem[i]); return it ? it.title : String(indexItem[i]); };
+      let html = `<div class="small">Similar to <b>${escapeHtml(title(queryIdx))}</b></div><div class="side-table">`;
+      for (const col of columns) {
+        html += `<div class="panel"><b>${col.name}</b><table>`;
+        for (const n of col.list) html += `<tr><td>${escapeHtml(title(n.itemIdx))}</td><td>${n.score.toFixed(3)}</td></tr>`;
+        html += '</table></div>';
+      }
+      html += '</div>';
+      similarArea.innerHTML = html;
+      setStatus('similar movies ready' + (twoTower ? '' : ' (train a model for embedding neighbours)'));
+    } catch (err) {
+      console.error(err);
+      setStatus('similar-movie error: ' + String(err));
+    } finally {
+      btnSimilar.disabled = false;
+    }
+  };
+
   function escapeHtml(text) {
     return (text+'').replace(/[&<>"']/g, m => ({'&':'&amp;','<':'&lt;','>':'&gt;','"':'&quot;',"'":'&#39;'}[m]));
   }
@@ -0,0 +1,230 @@
+// baselines.js
+// Classic non-neural recommenders, fitted on the same usersMap-shaped Maps (internal indices) as the week4 models:
+// - most popular: interaction count
+// - top rated: Bayesian average rating (each item's mean shrunk towards the global mean by `prior` pseudo-ratings)
+// - item-kNN: sum of an item's similarities to the user's items, cosine or adjusted-cosine (user-mean-centred) similarity
+// - user-kNN: items of the k most similar users, weighted by their similarity
+// - weighted ALS: implicit-feedback matrix factorization (Hu, Koren & Volinsky), confidence 1 + alpha * rating
+// Every builder returns a recommender as used by evaluation.js: {name, scoreUser(uIdx)} resolving to one score
+// per internal item. Plain JS, no TF.js. Missing ratings (csv without a rating column) count as 1.
+
+// Per-user [{i, v}] rows and per-item [{u, v}] columns of the rating matrix.
+// centre: subtract each user's mean rating (adjusted cosine)
+function ratingMatrix(map, numItems, centre = false) {
+  const byUser = new Map();
+  const byItem = Array.from({length: numItems}, () => []);
+  for (const [u, arr] of map) {
+    const mean = centre && arr.length ? arr.reduce((s, x) => s + (x.rating || 1), 0) / arr.length : 0;
+    const row = arr.map(x => ({i: x.itemIdx, v: (x.rating || 1) - mean}));
+    byUser.set(u, row);
+    for (const {i, v} of row) byItem[i].push({u, v});
+  }
+  return {byUser, byItem};
+}
+
+// Indices of the k largest positive values among `touched` (indices into acc), excluding `self`
+function topPositive(acc, touched, k, self) {
+  return touched.filter(j => j !== self && acc[j] > 0).sort((a, b) => acc[b] - acc[a]).slice(0, k);
+}
+
+function popularityRecommender(map, numItems) {
+  const counts = itemPopularity(map, numItems);
+  return {name: 'Most popular', scoreUser: async () => counts};
+}
+
+// opts: {prior = 10} pseudo-ratings at the global mean added to every item
+function bayesianRatingRecommender(map, numItems, opts = {}) {
+  const prior = opts.prior != null ? opts.prior : 10;
+  const sums = new Float64Array(numItems), counts = new Float64Array(numItems);
+  let total = 0, n = 0;
+  for (const arr of map.values()) {
+    for (const x of arr) {
+      const r = x.rating || 1;
+      sums[x.itemIdx] += r; counts[x.itemIdx] += 1;
+      total += r; n++;
+    }
+  }
+  const globalMean = n ? total / n : 0;
+  const scores = Float32Array.from(sums, (s, i) => (s + prior * globalMean) / (counts[i] + prior));
+  return {name: `Top rated (Bayesian, prior ${prior})`, scoreUser: async () => scores};
+}
+
+// opts: {similarity: 'cosine' | 'adjusted', neighbours = 50, onProgress(done, total)}
+// Keeps the `neighbours` most similar items of every item; an item scores the sum of its similarities
+// to the user's items whose neighbour lists contain it.
+async function itemKnnRecommender(map, numItems, opts = {}) {
+  const similarity = opts.similarity || 'cosine';
+  const k = opts.neighbours || 50;
+  const {byUser, byItem} = ratingMatrix(map, numItems, similarity === 'adjusted');
+  const norms = byItem.map(col => Math.sqrt(col.reduce((s, x) => s + x.v * x.v, 0)));
+
+  const neighbours = new Array(numItems);
+  // acc[j] may stay 0 after a contribution (centred ratings), so visits are tracked separately
+  const acc = new Float64Array(numItems), visited = new Uint8Array(numItems);
+  for (let i = 0; i < numItems; i++) {
+    // dot products with every item co-rated with i
+    const touched = [];
+    for (const {u, v} of byItem[i]) {
+      for (const x of byUser.get(u)) {
+        if (!visited[x.i]) { visited[x.i] = 1; touched.push(x.i); }
+        acc[x.i] += v * x.v;
+      }
+    }
+    for (const j of touched) acc[j] = norms[i] && norms[j] ? acc[j] / (norms[i] * norms[j]) : 0;
+    const top = topPositive(acc, touched, k, i);
+    neighbours[i] = {idx: Int32Array.from(top), sim: Float32Array.from(top, j => acc[j])};
+    for (const j of touched) { acc[j] = 0; visited[j] = 0; }
+    if (opts.onProgress && i % 200 === 0) await opts.onProgress(i, numItems);
+  }
+
+  return {
+    name: `Item-kNN (${similarity === 'adjusted' ? 'adjusted cosine' : 'cosine'}, k=${k})`,
+    scoreUser: async (uIdx) => {
+      const scores = new Float32Array(numItems);
+      for (const {i} of byUser.get(uIdx) || []) {
+        const {idx, sim} = neighbours[i];
+        for (let n = 0; n < idx.length; n++) scores[idx[n]] += sim[n];
+      }
+      return scores;
+    }
+  };
+}
+
+// opts: {similarity: 'cosine' | 'adjusted', neighbours = 50}
+// Neighbours are found per scored user (cosine over the users' rating rows).
+function userKnnRecommender(map, numUsers, numItems, opts = {}) {
+  const similarity = opts.similarity || 'cosine';
+  const k = opts.neighbours || 50;
+  const {byUser, byItem} = ratingMatrix(map, numItems, similarity === 'adjusted');
+  const norms = new Float64Array(numUsers);
+  for (const [u, row] of byUser) norms[u] = Math.sqrt(row.reduce((s, x) => s + x.v * x.v, 0));
+  const acc = new Float64Array(numUsers), visited = new Uint8Array(numUsers);
+
+  return {
+    name: `User-kNN (${similarity === 'adjusted' ? 'adjusted cosine' : 'cosine'}, k=${k})`,
+    scoreUser: async (uIdx) => {
+      const touched = [];
+      for (const {i, v} of byUser.get(uIdx) || []) {
+        for (const x of byItem[i]) {
+          if (!visited[x.u]) { visited[x.u] = 1; touched.push(x.u); }
+          acc[x.u] += v * x.v;
+        }
+      }
+      for (const w of touched) acc[w] = norms[uIdx] && norms[w] ? acc[w] / (norms[uIdx] * norms[w]) : 0;
+      const scores = new Float32Array(numItems);
+      for (const w of topPositive(acc, touched, k, uIdx)) {
+        for (const {i} of byUser.get(w)) scores[i] += acc[w];
+      }
+      for (const w of touched) { acc[w] = 0; visited[w] = 0; }
+      return scores;
+    }
+  };
+}
+
+// Solve A x = b for a symmetric positive definite f x f matrix (row-major Float64Array) by Cholesky.
+// A is overwritten with its factor; returns x.
+function solveSpd(A, b, f) {
+  for (let j = 0; j < f; j++) {
+    let d = A[j*f + j];
+    for (let k = 0; k < j; k++) d -= A[j*f + k] * A[j*f + k];
+    d = Math.sqrt(Math.max(d, 1e-12));
+    A[j*f + j] = d;
+    for (let i = j + 1; i < f; i++) {
+      let s = A[i*f + j];
+      for (let k = 0; k < j; k++) s -= A[i*f + k] * A[j*f + k];
+      A[i*f + j] = s / d;
+    }
+  }
+  const x = new Float64Array(f);
+  for (let i = 0; i < f; i++) {
+    let s = b[i];
+    for (let k = 0; k < i; k++) s -= A[i*f + k] * x[k];
+    x[i] = s / A[i*f + i];
+  }
+  for (let i = f - 1; i >= 0; i--) {
+    let s = x[i];
+    for (let k = i + 1; k < f; k++) s -= A[k*f + i] * x[k];
+    x[i] = s / A[i*f + i];
+  }
+  return x;
+}
+
+// One ALS half-step: recompute every row of `out` (n x f) against the fixed factors `fixed`.
+// rows[e]: [{j, c}] observed entries of entity e with confidence c (preference 1); unobserved entries have
+// confidence 1 and preference 0, folded in through fixed^T fixed.
+function alsSolve(rows, fixed, out, n, f, reg) {
+  const gram = new Float64Array(f * f);
+  for (let j = 0; j < fixed.length / f; j++) {
+    for (let a = 0; a < f; a++) for (let b = 0; b < f; b++) gram[a*f + b] += fixed[j*f + a] * fixed[j*f + b];
+  }
+  for (let a = 0; a < f; a++) gram[a*f + a] += reg;
+  for (let e = 0; e < n; e++) {
+    const A = gram.slice();
+    const rhs = new Float64Array(f);
+    for (const {j, c} of rows[e] || []) {
+      for (let a = 0; a < f; a++) {
+        const ya = fixed[j*f + a];
+        rhs[a] += c * ya;
+        for (let b = 0; b < f; b++) A[a*f + b] += (c - 1) * ya * fixed[j*f + b];
+      }
+    }
+    out.set(solveSpd(A, rhs, f), e * f);
+  }
+}
+
+// opts: {factors = 32, iterations = 10, reg = 0.1, alpha = 1, onProgress(iteration, iterations)}
+async function alsRecommender(map, numUsers, numItems, opts = {}) {
+  const f = opts.factors || 32;
+  const iterations = opts.iterations || 10;
+  const reg = opts.reg != null ? opts.reg : 0.1;
+  const alpha = opts.alpha != null ? opts.alpha : 1;
+  const userRows = new Array(numUsers), itemRows = Array.from({length: numItems}, () => []);
+  for (const [u, arr] of map) {
+    userRows[u] = arr.map(x => ({j: x.itemIdx, c: 1 + alpha * (x.rating || 1)}));
+    for (const {j, c} of userRows[u]) itemRows[j].push({j: u, c});
+  }
+  const X = Float64Array.from({length: numUsers * f}, () => (Math.random() - 0.5) * 0.02);
+  const Y = Float64Array.from({length: numItems * f}, () => (Math.random() - 0.5) * 0.02);
+  for (let it = 0; it < iterations; it++) {
+    alsSolve(userRows, Y, X, numUsers, f, reg);
+    alsSolve(itemRows, X, Y, numItems, f, reg);
+    if (opts.onProgress) await opts.onProgress(it + 1, iterations);
+  }
+
+  return {
+    name: `Weighted ALS (${f} factors)`,
+    scoreUser: async (uIdx) => {
+      const scores = new Float32Array(numItems);
+      for (let i = 0; i < numItems; i++) {
+        let s = 0;
+        for (let a = 0; a < f; a++) s += X[uIdx*f + a] * Y[i*f + a];
+        scores[i] = s;
+      }
+      return scores;
+    }
+  };
+}
+
+// All baselines on one training map. opts: {similarity, neighbours, factors, onProgress(message)}
+async function buildBaselineRecommenders(map, numUsers, numItems, opts = {}) {
+  const report = opts.onProgress || (async () => {});
+  const knn = {similarity: opts.similarity, neighbours: opts.neighbours};
+  const recommenders = [popularityRecommender(map, numItems), bayesianRatingRecommender(map, numItems)];
+  recommenders.push(await itemKnnRecommender(map, numItems, Object.assign({
+    onProgress: (done, total) => report(`item-kNN similarities: ${done}/${total} items`)
+  }, knn)));
+  recommenders.push(userKnnRecommender(map, numUsers, numItems, knn));
+  recommenders.push(await alsRecommender(map, numUsers, numItems, {
+    factors: opts.factors,
+    onProgress: (it, iterations) => report(`weighted ALS: iteration ${it}/${iterations}`)
+  }));
+  return recommenders;
+}
+
+// Node (CLI) export; in the browser these stay globals
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = {
+    popularityRecommender, bayesianRatingRecommender, itemKnnRecommender, userKnnRecommender, alsRecommender,
+    buildBaselineRecommenders
+  };
+}
@@ -0,0 +1,333 @@
+#!/usr/bin/env node
+// cli.js
+// Headless training + evaluation for the week4 Two-Tower/Deep models and the Week3 matrix factorization model.
+// Reuses the browser code (two-tower.js, trainer.js, evaluation.js, ../Week3/model.js, ../shared/movielens.js);
+// only file I/O lives here.
+//
+// Requires TensorFlow.js for Node: `npm install` at the repository root installs the pure-JS CPU backend
+// (@tensorflow/tfjs, installs anywhere); `npm install @tensorflow/tfjs-node` adds the faster native binding,
+// which is preferred when present.
+//
+// Usage (from the repository root; `npm run cli -- <options>` is the same):
+//   node week4/cli.js [--model twotower|mf] [--embDim 32] [--epochs 5] [--batch 128]
+//                     [--maxInteractions 80000] [--bpr] [--negatives uniform|popularity|mixed|hard]
+//                     [--minRating 0] [--confidence 0] [--ratingHead] [--demographics]
+//                     [--deep] [--sequential] [--seqLen 20] [--baselines] [--similarity cosine|adjusted]
+//                     [--holdout 5] [--k 10]
+//                     [--lr 0.001] [--lrSchedule constant|step|cosine|plateau] [--l2 0]
+//                     [--l2User 0] [--l2Item 0] [--l2ItemBias 0] [--weightDecay] [--norm none|max|unit] [--maxNorm 1]
+//                     [--dropout 0] [--data "week4/ data"] [--format ml-100k|ml-1m|ml-latest|csv]
+//                     [--columns user,item,rating,timestamp]
+// --data is a directory holding the format's files (see DATASET_FORMATS in ../shared/movielens.js);
+// --columns maps CSV header names for --format csv (rating and timestamp may be left empty).
+// --minRating sets which ratings count as positives (also for the held-out relevance); --ratingHead adds the
+// Two-Tower rating regression head and reports its RMSE next to the ranking metrics, like --model mf.
+// --demographics feeds the users file (u.user / users.dat) to the user towers and also evaluates
+// demographics-only Two-Tower recommendations.
+// --sequential also trains the self-attention next-movie model (sequential.js) on the last --seqLen training
+// interactions of each user, in timestamp order, and evaluates it next to the towers.
+// --baselines adds the classic recommenders of baselines.js (most popular, Bayesian top rated, item-kNN and
+// user-kNN with --similarity, weighted ALS) to the metrics of either model.
+// --lrSchedule changes the learning rate from epoch to epoch (../shared/training-schedule.js); reduce-on-plateau
+// watches the training loss.
+// --l2 is the output L2 on the user and positive item tower outputs of each batch;
+// --l2User/--l2Item/--l2ItemBias are per-table L2 penalties of the Two-Tower model, frequency-scaled (rows penalised
+// per occurrence in a batch) unless --weightDecay; --norm constrains its embedding rows; --dropout applies to the
+// Deep model's MLP. The Two-Tower/Deep results also report embedding norms and item bias statistics (parameters).
+// Progress goes to stderr; the result (config, loss curves, metrics) is printed to stdout as JSON.
+
+const fs = require('fs');
+const path = require('path');
+
+// Prefer the native binding; fall back to the pure-JS package
+function loadTf() {
+  try {
+    return require('@tensorflow/tfjs-node');
+  } catch (e) {
+    return require('@tensorflow/tfjs');
+  }
+}
+// The model files are browser scripts that use a global `tf`
+global.tf = loadTf();
+
+// trainer.js and ../Week3/model.js use the schedule helpers as browser globals
+const scheduleModule = require('../shared/training-schedule.js');
+Object.assign(global, scheduleModule);
+const { LR_SCHEDULES, createLrSchedule } = scheduleModule;
+const towerModule = require('./two-tower.js');
+const { TwoTowerModel, DeepRecModel } = towerModule;
+const {
+  synthesizeUserFeatures, buildDemographicVocab, demographicSizes, buildUserDemographics, demographicOneHot,
+  buildInternalGenres, buildTrainingPairs, meanPairRating, shufflePairs, NEGATIVE_SAMPLING, trainTowerModels
+} = require('./trainer.js');
+// sequential.js uses the two-tower.js variable helpers and shufflePairs as browser globals
+Object.assign(global, towerModule, {shufflePairs});
+const { SequentialModel, chronologicalItems } = require('./sequential.js');
+const { splitLeaveLastN, itemPopularity, evaluateRecommenders, ratingRmse, embeddingStats } = require('./evaluation.js');
+global.itemPopularity = itemPopularity;  // used by baselines.js
+const { buildBaselineRecommenders } = require('./baselines.js');
+const { createModel } = require('../Week3/model.js');
+const { DATASET_FORMATS, parseDataset } = require('../shared/movielens.js');
+
+// Defaults mirror the week4 UI inputs
+const DEFAULTS = {
+  model: 'twotower',
+  embDim: 32,
+  epochs: 5,
+  batch: 128,
+  maxInteractions: 80000,
+  bpr: false,
+  negatives: 'uniform',
+  minRating: 0,
+  confidence: 0,
+  ratingHead: false,
+  demographics: false,
+  deep: false,
+  sequential: false,
+  seqLen: 20,
+  baselines: false,
+  similarity: 'cosine',
+  holdout: 5,
+  k: 10,
+  lr: 0.001,
+  lrSchedule: 'constant',
+  l2: 0,
+  l2User: 0,
+  l2Item: 0,
+  l2ItemBias: 0,
+  weightDecay: false,
+  norm: 'none',
+  maxNorm: 1,
+  dropout: 0,
+  data: path.join(__dirname, ' data'),
+  format: 'ml-100k',
+  columns: ''
+};
+
+function parseArgs(argv) {
+  const cfg = Object.assign({}, DEFAULTS);
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (!arg.startsWith('--')) throw new Error(`Unexpected argument: ${arg}`);
+    const key = arg.slice(2);
+    if (!(key in DEFAULTS)) throw new Error(`Unknown option: ${arg}`);
+    if (typeof DEFAULTS[key] === 'boolean') { cfg[key] = true; continue; }
+    const value = argv[++i];
+    if (value === undefined) throw new Error(`Missing value for ${arg}`);
+    cfg[key] = typeof DEFAULTS[key] === 'number' ? Number(value) : value;
+    if (typeof DEFAULTS[key] === 'number' && Number.isNaN(cfg[key])) throw new Error(`${arg} expects a number`);
+  }
+  if (cfg.model !== 'twotower' && cfg.model !== 'mf') throw new Error(`--model must be twotower or mf`);
+  if (!NEGATIVE_SAMPLING.includes(cfg.negatives)) throw new Error(`--negatives must be one of ${NEGATIVE_SAMPLING.join(', ')}`);
+  if (cfg.similarity !== 'cosine' && cfg.similarity !== 'adjusted') throw new Error(`--similarity must be cosine or adjusted`);
+  if (!['none', 'max', 'unit'].includes(cfg.norm)) throw new Error(`--norm must be none, max or unit`);
+  if (!LR_SCHEDULES.includes(cfg.lrSchedule)) throw new Error(`--lrSchedule must be one of ${LR_SCHEDULES.join(', ')}`);
+  if (!DATASET_FORMATS[cfg.format]) throw new Error(`--format must be one of ${Object.keys(DATASET_FORMATS).join(', ')}`);
+  return cfg;
+}
+
+function log(msg) { process.stderr.write(msg + '\n'); }
+
+// Read the format's files from the data directory; only the ratings file is required
+function readDatasetFiles(dir, format) {
+  const spec = DATASET_FORMATS[format];
+  const encoding = spec.encoding === 'iso-8859-1' ? 'latin1' : 'utf8';
+  const texts = {};
+  for (const [role, name] of Object.entries(spec.files)) {
+    const file = path.join(dir, name);
+    if (fs.existsSync(file)) texts[role] = fs.readFileSync(file, encoding);
+    else if (role === 'ratings') throw new Error(`Ratings file not found: ${file}`);
+    else log(`note: ${file} not found, continuing without it`);
+  }
+  return texts;
+}
+
+// "--columns user,item,rating,timestamp" -> {user, item, rating, timestamp}
+function parseColumnsOption(value) {
+  if (!value) return null;
+  const [user = '', item = '', rating = '', timestamp = ''] = value.split(',').map(s => s.trim());
+  return {user, item, rating, timestamp};
+}
+
+// Same indexing as app.js buildIndexing: first maxInteractions (oldest) interactions, 0-based indices,
+// per-user histories sorted newest first
+function buildIndexing(interactions, maxInteractions) {
+  const trimmed = interactions.slice(0, maxInteractions);
+  const indexUser = Array.from(new Set(trimmed.map(it => it.userId))).sort((a,b)=>a-b);
+  const indexItem = Array.from(new Set(trimmed.map(it => it.itemId))).sort((a,b)=>a-b);
+  const userIndex = new Map(indexUser.map((v,i)=>[v,i]));
+  const itemIndex = new Map(indexItem.map((v,i)=>[v,i]));
+  const usersMap = new Map();
+  for (const it of trimmed) {
+    const u0 = userIndex.get(it.userId);
+    if (!usersMap.has(u0)) usersMap.set(u0, []);
+    usersMap.get(u0).push({itemIdx: itemIndex.get(it.itemId), rating: it.rating, ts: it.ts});
+  }
+  for (const arr of usersMap.values()) arr.sort((a,b)=>b.ts - a.ts);
+  return {indexUser, indexItem, usersMap, numUsers: indexUser.length, numItems: indexItem.length};
+}
+
+async function runTwoTower(cfg, data, split) {
+  const {numUsers, numItems, items, indexItem, indexUser, users} = data;
+  if (cfg.demographics && !users.size) throw new Error('--demographics needs a users file (u.user or users.dat)');
+  const pairs = buildTrainingPairs(split.train, {minRating: cfg.minRating, confidence: cfg.confidence, keepAll: cfg.ratingHead});
+  const demoVocab = cfg.demographics ? buildDemographicVocab(users) : null;
+  const demoCodes = demoVocab ? buildUserDemographics(users, indexUser, demoVocab) : null;
+  const twoTower = new TwoTowerModel(numUsers, numItems, cfg.embDim, {
+    lr: cfg.lr, l2: cfg.l2, ratingHead: cfg.ratingHead, ratingMean: meanPairRating(pairs),
+    demographicSizes: demoVocab ? demographicSizes(demoVocab) : null,
+    l2User: cfg.l2User, l2Item: cfg.l2Item, l2ItemBias: cfg.l2ItemBias, frequencyScaledL2: !cfg.weightDecay,
+    normConstraint: cfg.norm, maxNorm: cfg.maxNorm
+  });
+  if (demoCodes) twoTower.setUserDemographics(demoCodes);
+  let deepModel = null;
+  if (cfg.deep) {
+    let userFeat = synthesizeUserFeatures(split.train, numUsers);
+    if (demoCodes) {
+      const oneHot = demographicOneHot(demoCodes, demographicSizes(demoVocab));
+      userFeat = userFeat.map((row, u) => row.concat(oneHot[u]));
+    }
+    deepModel = new DeepRecModel({
+      numUsers, numItems, embDim: cfg.embDim, lr: cfg.lr, dropout: cfg.dropout,
+      useGenres: true, useUserFeat: true, itemMeta: items,
+      userFeatArray: userFeat
+    });
+    deepModel.setInternalItemGenres(buildInternalGenres(items, indexItem));
+  }
+
+  const {lossHistory, epochLosses} = await trainTowerModels({
+    twoTower, deepModel, pairs, epochs: cfg.epochs, batchSize: cfg.batch, useBPR: cfg.bpr, lr: cfg.lr, negatives: cfg.negatives,
+    schedule: createLrSchedule({type: cfg.lrSchedule, lr: cfg.lr, epochs: cfg.epochs}),
+    onEpoch: ({epoch, epochs, avgLoss, lr}) => log(`epoch ${epoch+1}/${epochs} avgLoss=${avgLoss.toFixed(4)} lr=${lr.toPrecision(3)}`)
+  });
+
+  const asRecommender = (name, model, userEmbedding = (uIdx) => model.getUserEmbedding(uIdx)) => ({
+    name,
+    scoreUser: async (uIdx) => {
+      const userEmb = await userEmbedding(uIdx);
+      const scoresTensor = await model.scoreAllItems(userEmb);
+      const scores = await scoresTensor.data();
+      tf.dispose([userEmb, scoresTensor]);
+      return scores;
+    }
+  });
+  const recommenders = [asRecommender('Two-Tower', twoTower)];
+  if (deepModel) recommenders.push(asRecommender('Deep (MLP)', deepModel));
+  if (demoCodes) {
+    recommenders.push(asRecommender('Two-Tower (demographics only)', twoTower,
+      (uIdx) => twoTower.getDemographicEmbedding(demoCodes[uIdx])));
+  }
+  let sequentialLoss = null;
+  if (cfg.sequential) {
+    const sequential = new SequentialModel(numItems, {embDim: cfg.embDim, maxLen: cfg.seqLen, lr: cfg.lr});
+    const histories = Array.from(split.train.values(), chronologicalItems).filter(h => h.length > 1);
+    const run = await sequential.train(histories, {
+      epochs: cfg.epochs, batchSize: cfg.batch,
+      onEpoch: ({epoch, epochs, avgLoss}) => log(`sequential epoch ${epoch+1}/${epochs} avgLoss=${avgLoss.toFixed(4)}`)
+    });
+    sequentialLoss = {perBatch: run.lossHistory, perEpoch: run.epochLosses};
+    recommenders.push({
+      name: 'Sequential (self-attention)',
+      scoreUser: (uIdx) => sequential.scoreNext(chronologicalItems(split.train.get(uIdx)))
+    });
+  }
+  const extra = cfg.ratingHead
+    ? {rmse: await ratingRmse((uIdx, itemIdxs) => twoTower.predictRatings(uIdx, itemIdxs), split)}
+    : {};
+  if (sequentialLoss) extra.sequentialLoss = sequentialLoss;
+  const popularity = itemPopularity(split.train, numItems);
+  extra.parameters = {twoTower: await embeddingStats(twoTower, popularity)};
+  if (deepModel) extra.parameters.deep = await embeddingStats(deepModel, popularity);
+  return {loss: {perBatch: lossHistory, perEpoch: epochLosses}, recommenders, extra};
+}
+
+// Week3 MF trains on raw (1-based) MovieLens ids; internal indices are mapped back for training and scoring
+async function runMatrixFactorization(cfg, data, split) {
+  const {indexUser, indexItem, numItems} = data;
+  const maxUserId = Math.max(...indexUser), maxItemId = Math.max(...indexItem);
+  const model = createModel(maxUserId, maxItemId, cfg.embDim);
+  const optimizer = tf.train.adam(cfg.lr);
+  const schedule = createLrSchedule({type: cfg.lrSchedule, lr: cfg.lr, epochs: cfg.epochs});
+  model.compile({optimizer, loss: 'meanSquaredError'});
+
+  const rows = [];
+  for (const [u, arr] of split.train) for (const r of arr) rows.push([indexUser[u], indexItem[r.itemIdx], r.rating]);
+  const usersT = tf.tensor2d(rows.map(r => r[0]), [rows.length, 1], 'int32');
+  const itemsT = tf.tensor2d(rows.map(r => r[1]), [rows.length, 1], 'int32');
+  const ratingsT = tf.tensor2d(rows.map(r => r[2]), [rows.length, 1], 'float32');
+
+  const perBatch = [], perEpoch = [];
+  await model.fit([usersT, itemsT], ratingsT, {
+    batchSize: cfg.batch, epochs: cfg.epochs, shuffle: true, verbose: 0,
+    callbacks: {
+      onEpochBegin: async (epoch) => { optimizer.learningRate = schedule.lrForEpoch(epoch); },
+      onBatchEnd: async (batch, logs) => { perBatch.push(logs.loss); },
+      onEpochEnd: async (epoch, logs) => {
+        perEpoch.push(logs.loss);
+        schedule.observe(logs.loss);
+        log(`epoch ${epoch+1}/${cfg.epochs} loss=${logs.loss.toFixed(4)}`);
+      }
+    }
+  });
+  tf.dispose([usersT, itemsT, ratingsT]);
+
+  // Predicted rating for every item, in internal item order
+  const itemIdsT = tf.tensor2d(indexItem, [numItems, 1], 'int32');
+  const predictAll = async (uIdx) => {
+    const userT = tf.fill([numItems, 1], indexUser[uIdx], 'int32');
+    const pred = model.predict([userT, itemIdsT]);
+    const scores = await pred.data();
+    tf.dispose([userT, pred]);
+    return scores;
+  };
+
+  // RMSE on the held-out ratings (predictions clamped to the 1-5 scale, as for the Two-Tower rating head)
+  const rmse = await ratingRmse(async (uIdx, itemIdxs) => {
+    const scores = await predictAll(uIdx);
+    return itemIdxs.map(i => Math.min(5, Math.max(1, scores[i])));
+  }, split);
+  return {
+    loss: {perBatch, perEpoch},
+    recommenders: [{name: 'Matrix Factorization', scoreUser: predictAll}],
+    extra: {rmse}
+  };
+}
+
+async function main() {
+  const cfg = parseArgs(process.argv.slice(2));
+  await tf.ready();
+  log(`tf backend: ${tf.getBackend()}`);
+
+  const texts = readDatasetFiles(cfg.data, cfg.format);
+  const {items, interactions, users, problems} = parseDataset(cfg.format, texts, {columns: parseColumnsOption(cfg.columns)});
+  problems.forEach(log);
+  const data = Object.assign({items, users}, buildIndexing(interactions, cfg.maxInteractions));
+  const split = splitLeaveLastN(data.usersMap, cfg.holdout);
+  log(`loaded: interactions=${interactions.length} users=${data.numUsers} items=${data.numItems} testUsers=${split.test.size}`);
+
+  const started = Date.now();
+  const run = cfg.model === 'mf' ? await runMatrixFactorization(cfg, data, split) : await runTwoTower(cfg, data, split);
+  const runSeconds = (Date.now() - started) / 1000;
+  if (cfg.baselines) {
+    run.recommenders.push(...await buildBaselineRecommenders(split.train, data.numUsers, data.numItems, {
+      similarity: cfg.similarity, onProgress: async (message) => log(message)
+    }));
+  }
+
+  const metrics = split.test.size
+    ? await evaluateRecommenders(run.recommenders, split, {k: cfg.k, numItems: data.numItems, minRating: cfg.minRating})
+    : [];
+  const result = Object.assign({
+    config: Object.assign({}, cfg, {backend: tf.getBackend()}),
+    dataset: {interactions: interactions.length, users: data.numUsers, items: data.numItems, testUsers: split.test.size},
+    runSeconds,
+    loss: run.loss,
+    metrics
+  }, run.extra || {});
+  process.stdout.write(JSON.stringify(result, null, 2) + '\n');
+}
+
+main().catch(err => {
+  log(`error: ${err && err.message ? err.message : err}`);
+  process.exit(1);
+});
@@ -0,0 +1,71 @@
+// diversity.js
+// Optional re-ranking stage that trades relevance for diversity and novelty (MMR, maximal marginal relevance).
+// Items are picked greedily from a candidate list by
+//   (1 - diversity) * relevance - diversity * max cosine similarity to the items already picked
+//   - popularityPenalty * log-popularity
+// (relevance and log-popularity min-max scaled over the candidates), optionally under a genre cap: at most
+// maxPerGenre picked items per genre while any candidate still fits.
+// The list metrics (intra-list diversity, novelty, genre coverage) live in evaluation.js.
+
+// Unit-length item tower outputs of a model for cosine similarities -> {vectors: Float32Array [numItems * d], d}
+async function unitItemVectors(model) {
+  const all = await model.getItemEmbeddings(Array.from({length: model.numItems}, (_, i) => i));
+  const unit = tf.tidy(() => tf.div(all, tf.add(tf.norm(all, 'euclidean', 1, true), 1e-9)));
+  const vectors = await unit.data();
+  const d = all.shape[1];
+  tf.dispose([all, unit]);
+  return {vectors, d};
+}
+
+function cosine(vectors, d, a, b) {
+  let s = 0;
+  for (let j = 0; j < d; j++) s += vectors[a*d + j] * vectors[b*d + j];
+  return s;
+}
+
+// Re-rank candidates (internal item indices, best first) into a list of k.
+// relevance: scores indexed by item (e.g. scoreAllItems output).
+// opts: {vectors, d (unitItemVectors), diversity = 0.5, popularity: counts per item, popularityPenalty = 0,
+//        itemGenres: 0/1 rows per item, maxPerGenre = 0 (no cap)}
+function diversityRerank(candidates, relevance, k, opts = {}) {
+  const {vectors, d, popularity, itemGenres} = opts;
+  const diversity = opts.diversity != null ? opts.diversity : 0.5;
+  const popularityPenalty = opts.popularityPenalty || 0;
+  const maxPerGenre = opts.maxPerGenre || 0;
+
+  const scale = (values) => {
+    const min = Math.min(...values), max = Math.max(...values);
+    return values.map(v => max > min ? (v - min) / (max - min) : 0);
+  };
+  const rel = scale(candidates.map(i => relevance[i]));
+  const pop = popularity ? scale(candidates.map(i => Math.log1p(popularity[i]))) : candidates.map(() => 0);
+  const maxSim = new Float32Array(candidates.length).fill(0);
+  const genreCounts = new Map();
+  const fitsGenreCap = (i) => {
+    if (!maxPerGenre || !itemGenres) return true;
+    return (itemGenres[i] || []).every((flag, g) => !flag || (genreCounts.get(g) || 0) < maxPerGenre);
+  };
+
+  const picked = [];
+  const left = new Set(candidates.map((_, n) => n));
+  while (picked.length < k && left.size) {
+    let best = -1, bestScore = -Infinity, bestFits = false;
+    for (const n of left) {
+      const fits = fitsGenreCap(candidates[n]);
+      const score = (1 - diversity) * rel[n] - diversity * maxSim[n] - popularityPenalty * pop[n];
+      // candidates within the genre cap always beat those over it
+      if ((fits && !bestFits) || (fits === bestFits && score > bestScore)) { best = n; bestScore = score; bestFits = fits; }
+    }
+    const item = candidates[best];
+    picked.push(item);
+    left.delete(best);
+    if (itemGenres) (itemGenres[item] || []).forEach((flag, g) => { if (flag) genreCounts.set(g, (genreCounts.get(g) || 0) + 1); });
+    if (vectors) for (const n of left) maxSim[n] = Math.max(maxSim[n], cosine(vectors, d, candidates[n], item));
+  }
+  return picked;
+}
+
+// Node (CLI) export; in the browser these stay globals
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = { unitItemVectors, diversityRerank };
+}
@@ -0,0 +1,216 @@
+// evaluation.js
+// Offline evaluation for the week4 recommenders.
+// - temporal leave-last-N-out split over usersMap (histories are sorted newest first by buildIndexing)
+// - ranking metrics on the held-out items: Recall@K, NDCG@K, MAP@K, hit rate
+// - list-level metrics over all evaluated users: catalog coverage and popularity bias (ARP ratio)
+// - beyond-accuracy metrics per list: intra-list diversity, novelty and genre coverage (see listDiversity)
+// - RMSE of predicted ratings on the held-out interactions (models with a rating head)
+// - parameter statistics of embedding models (norms, item bias vs popularity) to see what regularization did
+// A recommender is any {name, scoreUser(uIdx)} where scoreUser resolves to one score per internal item.
+
+// Split each user's history into train (older) and test (the most recent n interactions).
+// Users with fewer than n + minTrain interactions keep everything in train and are not evaluated.
+function splitLeaveLastN(usersMap, n, minTrain = 5) {
+  const train = new Map();
+  const test = new Map();
+  for (const [u, arr] of usersMap) {
+    if (n > 0 && arr.length >= n + minTrain) {
+      test.set(u, arr.slice(0, n));
+      train.set(u, arr.slice(n));
+    } else {
+      train.set(u, arr.slice());
+    }
+  }
+  return {train, test, holdout: n};
+}
+
+// Interaction count per internal item index in a usersMap-shaped Map
+function itemPopularity(map, numItems) {
+  const counts = new Float32Array(numItems);
+  for (const arr of map.values()) for (const r of arr) counts[r.itemIdx] += 1;
+  return counts;
+}
+
+// Indices of the k highest scores, skipping excluded item indices (Set); best first
+function topKIndices(scores, k, exclude = null) {
+  const idx = [];
+  for (let i = 0; i < scores.length; i++) if (!exclude || !exclude.has(i)) idx.push(i);
+  idx.sort((a, b) => scores[b] - scores[a]);
+  return idx.slice(0, k);
+}
+
+// Per-user ranking metrics for one top-K list against the relevant (held-out) item set
+function rankingMetrics(topK, relevant) {
+  const denom = Math.min(relevant.size, topK.length);
+  let hits = 0, dcg = 0, idcg = 0, apSum = 0;
+  for (let r = 0; r < topK.length; r++) {
+    if (relevant.has(topK[r])) {
+      hits++;
+      dcg += 1 / Math.log2(r + 2);
+      apSum += hits / (r + 1);
+    }
+  }
+  for (let r = 0; r < denom; r++) idcg += 1 / Math.log2(r + 2);
+  return {
+    recall: relevant.size ? hits / relevant.size : 0,
+    ndcg: idcg > 0 ? dcg / idcg : 0,
+    ap: denom > 0 ? apSum / denom : 0,
+    hit: hits > 0 ? 1 : 0
+  };
+}
+
+// Beyond-accuracy metrics of one recommended list (internal item indices):
+//   ild           intra-list diversity, mean pairwise cosine distance 1 - cos(v_i, v_j) of unit item vectors
+//   novelty       mean self-information -log2(p_i), p_i = share of the numUsers training users who rated item i
+//   genreCoverage distinct genres in the list / numGenres
+// opts: {vectors, d (unit item vectors, e.g. unitItemVectors in diversity.js), popularity, numUsers, itemGenres, numGenres}
+function listDiversity(list, opts) {
+  const {vectors, d, popularity, numUsers, itemGenres, numGenres} = opts;
+  let dist = 0, pairs = 0;
+  for (let a = 0; a < list.length; a++) {
+    for (let b = a + 1; b < list.length; b++) {
+      let cos = 0;
+      for (let j = 0; j < d; j++) cos += vectors[list[a]*d + j] * vectors[list[b]*d + j];
+      dist += 1 - cos;
+      pairs++;
+    }
+  }
+  let info = 0;
+  for (const i of list) info -= Math.log2(Math.max(1, popularity[i]) / Math.max(1, numUsers));
+  const genres = new Set();
+  for (const i of list) (itemGenres[i] || []).forEach((flag, g) => { if (flag) genres.add(g); });
+  return {
+    ild: pairs ? dist / pairs : 0,
+    novelty: list.length ? info / list.length : 0,
+    genreCoverage: numGenres ? genres.size / numGenres : 0
+  };
+}
+
+// Evaluate a list of recommenders on a split.
+// opts: {k=10, numItems, minRating=0, diversity: null | {vectors, d, itemGenres, numGenres}, onProgress(name, done, total)}
+// Only held-out items rated >= minRating count as relevant; users without any are skipped.
+// With opts.diversity every result also averages listDiversity over the users' lists (ild, novelty, genreCoverage).
+// Returns [{name, users, recall, ndcg, map, hitRate, coverage, popBias[, ild, novelty, genreCoverage]}]
+async function evaluateRecommenders(recommenders, split, opts = {}) {
+  const k = opts.k || 10;
+  const numItems = opts.numItems;
+  const popularity = itemPopularity(split.train, numItems);
+  let catalogMeanPop = 0;
+  for (let i = 0; i < numItems; i++) catalogMeanPop += popularity[i];
+  catalogMeanPop /= Math.max(1, numItems);
+
+  const minRating = opts.minRating || 0;
+  const testUsers = Array.from(split.test.keys()).filter(u => split.test.get(u).some(x => x.rating >= minRating));
+  const results = [];
+  for (const rec of recommenders) {
+    const sums = {recall: 0, ndcg: 0, ap: 0, hit: 0, ild: 0, novelty: 0, genreCoverage: 0};
+    const recommended = new Set();
+    let popSum = 0, popCount = 0;
+    for (let n = 0; n < testUsers.length; n++) {
+      const u = testUsers[n];
+      const seen = new Set((split.train.get(u) || []).map(x => x.itemIdx));
+      const relevant = new Set(split.test.get(u).filter(x => x.rating >= minRating).map(x => x.itemIdx));
+      const scores = await rec.scoreUser(u);
+      const topK = topKIndices(scores, k, seen);
+      const m = rankingMetrics(topK, relevant);
+      sums.recall += m.recall; sums.ndcg += m.ndcg; sums.ap += m.ap; sums.hit += m.hit;
+      for (const i of topK) { recommended.add(i); popSum += popularity[i]; popCount++; }
+      if (opts.diversity) {
+        const div = listDiversity(topK, Object.assign({popularity, numUsers: split.train.size}, opts.diversity));
+        sums.ild += div.ild; sums.novelty += div.novelty; sums.genreCoverage += div.genreCoverage;
+      }
+      if (opts.onProgress && n % 50 === 0) await opts.onProgress(rec.name, n, testUsers.length);
+    }
+    const users = Math.max(1, testUsers.length);
+    const diversity = opts.diversity
+      ? {ild: sums.ild / users, novelty: sums.novelty / users, genreCoverage: sums.genreCoverage / users}
+      : {};
+    results.push(Object.assign({
+      name: rec.name,
+      users: testUsers.length,
+      recall: sums.recall / users,
+      ndcg: sums.ndcg / users,
+      map: sums.ap / users,
+      hitRate: sums.hit / users,
+      coverage: recommended.size / Math.max(1, numItems),
+      // average recommendation popularity relative to the catalog mean (>1 means skewed towards popular items)
+      popBias: popCount && catalogMeanPop > 0 ? (popSum / popCount) / catalogMeanPop : 0
+    }, diversity));
+  }
+  return results;
+}
+
+// RMSE over every held-out rating. predict(uIdx, itemIdxs) resolves to one predicted rating per item.
+async function ratingRmse(predict, split) {
+  let se = 0, n = 0;
+  for (const [u, arr] of split.test) {
+    const preds = await predict(u, arr.map(x => x.itemIdx));
+    arr.forEach((x, j) => { se += (preds[j] - x.rating) ** 2; n++; });
+  }
+  return n ? Math.sqrt(se / n) : null;
+}
+
+// Size of a model's ID embeddings and how much its item bias follows popularity (TwoTowerModel, DeepRecModel).
+// popularity: training interaction count per item (itemPopularity).
+// Returns {userNorm, itemNorm (mean row norms), maxItemBias, biasPopularityCorrelation (Pearson, bias vs log1p count)}
+async function embeddingStats(model, popularity) {
+  const meanRowNorm = async (table) => {
+    const t = tf.tidy(() => tf.mean(tf.norm(table, 'euclidean', 1)));
+    const value = (await t.data())[0];
+    t.dispose();
+    return value;
+  };
+  const bias = await model.itemBias.data();
+  const logPop = Array.from(popularity, c => Math.log1p(c));
+  const mean = (xs) => xs.reduce((a, b) => a + b, 0) / xs.length;
+  const mb = mean(bias), mp = mean(logPop);
+  let cov = 0, vb = 0, vp = 0;
+  for (let i = 0; i < bias.length; i++) {
+    cov += (bias[i] - mb) * (logPop[i] - mp);
+    vb += (bias[i] - mb) ** 2;
+    vp += (logPop[i] - mp) ** 2;
+  }
+  return {
+    userNorm: await meanRowNorm(model.userEmb),
+    itemNorm: await meanRowNorm(model.itemEmb),
+    maxItemBias: Math.max(...bias),
+    biasPopularityCorrelation: vb && vp ? cov / Math.sqrt(vb * vp) : 0
+  };
+}
+
+// HTML table of embeddingStats results: rows [{name, stats}]
+function renderEmbeddingStats(rows) {
+  let html = '<table><tr><th>Model</th><th>mean ‖user emb‖</th><th>mean ‖item emb‖</th><th>max item bias</th>' +
+    '<th>corr(item bias, log popularity)</th></tr>';
+  for (const {name, stats} of rows) {
+    html += `<tr><td>${name}</td><td>${stats.userNorm.toFixed(3)}</td><td>${stats.itemNorm.toFixed(3)}</td>` +
+      `<td>${stats.maxItemBias.toFixed(3)}</td><td>${stats.biasPopularityCorrelation.toFixed(3)}</td></tr>`;
+  }
+  html += '</table>';
+  return html;
+}
+
+// HTML table for evaluateRecommenders results (diversity columns when the results carry them)
+function renderEvaluationTable(results, k) {
+  const withDiversity = results.length > 0 && results[0].ild != null;
+  let html = `<table><tr><th>Model</th><th>Recall@${k}</th><th>NDCG@${k}</th><th>MAP@${k}</th>` +
+    '<th>Hit rate</th><th>Coverage</th><th>Pop. bias</th>' +
+    (withDiversity ? '<th>ILD</th><th>Novelty</th><th>Genre cov.</th>' : '') + '<th>Users</th></tr>';
+  for (const r of results) {
+    html += `<tr><td>${r.name}</td><td>${r.recall.toFixed(4)}</td><td>${r.ndcg.toFixed(4)}</td>` +
+      `<td>${r.map.toFixed(4)}</td><td>${r.hitRate.toFixed(4)}</td><td>${(r.coverage * 100).toFixed(1)}%</td>` +
+      `<td>${r.popBias.toFixed(2)}</td>` +
+      (withDiversity ? `<td>${r.ild.toFixed(3)}</td><td>${r.novelty.toFixed(2)}</td><td>${(r.genreCoverage * 100).toFixed(1)}%</td>` : '') +
+      `<td>${r.users}</td></tr>`;
+  }
+  html += '</table>';
+  return html;
+}
+
+// Node (CLI) export; in the browser these stay globals
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = {
+    splitLeaveLastN, itemPopularity, topKIndices, rankingMetrics, listDiversity, evaluateRecommenders, ratingRmse, renderEvaluationTable,
+    embeddingStats, renderEmbeddingStats
+  };
+}
@@ -0,0 +1,59 @@
+// explain.js
+// Why a movie was recommended, read off a model that scores u . v_i + b_i (TwoTowerModel, DeepRecModel):
+// - score split: item bias b_i (popularity-like, the same for every user) vs the interaction u . v_i
+// - because you liked: the user's liked movies (rated at least their mean rating) whose item embeddings are
+//   most cosine-similar to v_i
+// - shared genres: genres of the movie that also occur among the user's top-rated movies, with counts
+
+// opts: {history: [{itemIdx, rating}] (the user's rated movies), topRated: internal item indices,
+//        itemGenres: 0/1 genre rows per internal item (buildInternalGenres), genreNames, maxBecause = 3}
+// Returns one {itemIdx, score, bias, interaction, because: [{itemIdx, similarity}], sharedGenres: [{name, count}]}
+// per entry of itemIdxs.
+async function explainRecommendations(model, uIdx, itemIdxs, opts = {}) {
+  const history = opts.history || [];
+  const maxBecause = opts.maxBecause || 3;
+  const meanRating = history.length ? history.reduce((s, x) => s + x.rating, 0) / history.length : 0;
+  const liked = history.filter(x => x.rating >= meanRating).map(x => x.itemIdx);
+
+  const userEmb = await model.getUserEmbedding(uIdx);
+  const recEmb = await model.getItemEmbeddings(itemIdxs);
+  const likedEmb = liked.length ? await model.getItemEmbeddings(liked) : null;
+  const [interactionT, biasT, simsT] = tf.tidy(() => {
+    const unit = (x) => tf.div(x, tf.add(tf.norm(x, 'euclidean', 1, true), 1e-9));
+    return [
+      tf.matMul(recEmb, userEmb.reshape([1, -1]), false, true).reshape([-1]),
+      tf.gather(model.itemBias.reshape([-1]), tf.tensor1d(itemIdxs, 'int32')),
+      likedEmb ? tf.matMul(unit(recEmb), unit(likedEmb), false, true) : tf.zeros([itemIdxs.length, 0])  // [n, liked]
+    ];
+  });
+  const interaction = await interactionT.data();
+  const bias = await biasT.data();
+  const sims = await simsT.data();
+  tf.dispose([userEmb, recEmb, likedEmb, interactionT, biasT, simsT].filter(Boolean));
+
+  // genre counts over the user's top-rated movies
+  const genreNames = opts.genreNames || [];
+  const topGenreCounts = new Array(genreNames.length).fill(0);
+  for (const i of opts.topRated || []) {
+    const row = (opts.itemGenres && opts.itemGenres[i]) || [];
+    row.forEach((flag, g) => { if (flag) topGenreCounts[g]++; });
+  }
+
+  return itemIdxs.map((itemIdx, n) => {
+    const because = liked
+      .map((j, m) => ({itemIdx: j, similarity: sims[n * liked.length + m]}))
+      .filter(x => x.itemIdx !== itemIdx && x.similarity > 0)
+      .sort((a, b) => b.similarity - a.similarity)
+      .slice(0, maxBecause);
+    const row = (opts.itemGenres && opts.itemGenres[itemIdx]) || [];
+    const sharedGenres = [];
+    row.forEach((flag, g) => { if (flag && topGenreCounts[g]) sharedGenres.push({name: genreNames[g], count: topGenreCounts[g]}); });
+    sharedGenres.sort((a, b) => b.count - a.count);
+    return {itemIdx, score: bias[n] + interaction[n], bias: bias[n], interaction: interaction[n], because, sharedGenres};
+  });
+}
+
+// Node (CLI) export; in the browser these stay globals
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = { explainRecommendations };
+}
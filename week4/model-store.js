@@ -0,0 +1,93 @@
+// model-store.js
+// Save/load of trained week4 models together with their ID mappings and hyperparameters.
+// A bundle is a plain object:
+//   {format, savedAt, hyperparams, mappings: {indexUser, indexItem}, models: {twoTower, deep, sequential}}
+// where each model entry is the model's getState() snapshot (deep and sequential are null when not trained).
+// Bundles go to IndexedDB as-is (typed arrays survive structured clone) or to a downloadable JSON file,
+// in which Float32Arrays are base64-encoded.
+// Depends on two-tower.js, sequential.js and ../shared/idb-store.js.
+
+const MODEL_BUNDLE_FORMAT = 'week4-recs/1';
+const MODEL_DB_NAME = 'week4-models';
+const MODEL_DB_KEY = 'latest';
+
+// Snapshot the trained models and everything needed to interpret their indices
+async function createModelBundle({twoTower, deepModel = null, sequentialModel = null, indexUser, indexItem, hyperparams = {}}) {
+  return {
+    format: MODEL_BUNDLE_FORMAT,
+    savedAt: new Date().toISOString(),
+    hyperparams,
+    mappings: {indexUser: indexUser.slice(), indexItem: indexItem.slice()},
+    models: {
+      twoTower: await twoTower.getState(),
+      deep: deepModel ? await deepModel.getState() : null,
+      sequential: sequentialModel ? await sequentialModel.getState() : null
+    }
+  };
+}
+
+// Rebuild models from a bundle. itemMeta (the items Map) is optional and only attached to the Deep model.
+function restoreModelBundle(bundle, itemMeta = null) {
+  if (!bundle || bundle.format !== MODEL_BUNDLE_FORMAT) {
+    throw new Error(`Unsupported model bundle format: ${bundle && bundle.format}`);
+  }
+  const {indexUser, indexItem} = bundle.mappings;
+  const twoTower = TwoTowerModel.fromState(bundle.models.twoTower);
+  if (twoTower.numUsers !== indexUser.length || twoTower.numItems !== indexItem.length) {
+    twoTower.dispose();
+    throw new Error('Model bundle is inconsistent: embedding table sizes do not match the saved ID mappings');
+  }
+  const deepModel = bundle.models.deep ? DeepRecModel.fromState(bundle.models.deep, itemMeta) : null;
+  const sequentialModel = bundle.models.sequential ? SequentialModel.fromState(bundle.models.sequential) : null;
+  return {twoTower, deepModel, sequentialModel, indexUser, indexItem, hyperparams: bundle.hyperparams || {}};
+}
+
+function saveBundleToIndexedDB(bundle) {
+  return idbPut(MODEL_DB_NAME, MODEL_DB_KEY, bundle);
+}
+
+// Resolves with the last saved bundle, or null if nothing was saved
+async function loadBundleFromIndexedDB() {
+  const bundle = await idbGet(MODEL_DB_NAME, MODEL_DB_KEY);
+  return bundle || null;
+}
+
+function float32ToBase64(arr) {
+  const bytes = new Uint8Array(arr.buffer, arr.byteOffset, arr.byteLength);
+  let binary = '';
+  // chunked to stay under the argument limit of String.fromCharCode
+  for (let i = 0; i < bytes.length; i += 0x8000) {
+    binary += String.fromCharCode.apply(null, bytes.subarray(i, i + 0x8000));
+  }
+  return btoa(binary);
+}
+
+function base64ToFloat32(b64) {
+  const binary = atob(b64);
+  const bytes = new Uint8Array(binary.length);
+  for (let i = 0; i < binary.length; i++) bytes[i] = binary.charCodeAt(i);
+  return new Float32Array(bytes.buffer);
+}
+
+function bundleToJSON(bundle) {
+  return JSON.stringify(bundle, (key, value) =>
+    value instanceof Float32Array ? {float32: float32ToBase64(value)} : value);
+}
+
+function bundleFromJSON(text) {
+  return JSON.parse(text, (key, value) =>
+    (value && typeof value === 'object' && typeof value.float32 === 'string') ? base64ToFloat32(value.float32) : value);
+}
+
+// Trigger a browser download of the bundle as JSON
+function downloadBundle(bundle, filename = 'week4-models.json') {
+  const blob = new Blob([bundleToJSON(bundle)], {type: 'application/json'});
+  const url = URL.createObjectURL(blob);
+  const a = document.createElement('a');
+  a.href = url;
+  a.download = filename;
+  document.body.appendChild(a);
+  a.click();
+  a.remove();
+  setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
@@ -0,0 +1,307 @@
+// projection.js
+// 2-D maps of embedding vectors for the week4 embedding explorer:
+// - pcaProjection(): the two leading principal components (power iteration with deflation); places new vectors exactly
+// - tsneProjection(): exact t-SNE (perplexity-calibrated Gaussian affinities, Student-t map, early exaggeration)
+// - umapProjection(): UMAP-style layout (fuzzy k-nearest-neighbour graph, attraction/repulsion SGD with negative sampling)
+// - placeByNeighbours(): out-of-sample points for the non-linear maps, at the similarity-weighted mean of the map
+//   positions of their most cosine-similar projected vectors
+// Vectors are row-major Float32Arrays [n * d]; maps come back as Float32Arrays [n * 2].
+// t-SNE and UMAP are O(n^2) in time and memory, so the page projects a sample of up to a few thousand items.
+
+const PROJECTION_METHODS = ['pca', 'tsne', 'umap'];
+// largest sample the O(n^2) methods accept (several n x n arrays: about 100 MB at this size)
+const MAX_PAIRWISE_POINTS = 3000;
+
+// yield to the event loop every this many iterations so the page stays responsive
+const PROJECTION_YIELD_EVERY = 20;
+function projectionYield() { return new Promise(r => setTimeout(r, 0)); }
+
+function squaredDistances(vectors, n, d) {
+  const D = new Float32Array(n * n);
+  for (let i = 0; i < n; i++) {
+    for (let j = i + 1; j < n; j++) {
+      let s = 0;
+      for (let c = 0; c < d; c++) { const diff = vectors[i*d + c] - vectors[j*d + c]; s += diff * diff; }
+      D[i*n + j] = s; D[j*n + i] = s;
+    }
+  }
+  return D;
+}
+
+// -> {points, mean, components: [pc1, pc2], project(vector, offset = 0) -> [x, y]}
+function pcaProjection(vectors, n, d, iterations = 50) {
+  const mean = new Float64Array(d);
+  for (let i = 0; i < n; i++) for (let c = 0; c < d; c++) mean[c] += vectors[i*d + c] / n;
+  const C = new Float64Array(d * d);
+  for (let i = 0; i < n; i++) {
+    for (let a = 0; a < d; a++) {
+      const xa = vectors[i*d + a] - mean[a];
+      for (let b = a; b < d; b++) C[a*d + b] += xa * (vectors[i*d + b] - mean[b]);
+    }
+  }
+  for (let a = 0; a < d; a++) for (let b = a; b < d; b++) { C[a*d + b] /= n; C[b*d + a] = C[a*d + b]; }
+
+  const components = [];
+  for (let pc = 0; pc < 2; pc++) {
+    // deterministic start; Gram-Schmidt against the earlier components deflates C
+    let v = Float64Array.from({length: d}, (_, c) => 1 + Math.sin(c + 1 + pc));
+    for (let it = 0; it < iterations; it++) {
+      const w = new Float64Array(d);
+      for (let a = 0; a < d; a++) { let s = 0; for (let b = 0; b < d; b++) s += C[a*d + b] * v[b]; w[a] = s; }
+      for (const u of components) {
+        let dot = 0; for (let c = 0; c < d; c++) dot += w[c] * u[c];
+        for (let c = 0; c < d; c++) w[c] -= dot * u[c];
+      }
+      let norm = 0; for (let c = 0; c < d; c++) norm += w[c] * w[c];
+      norm = Math.sqrt(norm);
+      if (norm < 1e-12) break;  // no variance left in this direction
+      for (let c = 0; c < d; c++) w[c] /= norm;
+      v = w;
+    }
+    components.push(v);
+  }
+
+  const project = (vector, offset = 0) => components.map(u => {
+    let s = 0; for (let c = 0; c < d; c++) s += (vector[offset + c] - mean[c]) * u[c];
+    return s;
+  });
+  const points = new Float32Array(n * 2);
+  for (let i = 0; i < n; i++) { const [x, y] = project(vectors, i*d); points[i*2] = x; points[i*2 + 1] = y; }
+  return {points, mean, components, project};
+}
+
+// opts: {perplexity = 30, iterations = 500, learningRate = 200, exaggeration = 12, onProgress(iteration, iterations)}
+// Starts from the (rescaled) PCA map, so repeated runs give the same picture.
+async function tsneProjection(vectors, n, d, opts = {}) {
+  const perplexity = Math.max(2, Math.min(opts.perplexity || 30, (n - 1) / 3));
+  const iterations = opts.iterations || 500;
+  const learningRate = opts.learningRate || 200;
+  const exaggeration = opts.exaggeration || 12;
+  const exaggerationIters = Math.min(100, Math.floor(iterations / 4));
+  const D = squaredDistances(vectors, n, d);
+
+  // conditional affinities p_j|i with the Gaussian bandwidth found by binary search on the entropy
+  const P = new Float64Array(n * n);
+  const targetEntropy = Math.log(perplexity);
+  for (let i = 0; i < n; i++) {
+    let beta = 1, lo = -Infinity, hi = Infinity;
+    for (let step = 0; step < 50; step++) {
+      let sum = 0, weighted = 0;
+      for (let j = 0; j < n; j++) {
+        if (j === i) { P[i*n + j] = 0; continue; }
+        const p = Math.exp(-D[i*n + j] * beta);
+        P[i*n + j] = p; sum += p; weighted += D[i*n + j] * p;
+      }
+      sum = Math.max(sum, 1e-12);
+      const entropy = Math.log(sum) + beta * weighted / sum;
+      for (let j = 0; j < n; j++) P[i*n + j] /= sum;
+      if (Math.abs(entropy - targetEntropy) < 1e-5) break;
+      if (entropy > targetEntropy) { lo = beta; beta = hi === Infinity ? beta * 2 : (beta + hi) / 2; }
+      else { hi = beta; beta = lo === -Infinity ? beta / 2 : (beta + lo) / 2; }
+    }
+  }
+  // symmetric joint affinities
+  for (let i = 0; i < n; i++) {
+    for (let j = i + 1; j < n; j++) {
+      const p = Math.max((P[i*n + j] + P[j*n + i]) / (2 * n), 1e-12);
+      P[i*n + j] = p; P[j*n + i] = p;
+    }
+  }
+
+  // PCA start scaled to a small spread (standard deviation 1e-4 along the first axis)
+  const Y = pcaProjection(vectors, n, d).points;
+  let spread = 0;
+  for (let i = 0; i < n; i++) spread += Y[i*2] * Y[i*2] / n;
+  spread = Math.sqrt(spread) || 1;
+  for (let k = 0; k < n * 2; k++) Y[k] = Y[k] / spread * 1e-4;
+
+  const update = new Float64Array(n * 2);
+  const gains = new Float64Array(n * 2).fill(1);
+  const grad = new Float64Array(n * 2);
+  const num = new Float64Array(n * n);
+  for (let it = 0; it < iterations; it++) {
+    const exag = it < exaggerationIters ? exaggeration : 1;
+    const momentum = it < exaggerationIters ? 0.5 : 0.8;
+    // Student-t kernel and its normaliser
+    let Z = 0;
+    for (let i = 0; i < n; i++) {
+      for (let j = i + 1; j < n; j++) {
+        const dx = Y[i*2] - Y[j*2], dy = Y[i*2 + 1] - Y[j*2 + 1];
+        const q = 1 / (1 + dx*dx + dy*dy);
+        num[i*n + j] = q; num[j*n + i] = q; Z += 2 * q;
+      }
+    }
+    grad.fill(0);
+    for (let i = 0; i < n; i++) {
+      for (let j = 0; j < n; j++) {
+        if (j === i) continue;
+        const q = num[i*n + j];
+        const mult = 4 * (exag * P[i*n + j] - q / Z) * q;
+        grad[i*2] += mult * (Y[i*2] - Y[j*2]);
+        grad[i*2 + 1] += mult * (Y[i*2 + 1] - Y[j*2 + 1]);
+      }
+    }
+    // gradient descent with momentum and per-coordinate gains
+    for (let k = 0; k < n * 2; k++) {
+      gains[k] = Math.sign(grad[k]) !== Math.sign(update[k]) ? gains[k] + 0.2 : Math.max(0.01, gains[k] * 0.8);
+      update[k] = momentum * update[k] - learningRate * gains[k] * grad[k];
+      Y[k] += update[k];
+    }
+    if ((it + 1) % PROJECTION_YIELD_EVERY === 0) {
+      if (opts.onProgress) opts.onProgress(it + 1, iterations);
+      await projectionYield();
+    }
+  }
+  return {points: Y};
+}
+
+// a, b of UMAP's low-dimensional kernel 1 / (1 + a * dist^(2b)), fitted (least squares on a grid) to the
+// curve that is 1 up to minDist and decays as exp(-(dist - minDist) / spread) after it
+function umapCurve(minDist, spread = 1) {
+  const xs = Array.from({length: 100}, (_, k) => (k + 0.5) * 3 * spread / 100);
+  const target = xs.map(x => x < minDist ? 1 : Math.exp(-(x - minDist) / spread));
+  let best = {a: 1, b: 1, err: Infinity};
+  for (let b = 0.3; b <= 2.5; b += 0.01) {
+    const powers = xs.map(x => Math.pow(x, 2 * b));
+    for (let la = -4; la <= 3; la += 0.02) {
+      const a = Math.exp(la);
+      let err = 0;
+      for (let k = 0; k < xs.length; k++) { const r = 1 / (1 + a * powers[k]) - target[k]; err += r * r; }
+      if (err < best.err) best = {a, b, err};
+    }
+  }
+  return {a: best.a, b: best.b};
+}
+
+// opts: {neighbours = 15, minDist = 0.1, epochs = 200, negatives = 5, onProgress(epoch, epochs)}
+async function umapProjection(vectors, n, d, opts = {}) {
+  const k = Math.max(1, Math.min(opts.neighbours || 15, n - 1));
+  const minDist = opts.minDist != null ? opts.minDist : 0.1;
+  const epochs = opts.epochs || 200;
+  const negatives = opts.negatives || 5;
+  const {a, b} = umapCurve(minDist);
+  const D = squaredDistances(vectors, n, d);
+
+  // fuzzy k-NN memberships: exp(-(dist - rho_i) / sigma_i), sigma_i chosen so they sum to log2(k)
+  const weights = new Map();  // 'i,j' (i < j) -> symmetric membership
+  const directed = [];
+  for (let i = 0; i < n; i++) {
+    const order = Array.from({length: n}, (_, j) => j).filter(j => j !== i);
+    order.sort((x, y) => D[i*n + x] - D[i*n + y]);
+    const nn = order.slice(0, k).map(j => ({j, dist: Math.sqrt(D[i*n + j])}));
+    const rho = nn[0].dist;
+    const target = Math.log2(k);
+    let sigma = 1, lo = 0, hi = Infinity;
+    for (let step = 0; step < 64; step++) {
+      const sum = nn.reduce((s, x) => s + Math.exp(-Math.max(0, x.dist - rho) / sigma), 0);
+      if (Math.abs(sum - target) < 1e-5) break;
+      if (sum > target) { hi = sigma; sigma = (lo + hi) / 2; }
+      else { lo = sigma; sigma = hi === Infinity ? sigma * 2 : (lo + hi) / 2; }
+    }
+    for (const x of nn) directed.push([i, x.j, Math.exp(-Math.max(0, x.dist - rho) / sigma)]);
+  }
+  // fuzzy union of the two directions: w_ij + w_ji - w_ij * w_ji
+  const oneWay = new Map(directed.map(([i, j, w]) => [i + ',' + j, w]));
+  for (const [i, j, w] of directed) {
+    const key = i < j ? i + ',' + j : j + ',' + i;
+    if (weights.has(key)) continue;
+    const back = oneWay.get(j + ',' + i) || 0;
+    weights.set(key, w + back - w * back);
+  }
+  const edges = Array.from(weights, ([key, w]) => { const [i, j] = key.split(',').map(Number); return {i, j, w}; });
+  const maxWeight = Math.max(...edges.map(e => e.w));
+
+  // PCA start rescaled to about [-10, 10]
+  const Y = pcaProjection(vectors, n, d).points;
+  let extent = 0;
+  for (let t = 0; t < n * 2; t++) extent = Math.max(extent, Math.abs(Y[t]));
+  for (let t = 0; t < n * 2; t++) Y[t] = Y[t] / (extent || 1) * 10;
+
+  const clip = (g) => Math.max(-4, Math.min(4, g));
+  for (let epoch = 0; epoch < epochs; epoch++) {
+    const alpha = 1 - epoch / epochs;
+    for (const e of edges) {
+      // each edge is sampled in proportion to its membership
+      if (Math.random() > e.w / maxWeight) continue;
+      const {i, j} = e;
+      let dx = Y[i*2] - Y[j*2], dy = Y[i*2 + 1] - Y[j*2 + 1];
+      let dist2 = dx*dx + dy*dy;
+      if (dist2 > 0) {
+        const coef = -2 * a * b * Math.pow(dist2, b - 1) / (1 + a * Math.pow(dist2, b));
+        const gx = clip(coef * dx) * alpha, gy = clip(coef * dy) * alpha;
+        Y[i*2] += gx; Y[i*2 + 1] += gy;
+        Y[j*2] -= gx; Y[j*2 + 1] -= gy;
+      }
+      for (let s = 0; s < negatives; s++) {
+        const m = Math.floor(Math.random() * n);
+        if (m === i) continue;
+        dx = Y[i*2] - Y[m*2]; dy = Y[i*2 + 1] - Y[m*2 + 1];
+        dist2 = dx*dx + dy*dy;
+        const coef = 2 * b / ((0.001 + dist2) * (1 + a * Math.pow(dist2, b)));
+        Y[i*2] += (dist2 > 0 ? clip(coef * dx) : 4) * alpha;
+        Y[i*2 + 1] += (dist2 > 0 ? clip(coef * dy) : 4) * alpha;
+      }
+    }
+    if ((epoch + 1) % PROJECTION_YIELD_EVERY === 0) {
+      if (opts.onProgress) opts.onProgress(epoch + 1, epochs);
+      await projectionYield();
+    }
+  }
+  return {points: Y};
+}
+
+// Map position [x, y] for a vector that was not projected (a user embedding, or an item outside the sample):
+// the mean of the positions of its k most cosine-similar projected vectors, weighted by the (positive) similarity.
+// Falls back to the single most similar vector when none is positive.
+function placeByNeighbours(query, vectors, n, d, points, k = 10) {
+  let qNorm = 0;
+  for (let c = 0; c < d; c++) qNorm += query[c] * query[c];
+  qNorm = Math.sqrt(qNorm) + 1e-9;
+  const sims = [];
+  for (let i = 0; i < n; i++) {
+    let dot = 0, norm = 0;
+    for (let c = 0; c < d; c++) { const v = vectors[i*d + c]; dot += v * query[c]; norm += v * v; }
+    sims.push({i, sim: dot / (qNorm * (Math.sqrt(norm) + 1e-9))});
+  }
+  sims.sort((x, y) => y.sim - x.sim);
+  const top = sims.slice(0, k).filter(s => s.sim > 0);
+  if (!top.length) return [points[sims[0].i * 2], points[sims[0].i * 2 + 1]];
+  const total = top.reduce((s, x) => s + x.sim, 0);
+  return [
+    top.reduce((s, x) => s + x.sim * points[x.i * 2], 0) / total,
+    top.reduce((s, x) => s + x.sim * points[x.i * 2 + 1], 0) / total
+  ];
+}
+
+// Point-in-polygon (even-odd rule); polygon: [[x, y], ...]
+function insidePolygon(x, y, polygon) {
+  let inside = false;
+  for (let p = 0, q = polygon.length - 1; p < polygon.length; q = p++) {
+    const [xp, yp] = polygon[p], [xq, yq] = polygon[q];
+    if ((yp > y) !== (yq > y) && x < (xq - xp) * (y - yp) / (yq - yp) + xp) inside = !inside;
+  }
+  return inside;
+}
+
+// Colours for the explorer: a categorical palette (genres) and a sequential scale for t in [0, 1] (year, popularity)
+const CATEGORY_COLOURS = ['#1f77b4', '#ff7f0e', '#2ca02c', '#d62728', '#9467bd', '#8c564b', '#e377c2', '#7f7f7f',
+  '#bcbd22', '#17becf', '#aec7e8', '#ffbb78', '#98df8a', '#ff9896', '#c5b0d5', '#c49c94', '#f7b6d2', '#dbdb8d',
+  '#9edae5', '#393b79'];
+function categoryColour(k) { return CATEGORY_COLOURS[k % CATEGORY_COLOURS.length]; }
+
+// dark blue -> teal -> yellow
+const SEQUENTIAL_STOPS = [[68, 1, 84], [59, 82, 139], [33, 145, 140], [94, 201, 98], [253, 231, 37]];
+function sequentialColour(t) {
+  const x = Math.max(0, Math.min(1, t)) * (SEQUENTIAL_STOPS.length - 1);
+  const k = Math.min(SEQUENTIAL_STOPS.length - 2, Math.floor(x)), f = x - k;
+  const rgb = SEQUENTIAL_STOPS[k].map((c, n) => Math.round(c + (SEQUENTIAL_STOPS[k + 1][n] - c) * f));
+  return `rgb(${rgb.join(',')})`;
+}
+
+// Node (CLI) export; in the browser these stay globals
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = {
+    PROJECTION_METHODS, MAX_PAIRWISE_POINTS, pcaProjection, tsneProjection, umapProjection, placeByNeighbours, insidePolygon,
+    categoryColour, sequentialColour
+  };
+}
@@ -0,0 +1,182 @@
+// ranker.js
+// Second stage of the retrieve-then-rank cascade: the Two-Tower model retrieves a few hundred candidates,
+// and a small MLP re-scores them from
+//   genre flags, release year (scaled, plus a has-year flag),
+//   user rating statistics ([avg rating / 5, log count] from synthesizeUserFeatures),
+//   Two-Tower and Deep tower scores (Deep score is 0 without a Deep model).
+// Trained either pointwise (sigmoid cross-entropy per candidate) or listwise (softmax cross-entropy over
+// each user's candidate list). Labels come from interactions the towers did not train on (see app.js).
+// Uses initVariable from two-tower.js and topKIndices from evaluation.js.
+
+// Static per-item features aligned to internal indices: [genre flags..., (year - 1900) / 100, has year]
+function buildItemRankFeatures(items, indexItem) {
+  const first = items.size > 0 ? Array.from(items.values())[0] : null;
+  const genreDim = (first && first.genres) ? first.genres.length : 0;
+  return indexItem.map(origId => {
+    const it = items.get(origId);
+    const genres = (it && it.genres && it.genres.length) ? it.genres.slice() : new Array(genreDim).fill(0);
+    const year = it && it.year ? it.year : null;
+    return genres.concat(year ? [(year - 1900) / 100, 1] : [0, 0]);
+  });
+}
+
+// Scores of every item for one user: {tt: Float32Array, deep: Float32Array | null}
+async function towerScores(twoTower, deepModel, uIdx) {
+  const score = async (model) => {
+    const userEmb = await model.getUserEmbedding(uIdx);
+    const scoresTensor = await model.scoreAllItems(userEmb);
+    const scores = await scoresTensor.data();
+    tf.dispose([userEmb, scoresTensor]);
+    return scores;
+  };
+  return {tt: await score(twoTower), deep: deepModel ? await score(deepModel) : null};
+}
+
+// Width of a candidate feature row: item features, user features, Two-Tower and Deep scores
+function rankFeatureCount(itemFeatures, userFeatRow) {
+  return (itemFeatures.length ? itemFeatures[0].length : 0) + userFeatRow.length + 2;
+}
+
+// Feature rows for candidate items of one user -> Float32Array [itemIdxs.length * numFeatures]
+function rankFeatures(itemIdxs, scores, itemFeatures, userFeatRow) {
+  const F = rankFeatureCount(itemFeatures, userFeatRow);
+  const out = new Float32Array(itemIdxs.length * F);
+  itemIdxs.forEach((i, n) => {
+    const row = itemFeatures[i].concat(userFeatRow, [scores.tt[i], scores.deep ? scores.deep[i] : 0]);
+    out.set(row, n * F);
+  });
+  return out;
+}
+
+// Training lists for the ranker: for every user with label items, the top listSize Two-Tower candidates
+// (excluding items seen in seenMap), with the label items the retrieval missed replacing its lowest-ranked
+// unlabelled candidates. Users with fewer than listSize unseen items, or with listSize or more label items
+// (no room for a negative), are skipped so every list has exactly listSize rows.
+// labelMap/seenMap: usersMap-shaped Maps. Returns {features, labels, users, skipped, listSize, numFeatures}.
+async function buildRankerLists({twoTower, deepModel, labelMap, seenMap, itemFeatures, userFeat, listSize = 100, onProgress}) {
+  const numFeatures = rankFeatureCount(itemFeatures, userFeat.length ? userFeat[0] : []);
+  const lists = [];
+  let n = 0, skipped = 0;
+  for (const [u, labelled] of labelMap) {
+    if (onProgress && ++n % 100 === 0) await onProgress(n, labelMap.size);
+    const positives = new Set(labelled.map(x => x.itemIdx));
+    if (positives.size >= listSize) { skipped++; continue; }
+    const seen = new Set((seenMap.get(u) || []).map(x => x.itemIdx));
+    const scores = await towerScores(twoTower, deepModel, u);
+    const retrieved = topKIndices(scores.tt, listSize, seen);
+    if (retrieved.length < listSize) { skipped++; continue; }
+    const missing = Array.from(positives).filter(i => !retrieved.includes(i));
+    // keep the retrieved positives and the highest-ranked negatives, in retrieval order
+    let negatives = listSize - positives.size;
+    const candidates = retrieved.filter(i => positives.has(i) || negatives-- > 0).concat(missing);
+    lists.push({
+      features: rankFeatures(candidates, scores, itemFeatures, userFeat[u]),
+      labels: Float32Array.from(candidates, i => positives.has(i) ? 1 : 0)
+    });
+  }
+  const features = new Float32Array(lists.length * listSize * numFeatures);
+  const labels = new Float32Array(lists.length * listSize);
+  lists.forEach((l, k) => { features.set(l.features, k * listSize * numFeatures); labels.set(l.labels, k * listSize); });
+  return {features, labels, users: lists.length, skipped, listSize, numFeatures};
+}
+
+class RankerModel {
+  // options: {hidden = 32, lr = 0.01, loss: 'pointwise' | 'listwise'}
+  constructor(numFeatures, options = {}) {
+    this.numFeatures = numFeatures;
+    this.hidden = options.hidden || 32;
+    this.lr = options.lr || 0.01;
+    this.loss = options.loss || 'pointwise';
+    this.W1 = initVariable(tf.randomNormal([numFeatures, this.hidden], 0, Math.sqrt(2 / numFeatures)));
+    this.b1 = initVariable(tf.zeros([this.hidden]));
+    this.W2 = initVariable(tf.randomNormal([this.hidden, 1], 0, Math.sqrt(1 / this.hidden)));
+    this.b2 = initVariable(tf.zeros([1]));
+    // feature standardization, fitted on the training lists
+    this.mean = tf.zeros([numFeatures]);
+    this.std = tf.ones([numFeatures]);
+  }
+
+  // x: [n, numFeatures] -> logits [n]
+  forward(x) {
+    return tf.tidy(() => {
+      const z = tf.div(tf.sub(x, this.mean), this.std);
+      const h = tf.relu(tf.add(tf.matMul(z, this.W1), this.b1));
+      return tf.add(tf.matMul(h, this.W2), this.b2).reshape([-1]);
+    });
+  }
+
+  // data: buildRankerLists output. opts: {epochs = 5, batchUsers = 32, onEpoch({epoch, epochs, loss})}
+  async train(data, opts = {}) {
+    const {features, labels, users, listSize, numFeatures} = data;
+    const epochs = opts.epochs || 5;
+    const batchUsers = opts.batchUsers || 32;
+    tf.dispose([this.mean, this.std]);
+    [this.mean, this.std] = tf.tidy(() => {
+      const {mean, variance} = tf.moments(tf.tensor2d(features, [users * listSize, numFeatures]), 0);
+      return [mean, tf.add(tf.sqrt(variance), 1e-6)];
+    });
+
+    const optimizer = tf.train.adam(this.lr);
+    const varList = [this.W1, this.b1, this.W2, this.b2];
+    const order = Array.from({length: users}, (_, i) => i);
+    const epochLosses = [];
+    for (let e = 0; e < epochs; e++) {
+      shufflePairs(order);
+      let total = 0, batches = 0;
+      for (let start = 0; start < users; start += batchUsers) {
+        const batch = order.slice(start, start + batchUsers);
+        const xBuf = new Float32Array(batch.length * listSize * numFeatures);
+        const yBuf = new Float32Array(batch.length * listSize);
+        batch.forEach((u, k) => {
+          xBuf.set(features.subarray(u * listSize * numFeatures, (u + 1) * listSize * numFeatures), k * listSize * numFeatures);
+          yBuf.set(labels.subarray(u * listSize, (u + 1) * listSize), k * listSize);
+        });
+        const x = tf.tensor2d(xBuf, [batch.length * listSize, numFeatures]);
+        const y = tf.tensor2d(yBuf, [batch.length, listSize]);
+        const lossTensor = optimizer.minimize(() => {
+          const logits = this.forward(x).reshape([batch.length, listSize]);
+          if (this.loss === 'listwise') {
+            // softmax cross-entropy against the normalized label distribution of each list
+            const target = tf.div(y, tf.add(tf.sum(y, 1, true), 1e-9));
+            return tf.mean(tf.neg(tf.sum(tf.mul(target, tf.logSoftmax(logits)), 1)));
+          }
+          return tf.losses.sigmoidCrossEntropy(y, logits);
+        }, true, varList);
+        total += (await lossTensor.data())[0];
+        batches++;
+        tf.dispose([x, y, lossTensor]);
+      }
+      epochLosses.push(total / Math.max(1, batches));
+      if (opts.onEpoch) await opts.onEpoch({epoch: e, epochs, loss: epochLosses[e]});
+    }
+    optimizer.dispose();
+    return epochLosses;
+  }
+
+  // Float32Array [n * numFeatures] -> Float32Array [n] of ranking scores
+  async score(features, n) {
+    const x = tf.tensor2d(features, [n, this.numFeatures]);
+    const out = this.forward(x);
+    const scores = await out.data();
+    tf.dispose([x, out]);
+    return scores;
+  }
+
+  dispose() {
+    tf.dispose([this.W1, this.b1, this.W2, this.b2, this.mean, this.std]);
+  }
+}
+
+// Cascade for one user: Two-Tower top-numCandidates (excluding `exclude`), re-scored by the ranker.
+// Returns {candidates, rankScores} with candidates in retrieval order.
+async function rankCandidates({twoTower, deepModel, ranker, uIdx, exclude, numCandidates, itemFeatures, userFeatRow}) {
+  const scores = await towerScores(twoTower, deepModel, uIdx);
+  const candidates = topKIndices(scores.tt, numCandidates, exclude);
+  const rankScores = await ranker.score(rankFeatures(candidates, scores, itemFeatures, userFeatRow), candidates.length);
+  return {candidates, rankScores};
+}
+
+// Node (CLI) export; in the browser these stay globals
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = { buildItemRankFeatures, towerScores, rankFeatures, buildRankerLists, RankerModel, rankCandidates };
+}
@@ -0,0 +1,198 @@
+// sequential.js
+// "Next movie" recommender over each user's time-ordered history (SASRec-style):
+//   input   - the last maxLen items of a user, oldest first, left-padded
+//   encoder - item + learned position embeddings, one causal self-attention block (single head,
+//             residual + layer norm) followed by a position-wise feed-forward layer (residual + layer norm)
+//   output  - the hidden state at each position scores the next item against the shared item embeddings
+// Trained with full softmax cross-entropy over the catalogue at every non-padded position, on windows of
+// maxLen + 1 consecutive training interactions (see sequenceWindows).
+// Token 0 is padding; internal item index i is token i + 1.
+// Uses initVariable, growRows, createDenseVars, gatherRows, readTensors and assignTensors from two-tower.js.
+
+// Layer normalization over the last axis
+function layerNorm(x, gamma, beta) {
+  const {mean, variance} = tf.moments(x, -1, true);
+  return tf.add(tf.mul(tf.div(tf.sub(x, mean), tf.sqrt(tf.add(variance, 1e-6))), gamma), beta);
+}
+
+// Training windows from chronological histories (arrays of internal item indices, oldest first):
+// each history is cut from its end into chunks of maxLen + 1 items overlapping by one, so every transition
+// (item -> next item) appears once. Returns [{input: Int32Array [maxLen], target: Int32Array [maxLen]}] in tokens.
+function sequenceWindows(histories, maxLen) {
+  const windows = [];
+  for (const history of histories) {
+    for (let end = history.length; end > 1; end -= maxLen) {
+      const chunk = history.slice(Math.max(0, end - maxLen - 1), end);
+      const input = new Int32Array(maxLen), target = new Int32Array(maxLen);
+      const offset = maxLen - (chunk.length - 1);
+      for (let t = 0; t < chunk.length - 1; t++) {
+        input[offset + t] = chunk[t] + 1;
+        target[offset + t] = chunk[t + 1] + 1;
+      }
+      windows.push({input, target});
+    }
+  }
+  return windows;
+}
+
+class SequentialModel {
+  // options: {embDim = 32, maxLen = 20, lr = 0.001}
+  constructor(numItems, options = {}) {
+    this.numItems = numItems;
+    this.embDim = options.embDim || 32;
+    this.maxLen = options.maxLen || 20;
+    this.lr = options.lr || 0.001;
+    const d = this.embDim;
+
+    this.itemEmb = initVariable(tf.randomNormal([numItems + 1, d], 0, 0.05)); // row 0: padding
+    this.posEmb = initVariable(tf.randomNormal([this.maxLen, d], 0, 0.05));
+    this.itemBias = initVariable(tf.zeros([numItems]));
+    this.query = createDenseVars(d, d);
+    this.key = createDenseVars(d, d);
+    this.value = createDenseVars(d, d);
+    this.ffn1 = createDenseVars(d, d);
+    this.ffn2 = createDenseVars(d, d);
+    this.ln1Gamma = initVariable(tf.ones([d]));
+    this.ln1Beta = initVariable(tf.zeros([d]));
+    this.ln2Gamma = initVariable(tf.ones([d]));
+    this.ln2Beta = initVariable(tf.zeros([d]));
+    // position t may attend to positions <= t
+    this.causalMask = tf.tidy(() => tf.linalg.bandPart(tf.ones([this.maxLen, this.maxLen]), -1, 0));
+  }
+
+  // Trainable variables by name (names are used for save/load)
+  getNamedVariables() {
+    const vars = {itemEmb: this.itemEmb, posEmb: this.posEmb, itemBias: this.itemBias,
+      ln1Gamma: this.ln1Gamma, ln1Beta: this.ln1Beta, ln2Gamma: this.ln2Gamma, ln2Beta: this.ln2Beta};
+    for (const name of ['query', 'key', 'value', 'ffn1', 'ffn2']) {
+      vars[name + 'W'] = this[name].W;
+      vars[name + 'b'] = this[name].b;
+    }
+    return vars;
+  }
+
+  getTrainableVariables() {
+    return Object.values(this.getNamedVariables());
+  }
+
+  // Incremental updates: room for items first seen after training (new item rows start untrained, so the model
+  // only learns to predict them when it is retrained)
+  grow(numItems) {
+    if (numItems < this.numItems) throw new Error('grow cannot remove items');
+    this.itemEmb = growRows(this.itemEmb, numItems + 1, (shape) => tf.randomNormal(shape, 0, 0.05));
+    this.itemBias = growRows(this.itemBias, numItems, tf.zeros);
+    this.numItems = numItems;
+  }
+
+  async getState() {
+    return {
+      type: 'SequentialModel',
+      config: {numItems: this.numItems, options: {embDim: this.embDim, maxLen: this.maxLen, lr: this.lr}},
+      variables: await readTensors(this.getNamedVariables())
+    };
+  }
+
+  static fromState(state) {
+    const model = new SequentialModel(state.config.numItems, state.config.options);
+    assignTensors(model.getNamedVariables(), state.variables);
+    return model;
+  }
+
+  // tokens: int32 [B, maxLen] -> hidden states [B, maxLen, d] (zero at padded positions)
+  encode(tokens) {
+    const [B, L] = tokens.shape;
+    const d = this.embDim;
+    const real = tf.cast(tf.greater(tokens, 0), 'float32'); // [B,L]
+    const dense = (x, {W, b}) => tf.add(tf.matMul(x.reshape([-1, d]), W), b).reshape([B, L, d]);
+
+    let x = tf.add(gatherRows(this.itemEmb, tokens.reshape([-1])).reshape([B, L, d]), this.posEmb);
+    x = tf.mul(x, real.reshape([B, L, 1]));
+    const q = dense(x, this.query), k = dense(x, this.key), v = dense(x, this.value);
+    const allowed = tf.mul(this.causalMask, real.reshape([B, 1, L])); // [B,L,L]: causal, no padded keys
+    const scores = tf.add(tf.div(tf.matMul(q, k, false, true), Math.sqrt(d)), tf.mul(tf.sub(1, allowed), -1e9));
+    let h = layerNorm(tf.add(x, tf.matMul(tf.softmax(scores), v)), this.ln1Gamma, this.ln1Beta);
+    h = layerNorm(tf.add(h, dense(tf.relu(dense(h, this.ffn1)), this.ffn2)), this.ln2Gamma, this.ln2Beta);
+    return tf.mul(h, real.reshape([B, L, 1]));
+  }
+
+  // hidden: [n, d] -> next-item logits [n, numItems]
+  logits(hidden) {
+    const items = this.itemEmb.slice([1, 0], [this.numItems, this.embDim]);
+    return tf.add(tf.matMul(hidden, items, false, true), this.itemBias);
+  }
+
+  // histories: chronological arrays of internal item indices (e.g. each user's training interactions)
+  // opts: {epochs = 5, batchSize = 32, control, onBatch({epoch, epochs, start, total, loss}), onEpoch({epoch, epochs, avgLoss})}
+  // control (../shared/training-control.js) is polled between batches. Returns {epochLosses, lossHistory, cancelled}.
+  async train(histories, opts = {}) {
+    const epochs = opts.epochs || 5;
+    const batchSize = opts.batchSize || 32;
+    const L = this.maxLen;
+    const windows = sequenceWindows(histories, L);
+    const optimizer = tf.train.adam(this.lr);
+    const varList = this.getTrainableVariables();
+    const epochLosses = [], lossHistory = [];
+    let cancelled = false;
+
+    for (let e = 0; e < epochs && !cancelled; e++) {
+      shufflePairs(windows);
+      let total = 0, batches = 0;
+      for (let start = 0; start < windows.length; start += batchSize) {
+        if (opts.control && await opts.control.checkpoint()) { cancelled = true; break; }
+        const batch = windows.slice(start, start + batchSize);
+        const inputBuf = new Int32Array(batch.length * L), targetBuf = new Int32Array(batch.length * L);
+        batch.forEach((w, n) => { inputBuf.set(w.input, n * L); targetBuf.set(w.target, n * L); });
+        const tokens = tf.tensor2d(inputBuf, [batch.length, L], 'int32');
+        // next-item indices (padding positions point at item 0 and are masked out)
+        const targets = tf.tensor1d(Int32Array.from(targetBuf, t => Math.max(0, t - 1)), 'int32');
+        const mask = tf.tensor1d(Float32Array.from(targetBuf, t => t > 0 ? 1 : 0));
+        const lossTensor = optimizer.minimize(() => {
+          const hidden = this.encode(tokens).reshape([-1, this.embDim]);
+          const logProb = tf.logSoftmax(this.logits(hidden)); // [B*L, N]
+          const picked = tf.sum(tf.mul(logProb, tf.oneHot(targets, this.numItems)), 1);
+          return tf.div(tf.neg(tf.sum(tf.mul(picked, mask))), tf.maximum(tf.sum(mask), 1));
+        }, true, varList);
+        const loss = (await lossTensor.data())[0];
+        tf.dispose([tokens, targets, mask, lossTensor]);
+        lossHistory.push(loss);
+        total += loss; batches++;
+        if (opts.onBatch) await opts.onBatch({epoch: e, epochs, start, total: windows.length, loss});
+      }
+      if (cancelled) break;
+      epochLosses.push(total / Math.max(1, batches));
+      if (opts.onEpoch) await opts.onEpoch({epoch: e, epochs, avgLoss: epochLosses[e]});
+    }
+    optimizer.dispose();
+    return {epochLosses, lossHistory, cancelled};
+  }
+
+  // Next-item scores after a chronological history (only its last maxLen items are used) -> Float32Array [numItems]
+  async scoreNext(history) {
+    const L = this.maxLen;
+    const recent = history.slice(-L);
+    const buf = new Int32Array(L);
+    recent.forEach((i, t) => { buf[L - recent.length + t] = i + 1; });
+    const out = tf.tidy(() => {
+      const hidden = this.encode(tf.tensor2d(buf, [1, L], 'int32')); // [1,L,d]
+      return this.logits(hidden.slice([0, L - 1, 0], [1, 1, this.embDim]).reshape([1, this.embDim])).reshape([-1]);
+    });
+    const scores = await out.data();
+    out.dispose();
+    return scores;
+  }
+
+  dispose() {
+    this.getTrainableVariables().forEach(v => v.dispose());
+    this.causalMask.dispose();
+  }
+}
+
+// Chronological history (oldest first) of a usersMap entry, whose histories are sorted newest first
+function chronologicalItems(history) {
+  return (history || []).map(x => x.itemIdx).reverse();
+}
+
+// Node (CLI) export; in the browser these stay globals
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = { SequentialModel, sequenceWindows, chronologicalItems };
+}
@@ -0,0 +1,40 @@
+// similarity.js
+// Item-to-item "more like this" lookups for the week4 models.
+// Neighbours are [{itemIdx, score}] over internal item indices, best first, excluding the query item.
+
+// Cosine similarity of every item to the query in a model's item space.
+// model: anything with getItemEmbeddings(itemIdxs) -> tensor [n, d] (TwoTowerModel ids, DeepRecModel item tower)
+async function embeddingNeighbours(model, queryIdx, k = 10) {
+  const all = await model.getItemEmbeddings(Array.from({length: model.numItems}, (_, i) => i));
+  const simsTensor = tf.tidy(() => {
+    const unit = tf.div(all, tf.add(tf.norm(all, 'euclidean', 1, true), 1e-9));
+    return tf.matMul(unit, tf.gather(unit, [queryIdx]), false, true).reshape([-1]);
+  });
+  const sims = await simsTensor.data();
+  tf.dispose([all, simsTensor]);
+  return topKIndices(sims, k, new Set([queryIdx])).map(i => ({itemIdx: i, score: sims[i]}));
+}
+
+// Baseline: Jaccard similarity of genre sets; ties go to the more popular item.
+// genreRows: 0/1 genre flags per internal item (buildInternalGenres); popularity: optional counts per item
+function genreJaccardNeighbours(genreRows, queryIdx, k = 10, popularity = null) {
+  const q = genreRows[queryIdx] || [];
+  const scored = [];
+  for (let i = 0; i < genreRows.length; i++) {
+    if (i === queryIdx) continue;
+    const row = genreRows[i];
+    let inter = 0, union = 0;
+    for (let g = 0; g < q.length; g++) {
+      if (q[g] && row[g]) inter++;
+      if (q[g] || row[g]) union++;
+    }
+    scored.push({itemIdx: i, score: union ? inter / union : 0});
+  }
+  scored.sort((a, b) => (b.score - a.score) || (popularity ? popularity[b.itemIdx] - popularity[a.itemIdx] : 0));
+  return scored.slice(0, k);
+}
+
+// Node (CLI) export; in the browser these stay globals
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = { embeddingNeighbours, genreJaccardNeighbours };
+}
@@ -0,0 +1,72 @@
+// sweep.js
+// Hyperparameter sweep helpers for the week4 page: the configurations to try and the results table.
+// A search space maps parameter names to candidate values, e.g. {embDim: [16, 32], lr: [0.001, 0.005], useBPR: [false]}.
+// Runs are trained one after another by app.js (runTowerTrainingJob with a validation split for early stopping).
+
+// Parameters of a sweep run, in table order: {key, label, format(value)}
+const SWEEP_PARAMS = [
+  {key: 'embDim', label: 'embDim', format: v => String(v)},
+  {key: 'epochs', label: 'max epochs', format: v => String(v)},
+  {key: 'batchSize', label: 'batch', format: v => String(v)},
+  {key: 'maxInteractions', label: 'maxInteractions', format: v => String(v)},
+  {key: 'lr', label: 'lr', format: v => String(v)},
+  {key: 'useBPR', label: 'loss', format: v => v ? 'BPR' : 'softmax'},
+  {key: 'l2', label: 'output L2', format: v => String(v)},
+  {key: 'l2User', label: 'L2 user emb', format: v => String(v)},
+  {key: 'l2Item', label: 'L2 item emb', format: v => String(v)},
+  {key: 'l2ItemBias', label: 'L2 item bias', format: v => String(v)}
+];
+
+// Configurations to run.
+// method 'grid': every combination of the space's values; 'random': `samples` distinct combinations drawn
+// uniformly (fewer if the grid is smaller).
+function sweepConfigs(space, method = 'grid', samples = 10) {
+  const keys = Object.keys(space);
+  const size = keys.reduce((n, key) => n * space[key].length, 1);
+  // the n-th grid combination, last key varying fastest
+  const combination = (n) => {
+    const config = {};
+    for (let k = keys.length - 1; k >= 0; k--) {
+      const values = space[keys[k]];
+      config[keys[k]] = values[n % values.length];
+      n = Math.floor(n / values.length);
+    }
+    return config;
+  };
+  if (method !== 'random' || samples >= size) return Array.from({length: size}, (_, n) => combination(n));
+  const picked = new Set();
+  while (picked.size < samples) picked.add(Math.floor(Math.random() * size));
+  return Array.from(picked, combination);
+}
+
+// Sortable HTML table of sweep runs.
+// runs: [{id, config, validation: {recall, ndcg}, bestEpoch, epochsTrained, stoppedEarly, seconds}]
+// sortKey: a SWEEP_PARAMS key, 'recall', 'ndcg', 'seconds' or 'id'; headers carry data-sort, rows data-run.
+function renderSweepTable(runs, k, sortKey = 'recall', descending = true) {
+  const value = (run) => {
+    if (sortKey === 'recall' || sortKey === 'ndcg') return run.validation ? run.validation[sortKey] : -Infinity;
+    if (sortKey === 'seconds' || sortKey === 'id') return run[sortKey];
+    return Number(run.config[sortKey]);
+  };
+  const sorted = runs.slice().sort((a, b) => descending ? value(b) - value(a) : value(a) - value(b));
+  const header = (key, label) =>
+    `<th data-sort="${key}" style="cursor:pointer">${label}${key === sortKey ? (descending ? ' ▼' : ' ▲') : ''}</th>`;
+  let html = '<table><tr>' + header('id', '#') + SWEEP_PARAMS.map(p => header(p.key, p.label)).join('') +
+    header('recall', `val. Recall@${k}`) + header('ndcg', `val. NDCG@${k}`) + '<th>best epoch</th>' +
+    header('seconds', 'time') + '</tr>';
+  for (const run of sorted) {
+    const v = run.validation;
+    html += `<tr data-run="${run.id}" style="cursor:pointer"><td>${run.id + 1}</td>` +
+      SWEEP_PARAMS.map(p => `<td>${p.format(run.config[p.key])}</td>`).join('') +
+      `<td>${v ? v.recall.toFixed(4) : '—'}</td><td>${v ? v.ndcg.toFixed(4) : '—'}</td>` +
+      `<td>${run.bestEpoch != null ? run.bestEpoch + 1 : '—'} / ${run.epochsTrained}${run.stoppedEarly ? ' (early stop)' : ''}</td>` +
+      `<td>${run.seconds.toFixed(0)} s</td></tr>`;
+  }
+  html += '</table>';
+  return html;
+}
+
+// Node (CLI) export; in the browser these stay globals
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = { SWEEP_PARAMS, sweepConfigs, renderSweepTable };
+}
@@ -0,0 +1,115 @@
+// baselines.test.js
+// The classic recommenders of baselines.js against brute-force references on tiny rating matrices.
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+global.itemPopularity = require('../evaluation.js').itemPopularity;  // a browser global of baselines.js
+const {
+  popularityRecommender, bayesianRatingRecommender, itemKnnRecommender, userKnnRecommender, alsRecommender
+} = require('../baselines.js');
+
+// usersMap-shaped Map from {user: {item: rating}}
+function ratings(table) {
+  return new Map(Object.entries(table).map(([u, row]) =>
+    [Number(u), Object.entries(row).map(([i, rating]) => ({itemIdx: Number(i), rating, ts: 0}))]));
+}
+
+// Dense (optionally user-mean-centred) rating matrix and cosine similarity of two of its rows/columns
+function denseMatrix(map, numUsers, numItems, centre) {
+  const m = Array.from({length: numUsers}, () => new Array(numItems).fill(0));
+  for (const [u, arr] of map) {
+    const mean = centre ? arr.reduce((s, x) => s + x.rating, 0) / arr.length : 0;
+    for (const x of arr) m[u][x.itemIdx] = x.rating - mean;
+  }
+  return m;
+}
+function cosine(a, b) {
+  const dot = a.reduce((s, v, k) => s + v * b[k], 0);
+  const na = Math.hypot(...a), nb = Math.hypot(...b);
+  return na && nb ? dot / (na * nb) : 0;
+}
+
+// Users whose rating equals their mean rating have centred values of exactly 0 (adjusted cosine)
+const SMALL = ratings({0: {0: 5, 1: 4, 2: 3}, 1: {1: 5, 2: 2}, 2: {0: 2, 1: 4}, 3: {0: 4, 2: 4}});
+const ZEROS = ratings({0: {0: 1, 1: 5, 2: 3}, 1: {0: 4, 1: 2, 2: 4}, 2: {0: 5, 1: 5, 2: 4}, 3: {0: 3, 2: 3}});
+const NUM_USERS = 4, NUM_ITEMS = 3;
+
+for (const [similarity, name, map] of [
+  ['cosine', 'SMALL', SMALL], ['adjusted', 'SMALL', SMALL], ['cosine', 'ZEROS', ZEROS], ['adjusted', 'ZEROS', ZEROS]
+]) {
+  test(`itemKnnRecommender (${similarity}, ${name}): scores are sums of positive item similarities`, async () => {
+    const m = denseMatrix(map, NUM_USERS, NUM_ITEMS, similarity === 'adjusted');
+    const column = i => m.map(row => row[i]);
+    const rec = await itemKnnRecommender(map, NUM_ITEMS, {similarity});
+    for (const [u, arr] of map) {
+      const expected = new Array(NUM_ITEMS).fill(0);
+      for (const {itemIdx: i} of arr) {
+        for (let j = 0; j < NUM_ITEMS; j++) {
+          const sim = cosine(column(i), column(j));
+          if (j !== i && sim > 0) expected[j] += sim;
+        }
+      }
+      const scores = await rec.scoreUser(u);
+      expected.forEach((e, j) => assert.ok(Math.abs(scores[j] - e) < 1e-6, `user ${u} item ${j}: ${scores[j]} != ${e}`));
+    }
+  });
+
+  test(`userKnnRecommender (${similarity}, ${name}): scores are sums of positive neighbour similarities`, async () => {
+    const m = denseMatrix(map, NUM_USERS, NUM_ITEMS, similarity === 'adjusted');
+    const rec = userKnnRecommender(map, NUM_USERS, NUM_ITEMS, {similarity});
+    for (const u of map.keys()) {
+      const expected = new Array(NUM_ITEMS).fill(0);
+      for (const [w, arr] of map) {
+        const sim = cosine(m[u], m[w]);
+        if (w !== u && sim > 0) for (const {itemIdx} of arr) expected[itemIdx] += sim;
+      }
+      const scores = await rec.scoreUser(u);
+      expected.forEach((e, i) => assert.ok(Math.abs(scores[i] - e) < 1e-6, `user ${u} item ${i}: ${scores[i]} != ${e}`));
+    }
+  });
+}
+
+test('itemKnnRecommender: neighbours keeps the k most similar items of every item', async () => {
+  const map = ratings({0: {0: 1, 1: 1, 2: 1}, 1: {0: 1, 1: 1}, 2: {0: 1, 2: 1, 3: 1}, 3: {0: 1, 1: 1}, 4: {0: 1}});
+  // item 0's similarities: item 1 3/sqrt(15), item 2 2/sqrt(10), item 3 1/sqrt(5)
+  const top1 = await (await itemKnnRecommender(map, 4, {neighbours: 1})).scoreUser(4);
+  assert.deepEqual(Array.from(top1, s => Number(s.toFixed(6))), [0, Number((3 / Math.sqrt(15)).toFixed(6)), 0, 0]);
+  const top2 = await (await itemKnnRecommender(map, 4, {neighbours: 2})).scoreUser(4);
+  assert.deepEqual(Array.from(top2, s => s > 0), [false, true, true, false]);
+});
+
+test('popularityRecommender: interaction counts', async () => {
+  const scores = await popularityRecommender(SMALL, NUM_ITEMS).scoreUser(0);
+  assert.deepEqual(Array.from(scores), [3, 3, 3]);
+});
+
+test('bayesianRatingRecommender: item means shrunk towards the global mean', async () => {
+  const map = ratings({0: {0: 5, 1: 1}, 1: {0: 5}, 2: {2: 3}});
+  const globalMean = (5 + 1 + 5 + 3) / 4;
+  const scores = await bayesianRatingRecommender(map, 4, {prior: 2}).scoreUser(0);
+  const expected = [(10 + 2 * globalMean) / 4, (1 + 2 * globalMean) / 3, (3 + 2 * globalMean) / 3, globalMean];
+  expected.forEach((e, i) => assert.ok(Math.abs(scores[i] - e) < 1e-6, `item ${i}: ${scores[i]} != ${e}`));
+  // with no prior an item scores its plain mean
+  assert.equal((await bayesianRatingRecommender(map, 4, {prior: 0}).scoreUser(0))[0], 5);
+});
+
+test('alsRecommender: recovers two blocks of co-watched items', async () => {
+  // users 0-2 watch items 0-2, users 3-5 items 3-5; user 0 misses item 2, user 3 item 5
+  const table = {};
+  for (let u = 0; u < 6; u++) {
+    table[u] = {};
+    const first = u < 3 ? 0 : 3;
+    for (let i = first; i < first + 3; i++) table[u][i] = 1;
+  }
+  delete table[0][2];
+  delete table[3][5];
+  const rec = await alsRecommender(ratings(table), 6, 6, {factors: 2, iterations: 15, reg: 0.1});
+  for (const [u, inBlock, outOfBlock] of [[0, 2, 3], [3, 5, 0]]) {
+    const scores = await rec.scoreUser(u);
+    assert.ok(scores[inBlock] > scores[outOfBlock] + 0.2, `user ${u}: ${Array.from(scores)}`);
+  }
+  const scores = await rec.scoreUser(1);
+  for (let i = 0; i < 3; i++) assert.ok(scores[i] > 0.5, `user 1 item ${i}: ${scores[i]}`);
+  for (let i = 3; i < 6; i++) assert.ok(Math.abs(scores[i]) < 0.3, `user 1 item ${i}: ${scores[i]}`);
+});
@@ -0,0 +1,59 @@
+// fine-tune.test.js
+// Incremental updates (trainer.js fineTuneTowerModels) must leave the rows of users and items outside the
+// fine-tuning pairs exactly as trained, whatever the regularization settings.
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+// The model files are browser scripts that use a global `tf` and each other's helpers as globals
+global.tf = require('@tensorflow/tfjs');
+Object.assign(global, require('../../shared/training-schedule.js'));
+const towerModule = require('../two-tower.js');
+Object.assign(global, towerModule);
+const {TwoTowerModel} = towerModule;
+const {fineTuneTowerModels} = require('../trainer.js');
+
+const NUM_USERS = 200, NUM_ITEMS = 100;
+
+// 5 users x 20 ratings, as appended through the app's Append ratings panel
+function fineTuneMap() {
+  const map = new Map();
+  for (let u = 0; u < 5; u++) {
+    map.set(u, Array.from({length: 20}, (_, k) => ({itemIdx: (u * 7 + k * 3) % 40, rating: 4, ts: k})));
+  }
+  return map;
+}
+
+async function assertUntouchedRowsUnchanged(options, fineTuneOpts = {}) {
+  tf.setBackend('cpu');
+  const model = new TwoTowerModel(NUM_USERS, NUM_ITEMS, 8, options);
+  const before = {users: await model.userEmb.array(), items: await model.itemEmb.array(), bias: await model.itemBias.data()};
+  const map = fineTuneMap();
+  await fineTuneTowerModels({twoTower: model}, map, {epochs: 5, batchSize: 32, lr: 0.01, ...fineTuneOpts});
+  const users = await model.userEmb.array(), items = await model.itemEmb.array(), bias = await model.itemBias.data();
+
+  const usedItems = new Set([...map.values()].flat().map(r => r.itemIdx));
+  for (let u = 5; u < NUM_USERS; u++) assert.deepEqual(users[u], before.users[u], `user row ${u} moved`);
+  for (let i = 0; i < NUM_ITEMS; i++) {
+    if (usedItems.has(i) || fineTuneOpts.useBPR) continue;  // BPR also updates its random negatives
+    assert.deepEqual(items[i], before.items[i], `item row ${i} moved`);
+    assert.equal(bias[i], before.bias[i], `item bias ${i} moved`);
+  }
+  // the fine-tuned rows did move
+  assert.notDeepEqual(users[0], before.users[0]);
+  model.dispose();
+}
+
+test('fineTuneTowerModels: whole-table L2 does not decay rows outside the pairs', async () => {
+  await assertUntouchedRowsUnchanged({l2User: 1e-4, l2Item: 1e-4, l2ItemBias: 1e-4, frequencyScaledL2: false});
+});
+
+test('fineTuneTowerModels: frequency-scaled L2 leaves rows outside the pairs as they are', async () => {
+  await assertUntouchedRowsUnchanged({l2User: 1e-4, l2Item: 1e-4, frequencyScaledL2: true});
+});
+
+test('fineTuneTowerModels: norm constraints only project the rows of the pairs', async () => {
+  await assertUntouchedRowsUnchanged({normConstraint: 'unit'});
+  await assertUntouchedRowsUnchanged({normConstraint: 'max', maxNorm: 0.01, l2User: 1e-4, frequencyScaledL2: false},
+    {useBPR: true});
+});
@@ -0,0 +1,17 @@
+// train-worker.js
+// Dedicated worker that trains the Two-Tower/Deep (and optional sequential) models off the main thread.
+// app.js starts it through startTrainingWorker (../shared/training-control.js) with the job described at
+// runTowerTrainingJob in trainer.js; per-batch losses and epoch results stream back as messages and the
+// trained weights come back as getState() snapshots.
+
+importScripts(
+  'https://cdn.jsdelivr.net/npm/@tensorflow/tfjs@4.12.0/dist/tf.min.js',
+  '../shared/training-control.js',
+  '../shared/training-schedule.js',
+  'two-tower.js',
+  'evaluation.js',
+  'sequential.js',
+  'trainer.js'
+);
+
+serveTrainingJob(runTowerTrainingJob);
@@ -0,0 +1,531 @@
+// trainer.js
+// Shared training helpers for TwoTowerModel / DeepRecModel.
+// Used by app.js in the browser and by cli.js in Node, so both run the same loop.
+// UI concerns (status text, loss plot, yielding to the event loop) go through the onBatch/onEpoch callbacks.
+
+// Synthesized user features for the Deep model: [avg rating / 5, log1p(count) / log(51)]
+// map: usersMap-shaped Map (internal userIdx -> [{itemIdx, rating, ts}])
+function synthesizeUserFeatures(map, numUsers) {
+  const userFeat = new Array(numUsers).fill(0).map(()=>[0,0]);
+  for (let u=0; u<numUsers; u++) {
+    const arr = map.get(u) || [];
+    if (arr.length===0) continue;
+    const avg = arr.reduce((s,x)=>s+x.rating,0)/arr.length;
+    userFeat[u] = [avg/5.0, Math.log1p(arr.length)/Math.log(1+50)];
+  }
+  return userFeat;
+}
+
+// Demographic user features (u.user / users.dat) for the user towers, one categorical code per field (0 = unknown):
+//   occupation - vocabulary taken from the data
+//   age        - the ML-1M age groups: <18, 18-24, 25-34, 35-44, 45-49, 50-55, 56+
+//   zip        - region = first digit of a US zip code; any other format shares one bucket
+//   gender
+const DEMOGRAPHIC_FIELDS = ['occupation', 'age', 'zip', 'gender'];
+const AGE_BUCKETS = [18, 25, 35, 45, 50, 56];
+
+// users: Map id -> {age, gender, occupation, zip}. The vocabulary is saved with the model (trainedHyperparams).
+function buildDemographicVocab(users) {
+  return {occupations: Array.from(new Set(Array.from(users.values(), u => u.occupation))).sort()};
+}
+
+// Number of codes per field, in DEMOGRAPHIC_FIELDS order
+function demographicSizes(vocab) {
+  return [vocab.occupations.length + 1, AGE_BUCKETS.length + 2, 12, 3];
+}
+
+// user: {age, gender, occupation, zip} (any field may be missing) -> codes in DEMOGRAPHIC_FIELDS order
+function demographicCodes(user, vocab) {
+  if (!user) return [0, 0, 0, 0];
+  const occupation = vocab.occupations.indexOf(user.occupation) + 1;
+  const age = user.age > 0 ? 1 + AGE_BUCKETS.filter(edge => user.age >= edge).length : 0;
+  const zipText = (user.zip || '').trim();
+  const zip = /^\d/.test(zipText) ? 1 + parseInt(zipText[0], 10) : (zipText ? 11 : 0);
+  const gender = user.gender === 'M' ? 1 : user.gender === 'F' ? 2 : 0;
+  return [occupation, age, zip, gender];
+}
+
+// Code rows aligned to internal user indices (all zeros for users missing from the users file)
+function buildUserDemographics(users, indexUser, vocab) {
+  return indexUser.map(id => demographicCodes(users.get(id), vocab));
+}
+
+// Code rows -> concatenated one-hot vectors (the Deep model's numeric user features)
+function demographicOneHot(codeRows, sizes) {
+  return codeRows.map(codes => {
+    const row = [];
+    codes.forEach((c, f) => { for (let k = 0; k < sizes[f]; k++) row.push(k === c ? 1 : 0); });
+    return row;
+  });
+}
+
+// Genre flag arrays aligned to internal item indices (zeros for items without metadata)
+function buildInternalGenres(items, indexItem) {
+  const first = items.size > 0 ? Array.from(items.values())[0] : null;
+  const genreDim = (first && first.genres) ? first.genres.length : 0;
+  return indexItem.map(origId => {
+    const it = items.get(origId);
+    return (it && it.genres && it.genres.length) ? it.genres.slice() : new Array(genreDim).fill(0);
+  });
+}
+
+// Training pairs [userIdx, itemIdx, weight, rating] from a usersMap-shaped Map.
+// opts: {minRating = 0, confidence = 0, keepAll = false}
+//   minRating:  ratings below it do not count as positives; they are dropped, or kept with weight 0 when keepAll
+//               is set (for the rating head, which learns from every rating)
+//   confidence: implicit-ALS style weight 1 + confidence * rating, rescaled so the positives average 1
+function buildTrainingPairs(map, opts = {}) {
+  const {minRating = 0, confidence = 0, keepAll = false} = opts;
+  const pairs = [];
+  for (const [uIdx, arr] of map) {
+    for (const r of arr) {
+      const positive = r.rating >= minRating;
+      if (positive || keepAll) pairs.push([uIdx, r.itemIdx, positive ? 1 + confidence * r.rating : 0, r.rating]);
+    }
+  }
+  let sum = 0, count = 0;
+  for (const p of pairs) if (p[2] > 0) { sum += p[2]; count++; }
+  if (count) for (const p of pairs) p[2] *= count / sum;
+  return pairs;
+}
+
+// Mean rating of training pairs (the rating head's starting point)
+function meanPairRating(pairs) {
+  if (!pairs.length) return 3.5;
+  let sum = 0;
+  for (const p of pairs) sum += p[3];
+  return sum / pairs.length;
+}
+
+// Shuffle [userIdx, itemIdx] pairs in place (Fisher-Yates)
+function shufflePairs(pairs) {
+  for (let i=pairs.length-1;i>0;i--) {
+    const j = Math.floor(Math.random()*(i+1));
+    [pairs[i], pairs[j]] = [pairs[j], pairs[i]];
+  }
+  return pairs;
+}
+
+// Negative-sampling strategies for the Two-Tower model (the Deep model keeps in-batch / uniform negatives):
+//   uniform    - plain in-batch softmax; BPR negatives drawn uniformly
+//   popularity - in-batch softmax with logQ correction (batch items are drawn in proportion to popularity,
+//                so popular items are over-represented as negatives); BPR negatives drawn by popularity
+//   mixed      - in-batch negatives plus a pool of batchSize uniform items shared by the batch, both logQ-corrected;
+//                BPR negatives half from the other positives in the batch, half uniform
+//   hard       - top-scored unseen items per user, re-mined from the current model before every epoch after the
+//                first: one extra negative per user in the softmax; for BPR half hard, half uniform
+//                (uniform draws keep the model from only seeing near-misses, some of which are unlabelled positives)
+const NEGATIVE_SAMPLING = ['uniform', 'popularity', 'mixed', 'hard'];
+const HARD_NEGATIVE_POOL = 50;
+
+// Per-run sampler over the training pairs. batch(userArr, posArr, useBPR) returns the sampling argument of
+// TwoTowerModel.trainStepInBatch; refresh(model, epoch) is awaited before each epoch.
+function createNegativeSampler(strategy, pairs, numItems) {
+  if (!NEGATIVE_SAMPLING.includes(strategy)) throw new Error(`Unknown negative sampling: ${strategy}`);
+  // Popularity distribution of the positives, i.e. how often each item enters a batch (add-one smoothed)
+  const counts = new Float64Array(numItems).fill(1);
+  for (const [, i] of pairs) counts[i]++;
+  const total = pairs.length + numItems;
+  const logQ = Float32Array.from(counts, c => Math.log(c / total));
+  const cumulative = new Float64Array(numItems);
+  let acc = 0;
+  for (let i = 0; i < numItems; i++) { acc += counts[i]; cumulative[i] = acc; }
+  const drawPopular = () => {
+    const r = Math.random() * total;
+    let lo = 0, hi = numItems - 1;
+    while (lo < hi) { const mid = (lo + hi) >> 1; if (cumulative[mid] <= r) lo = mid + 1; else hi = mid; }
+    return lo;
+  };
+  const drawUniform = () => Math.floor(Math.random() * numItems);
+
+  let seenByUser = null;
+  let hardPools = null;  // userIdx -> Int32Array of mined items
+  const drawHard = (u) => {
+    const pool = hardPools.get(u);
+    return pool && pool.length ? pool[Math.floor(Math.random() * pool.length)] : drawUniform();
+  };
+
+  return {
+    strategy,
+    async refresh(model, epoch) {
+      if (strategy !== 'hard' || epoch === 0) return;  // a freshly initialized model has nothing to mine
+      if (!seenByUser) {
+        seenByUser = new Map();
+        for (const [u, i] of pairs) {
+          if (!seenByUser.has(u)) seenByUser.set(u, new Set());
+          seenByUser.get(u).add(i);
+        }
+      }
+      hardPools = await mineHardNegatives(model, seenByUser, HARD_NEGATIVE_POOL);
+    },
+    batch(userArr, posArr, useBPR) {
+      const B = userArr.length;
+      if (strategy === 'popularity') {
+        return useBPR ? {negIdx: Int32Array.from({length: B}, drawPopular)} : {logQ};
+      }
+      if (strategy === 'mixed') {
+        if (!useBPR) return {logQ, extraNegIdx: Int32Array.from({length: B}, drawUniform)};
+        return {negIdx: Int32Array.from({length: B}, (_, k) => {
+          if (Math.random() < 0.5) return drawUniform();
+          const j = Math.floor(Math.random() * (B - 1));
+          return posArr[j >= k ? j + 1 : j];
+        })};
+      }
+      if (strategy === 'hard' && hardPools) {
+        if (!useBPR) return {negIdx: Int32Array.from(userArr, drawHard)};
+        return {negIdx: Int32Array.from(userArr, u => Math.random() < 0.5 ? drawHard(u) : drawUniform())};
+      }
+      return {};
+    }
+  };
+}
+
+// Hard negatives: each user's poolSize highest-scoring items among those not in seenByUser.
+// Scores users in chunks against the full item tower. Returns Map userIdx -> Int32Array.
+async function mineHardNegatives(model, seenByUser, poolSize, chunk = 256) {
+  const users = Array.from(seenByUser.keys());
+  const numItems = model.numItems;
+  const allItems = tf.tidy(() => model.itemForward(tf.range(0, numItems, 1, 'int32'))); // [N,d]
+  const pools = new Map();
+  const order = new Int32Array(numItems);
+  for (let start = 0; start < users.length; start += chunk) {
+    const ids = users.slice(start, start + chunk);
+    const scoresT = tf.tidy(() => tf.add(
+      tf.matMul(model.userForward(tf.tensor1d(ids, 'int32')), allItems, false, true),
+      model.itemBias.reshape([1, -1])));
+    const scores = await scoresT.data();
+    scoresT.dispose();
+    ids.forEach((u, r) => {
+      const row = scores.subarray(r * numItems, (r + 1) * numItems);
+      const seen = seenByUser.get(u);
+      for (let i = 0; i < numItems; i++) order[i] = i;
+      order.sort((a, b) => row[b] - row[a]);
+      const pool = [];
+      for (let n = 0; n < numItems && pool.length < poolSize; n++) if (!seen.has(order[n])) pool.push(order[n]);
+      pools.set(u, Int32Array.from(pool));
+    });
+  }
+  allItems.dispose();
+  return pools;
+}
+
+// Mini-batch training over positive pairs for a TwoTowerModel and an optional DeepRecModel.
+// pairs: [userIdx, itemIdx] or buildTrainingPairs rows [userIdx, itemIdx, weight, rating]; weights other than 1
+// weight the ranking losses of both models, ratings train the Two-Tower rating head when it has one.
+// opts: {twoTower, deepModel, pairs, epochs, batchSize, useBPR, lr, negatives,
+//        onBatch({epoch, epochs, start, total, loss, lossHistory}), onEpoch({epoch, epochs, avgLoss, lr, lossHistory}),
+//        control, keepBest, validation, schedule}
+// negatives: one of NEGATIVE_SAMPLING (default 'uniform'), applied to the Two-Tower model.
+// control (../shared/training-control.js) is polled between batches for pause/cancel.
+// keepBest snapshots both models whenever an epoch ends with the lowest average loss so far.
+// validation: null | {evaluate(epoch) -> value, mode: 'max' (a score such as recall, default) | 'min' (a loss),
+// patience = 2}: evaluated after every epoch; keepBest then follows the validation value instead of the training
+// loss, and training stops early once it has not improved for `patience` epochs (0: never).
+// onEpoch also receives validationValue.
+// schedule: null | createLrSchedule(...) (../shared/training-schedule.js): sets the learning rate of both
+// optimizers before every epoch; reduce-on-plateau watches the validation value, else the training loss.
+// The recorded loss per batch is the sum of both models' losses.
+// Returns {lossHistory, epochLosses, validationValues, lrs, cancelled, stoppedEarly, best} with
+// best = {epoch, loss, validationValue, states: {twoTower, deep}} or null.
+async function trainTowerModels(opts) {
+  const {twoTower, deepModel = null, pairs, epochs, batchSize, useBPR = false, lr = 0.001, onBatch, onEpoch,
+    control = null, keepBest = false, negatives = 'uniform', validation = null, schedule = null} = opts;
+  const mode = validation && validation.mode === 'min' ? 'min' : 'max';
+  const stopping = createEarlyStopping({
+    mode: validation ? mode : 'min',
+    patience: validation ? (validation.patience != null ? validation.patience : 2) : 0
+  });
+  shufflePairs(pairs);
+  const sampler = createNegativeSampler(negatives, pairs, twoTower.numItems);
+  const weighted = pairs.some(p => p.length > 2 && p[2] !== 1);
+  const withRatings = twoTower.ratingHead && pairs.length > 0 && pairs[0].length > 3;
+
+  // one optimizer per model: Adam keeps its moment estimates by position in the variable list
+  const optimizer = tf.train.adam(lr);
+  const optimizerDL = deepModel ? tf.train.adam(lr) : null;
+  const lossHistory = [];
+  const epochLosses = [];
+  const validationValues = [];
+  const lrs = [];
+  let cancelled = false, stoppedEarly = false;
+  let best = null;
+
+  for (let e=0;e<epochs && !cancelled;e++) {
+    const epochLr = schedule ? schedule.lrForEpoch(e) : lr;
+    optimizer.learningRate = epochLr;
+    if (optimizerDL) optimizerDL.learningRate = epochLr;
+    let batchLossAccum = 0, batchCount=0;
+    await sampler.refresh(twoTower, e);
+    for (let start=0; start<pairs.length; start += batchSize) {
+      if (control && await control.checkpoint()) { cancelled = true; break; }
+      const batch = pairs.slice(start, start+batchSize);
+      if (batch.length < 2) continue;
+      const uBatchArr = batch.map(p=>p[0]);
+      const posBatchArr = batch.map(p=>p[1]);
+
+      const sampling = sampler.batch(uBatchArr, posBatchArr, useBPR);
+      const targets = {
+        weights: weighted ? batch.map(p=>p[2]) : null,
+        ratings: withRatings ? batch.map(p=>p[3]) : null
+      };
+      const lossVal = await twoTower.trainStepInBatch(uBatchArr, posBatchArr, optimizer, useBPR, sampling, targets);
+      let dlLoss = 0;
+      if (deepModel) dlLoss = await deepModel.trainStep(uBatchArr, posBatchArr, optimizerDL, useBPR, targets.weights);
+
+      const combined = lossVal + (dlLoss || 0);
+      lossHistory.push(combined);
+      batchLossAccum += combined; batchCount++;
+      if (onBatch) await onBatch({epoch: e, epochs, start, total: pairs.length, loss: combined, lossHistory});
+    }
+    if (cancelled) break;  // a partial epoch is not a checkpoint
+    const avgLoss = batchLossAccum / Math.max(1, batchCount);
+    epochLosses.push(avgLoss);
+    lrs.push(epochLr);
+    const validationValue = validation ? await validation.evaluate(e) : null;
+    if (validation) validationValues.push(validationValue);
+    const {improved, stop} = stopping.observe(e, validation ? validationValue : avgLoss);
+    if (schedule) schedule.observe(validation ? (mode === 'min' ? validationValue : -validationValue) : avgLoss);
+    if (keepBest && improved) {
+      best = {
+        epoch: e, loss: avgLoss, validationValue,
+        states: {twoTower: await twoTower.getState(), deep: deepModel ? await deepModel.getState() : null}
+      };
+    }
+    if (onEpoch) await onEpoch({epoch: e, epochs, avgLoss, validationValue, lr: epochLr, lossHistory, best});
+    if (stop) { stoppedEarly = true; break; }
+  }
+
+  optimizer.dispose();
+  if (optimizerDL) optimizerDL.dispose();
+  return {lossHistory, epochLosses, validationValues, lrs, cancelled, stoppedEarly, best};
+}
+
+// One complete training run from plain data, as executed by train-worker.js (or on the page as a fallback).
+// job: {numUsers, numItems, embDim, epochs, batchSize, useBPR, lr, l2, keepBest, negatives, ratingHead, ratingMean,
+//       regularization: null | {l2User, l2Item, l2ItemBias, frequencyScaledL2, normConstraint, maxNorm} (TwoTowerModel
+//       options) plus {dropout} for the Deep model's MLP,
+//       demographics: null | {sizes, codes} (see buildUserDemographics),
+//       pairs: Int32Array of interleaved [userIdx, itemIdx], weights, ratings: Float32Array (aligned with pairs) | null,
+//       deep: null | {useGenres, useUserFeat, userFeat, itemGenres},
+//       sequential: null | {maxLen, histories: chronological item-index arrays (see sequential.js)},
+//       validation: null | {metric: 'recall' | 'loss', patience, split: {train, test} (usersMap-shaped Maps), k,
+//                           pairs: Int32Array of interleaved held-out [userIdx, itemIdx], ratings: Float32Array | null},
+//       schedule: null | {type, stepSize, gamma, patience} (createLrSchedule spec without lr/epochs)}
+// With validation, after every epoch either the Two-Tower Recall@k on validation.split (metric 'recall',
+// evaluation.js) or the summed loss of both models on validation.pairs (metric 'loss', see evaluateLoss) is
+// measured for best-weight selection and early stopping (see trainTowerModels).
+// Progress is reported through emit({type: 'batch'|'epoch', ...}); the sequential model trains after the towers
+// and tags its messages with phase: 'sequential'.
+// Resolves with {cancelled, lossHistory, epochLosses, validationValues, lrs, stoppedEarly,
+// best: {epoch, loss, validationValue} | null,
+// states: {twoTower, deep, sequential} | null}:
+// the best checkpoint's states when keepBest is set or the run was cancelled or stopped early (null if no epoch
+// finished),
+// otherwise the final weights. states.sequential is null unless the sequential model finished training.
+async function runTowerTrainingJob(job, control, emit) {
+  const {numUsers, numItems, embDim, epochs, batchSize, useBPR, lr, keepBest, negatives} = job;
+  const regularization = job.regularization || {};
+  const twoTower = new TwoTowerModel(numUsers, numItems, embDim, {
+    lr, l2: job.l2, ratingHead: job.ratingHead, ratingMean: job.ratingMean,
+    demographicSizes: job.demographics ? job.demographics.sizes : null,
+    l2User: regularization.l2User, l2Item: regularization.l2Item, l2ItemBias: regularization.l2ItemBias,
+    frequencyScaledL2: regularization.frequencyScaledL2, normConstraint: regularization.normConstraint,
+    maxNorm: regularization.maxNorm
+  });
+  if (job.demographics) twoTower.setUserDemographics(job.demographics.codes);
+  let deepModel = null;
+  if (job.deep) {
+    deepModel = new DeepRecModel({
+      numUsers, numItems, embDim, lr, dropout: regularization.dropout,
+      useGenres: job.deep.useGenres, useUserFeat: job.deep.useUserFeat,
+      userFeatArray: job.deep.userFeat
+    });
+    deepModel.setInternalItemGenres(job.deep.itemGenres);
+  }
+  let sequential = null;
+  const pairs = [];
+  for (let i = 0; i < job.pairs.length; i += 2) {
+    const n = i / 2;
+    pairs.push([job.pairs[i], job.pairs[i+1], job.weights ? job.weights[n] : 1, job.ratings ? job.ratings[n] : 0]);
+  }
+
+  let validation = null;
+  if (job.validation && job.validation.metric === 'loss') {
+    const valUsers = [], valItems = [];
+    for (let i = 0; i < job.validation.pairs.length; i += 2) { valUsers.push(job.validation.pairs[i]); valItems.push(job.validation.pairs[i+1]); }
+    // fixed BPR negatives, so epochs are compared on the same held-out triples
+    const negIdx = useBPR ? valUsers.map(() => Math.floor(Math.random() * numItems)) : null;
+    const ratings = job.validation.ratings ? Array.from(job.validation.ratings) : null;
+    validation = {
+      mode: 'min',
+      patience: job.validation.patience,
+      evaluate: async () => {
+        let loss = await twoTower.evaluateLoss(valUsers, valItems, useBPR, {negIdx, ratings, batchSize});
+        if (deepModel) loss += await deepModel.evaluateLoss(valUsers, valItems, useBPR, {negIdx, batchSize});
+        return loss;
+      }
+    };
+  } else if (job.validation) {
+    const {split, k, patience} = job.validation;
+    const recommender = {
+      name: 'Two-Tower',
+      scoreUser: async (uIdx) => {
+        const userEmb = await twoTower.getUserEmbedding(uIdx);
+        const scoresTensor = await twoTower.scoreAllItems(userEmb);
+        const scores = await scoresTensor.data();
+        tf.dispose([userEmb, scoresTensor]);
+        return scores;
+      }
+    };
+    validation = {
+      mode: 'max',
+      patience,
+      evaluate: async () => (await evaluateRecommenders([recommender], split, {k, numItems}))[0].recall
+    };
+  }
+  const schedule = job.schedule ? createLrSchedule(Object.assign({}, job.schedule, {lr, epochs})) : null;
+
+  try {
+    const run = await trainTowerModels({
+      twoTower, deepModel, pairs, epochs, batchSize, useBPR, lr, negatives, control, validation, schedule,
+      keepBest: true,  // also needed to hand back something usable after a cancel
+      onBatch: ({epoch, start, total, loss}) => emit({type: 'batch', epoch, epochs, start, total, loss}),
+      onEpoch: ({epoch, avgLoss, validationValue, lr, best}) =>
+        emit({type: 'epoch', epoch, epochs, avgLoss, validationValue, lr, bestEpoch: best ? best.epoch : null})
+    });
+    let states = null;
+    if (run.best && (keepBest || run.cancelled || run.stoppedEarly)) states = run.best.states;
+    else if (!run.cancelled) states = {twoTower: await twoTower.getState(), deep: deepModel ? await deepModel.getState() : null};
+    let cancelled = run.cancelled;
+    if (states && job.sequential && !cancelled) {
+      sequential = new SequentialModel(numItems, {embDim, maxLen: job.sequential.maxLen, lr});
+      const seqRun = await sequential.train(job.sequential.histories, {
+        epochs, batchSize, control,
+        onBatch: ({epoch, start, total, loss}) => emit({type: 'batch', phase: 'sequential', epoch, epochs, start, total, loss}),
+        onEpoch: ({epoch, avgLoss}) => emit({type: 'epoch', phase: 'sequential', epoch, epochs, avgLoss})
+      });
+      cancelled = seqRun.cancelled;
+      states = Object.assign({}, states, {sequential: cancelled ? null : await sequential.getState()});
+    }
+    return {
+      cancelled,
+      lossHistory: run.lossHistory,
+      epochLosses: run.epochLosses,
+      validationValues: run.validationValues,
+      lrs: run.lrs,
+      stoppedEarly: run.stoppedEarly,
+      best: run.best ? {epoch: run.best.epoch, loss: run.best.loss, validationValue: run.best.validationValue} : null,
+      states
+    };
+  } finally {
+    twoTower.dispose();
+    if (deepModel) deepModel.dispose();
+    if (sequential) sequential.dispose();
+  }
+}
+
+// Incremental updates: ratings that arrive after training are appended without re-indexing and the trained models
+// are fine-tuned on them (appendInteractions -> TwoTowerModel/DeepRecModel.grow -> fineTuneInteractions ->
+// fineTuneTowerModels), so a user's recommendations change within seconds instead of after a full retrain.
+
+// Add {userIdx, itemIdx, rating, ts} records to a usersMap-shaped Map, keeping each history newest first
+function addInteractions(map, records) {
+  const touched = new Set();
+  for (const r of records) {
+    if (!map.has(r.userIdx)) map.set(r.userIdx, []);
+    map.get(r.userIdx).push({itemIdx: r.itemIdx, rating: r.rating, ts: r.ts});
+    touched.add(r.userIdx);
+  }
+  for (const u of touched) map.get(u).sort((a,b)=>b.ts - a.ts);
+}
+
+// Append interactions ({userId, itemId, rating, ts}, original IDs) to an indexing
+// ({indexUser, indexItem, userIndex, itemIndex, usersMap}, as built by app.js) in place.
+// Unseen IDs get the next internal indices, so every existing index stays where it was.
+// Returns {added: [{userIdx, itemIdx, rating, ts}], newUsers, newItems} (counts of IDs that were appended).
+function appendInteractions(indexing, interactionList) {
+  const {indexUser, indexItem, userIndex, itemIndex} = indexing;
+  const firstUser = indexUser.length, firstItem = indexItem.length;
+  const added = interactionList.map(it => {
+    if (!userIndex.has(it.userId)) { userIndex.set(it.userId, indexUser.length); indexUser.push(it.userId); }
+    if (!itemIndex.has(it.itemId)) { itemIndex.set(it.itemId, indexItem.length); indexItem.push(it.itemId); }
+    return {userIdx: userIndex.get(it.userId), itemIdx: itemIndex.get(it.itemId), rating: it.rating, ts: it.ts};
+  });
+  addInteractions(indexing.usersMap, added);
+  return {added, newUsers: indexUser.length - firstUser, newItems: indexItem.length - firstItem};
+}
+
+// What to fine-tune on after `added` went into map (usersMap-shaped, e.g. the training split):
+// the new interactions, the recentPerUser most recent ones of every user they belong to, and the replay most
+// recent interactions overall (these keep the update from drifting away from everyone else and give the in-batch
+// softmax negatives from other users). -> usersMap-shaped Map
+function fineTuneInteractions(map, added, {recentPerUser = 20, replay = 1000} = {}) {
+  const picked = new Map();
+  const seen = new Set();
+  const pick = (u, r) => {
+    const key = u + ':' + r.itemIdx + ':' + r.ts;
+    if (seen.has(key)) return;
+    seen.add(key);
+    if (!picked.has(u)) picked.set(u, []);
+    picked.get(u).push({itemIdx: r.itemIdx, rating: r.rating, ts: r.ts});
+  };
+  for (const r of added) pick(r.userIdx, r);
+  for (const u of new Set(added.map(r => r.userIdx))) for (const r of (map.get(u) || []).slice(0, recentPerUser)) pick(u, r);
+  if (replay > 0) {
+    const all = [];
+    for (const [u, arr] of map) for (const r of arr) all.push([u, r]);
+    all.sort((a, b) => b[1].ts - a[1].ts);
+    for (const [u, r] of all.slice(0, replay)) pick(u, r);
+  }
+  return picked;
+}
+
+// Fine-tune trained models on a few interactions (fineTuneInteractions): a fresh Adam optimizer per model updates
+// only the per-user and per-item tables (getEmbeddingVariables), so the towers, MLPs and demographic embeddings stay
+// as trained. Per-table L2 and norm constraints apply to the batch rows only (batchRowsOnly), so rows that do not
+// occur in the pairs do not move.
+// opts: {epochs = 5, batchSize = 128, lr = 0.01, useBPR = false, minRating = 0, confidence = 0,
+//        onEpoch({epoch, epochs, avgLoss})} (minRating/confidence as in buildTrainingPairs)
+// Returns {epochLosses, pairs: number of training pairs}.
+async function fineTuneTowerModels({twoTower, deepModel = null}, map, opts = {}) {
+  const {epochs = 5, batchSize = 128, lr = 0.01, useBPR = false, minRating = 0, confidence = 0, onEpoch} = opts;
+  const pairs = buildTrainingPairs(map, {minRating, confidence, keepAll: twoTower.ratingHead});
+  const weighted = pairs.some(p => p[2] !== 1);
+  const optimizer = tf.train.adam(lr);
+  const optimizerDL = deepModel ? tf.train.adam(lr) : null;
+  const epochLosses = [];
+  try {
+    for (let e = 0; e < epochs; e++) {
+      shufflePairs(pairs);
+      let total = 0, batches = 0;
+      for (let start = 0; start < pairs.length; start += batchSize) {
+        const batch = pairs.slice(start, start + batchSize);
+        if (batch.length < 2) continue;
+        const userArr = batch.map(p => p[0]), posArr = batch.map(p => p[1]);
+        const weights = weighted ? Float32Array.from(batch, p => p[2]) : null;
+        let loss = await twoTower.trainStep(
+          {userIdx: Int32Array.from(userArr), posIdx: Int32Array.from(posArr), weights,
+            ratings: twoTower.ratingHead ? Float32Array.from(batch, p => p[3]) : null},
+          {lossType: useBPR ? 'bpr' : 'inbatch', optimizer, varList: twoTower.getEmbeddingVariables(), batchRowsOnly: true});
+        if (deepModel) loss += await deepModel.trainStep(userArr, posArr, optimizerDL, useBPR, weights, deepModel.getEmbeddingVariables());
+        total += loss; batches++;
+      }
+      epochLosses.push(total / Math.max(1, batches));
+      if (onEpoch) await onEpoch({epoch: e, epochs, avgLoss: epochLosses[e]});
+    }
+  } finally {
+    optimizer.dispose();
+    if (optimizerDL) optimizerDL.dispose();
+  }
+  return {epochLosses, pairs: pairs.length};
+}
+
+// Node (CLI) export; in the browser these stay globals
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = {
+    synthesizeUserFeatures, DEMOGRAPHIC_FIELDS, buildDemographicVocab, demographicSizes, demographicCodes,
+    buildUserDemographics, demographicOneHot, buildInternalGenres, buildTrainingPairs, meanPairRating, shufflePairs, NEGATIVE_SAMPLING, createNegativeSampler,
+    mineHardNegatives, trainTowerModels, runTowerTrainingJob,
+    addInteractions, appendInteractions, fineTuneInteractions, fineTuneTowerModels
+  };
+}
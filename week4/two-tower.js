@@ -1,79 +1,356 @@
 // two-tower.js
 // Two-Tower model core for TF.js
 // Implements embedding tables, optional MLP for item tower, scoring, and training step.
+// Also provides DeepRecModel (MLP user and item towers over ID embeddings + side features).
 // Comments above blocks explain design decisions.
 
+// Variables are created without explicit names: tf.variable names are global in TF.js,
+// so named variables would collide as soon as a second model is built (e.g. pressing Train twice).
+
+// tf.variable shares its initial tensor's data; dispose the initializer so that disposing the
+// variable actually releases the memory (otherwise every retrain leaks the old tables)
+function initVariable(initial) {
+  const v = tf.variable(initial);
+  initial.dispose();
+  return v;
+}
+
+// Incremental updates: `tensor` with rows appended up to `rows` (fill(shape) creates the new ones); the old tensor
+// is disposed. A variable comes back as a new variable, so optimizer state kept for the old one no longer applies.
+function growRows(tensor, rows, fill) {
+  const extra = rows - tensor.shape[0];
+  if (extra <= 0) return tensor;
+  const grown = tf.tidy(() => tf.concat([tensor, fill([extra].concat(tensor.shape.slice(1)))], 0));
+  const out = tensor instanceof tf.Variable ? initVariable(grown) : grown;
+  tensor.dispose();
+  return out;
+}
+
+// Small dense layer helper: returns {W, b} variables for inDim -> outDim
+function createDenseVars(inDim, outDim) {
+  return {
+    W: initVariable(tf.randomNormal([inDim, outDim], 0, 0.05)),
+    b: initVariable(tf.zeros([outDim]))
+  };
+}
+
+// Row lookup for trainable tables. tf.gather's gradient (unsortedSegmentSum) is very slow on the
+// CPU backend, so the backward pass is computed as oneHot(idx)^T @ dy instead. idx: int32 [B].
+function gatherRows(table, idx) {
+  const rows = table.shape[0];
+  const lookup = tf.customGrad((t) => ({
+    value: tf.gather(t, idx),
+    gradFunc: (dy) => tf.matMul(tf.oneHot(idx, rows), dy, true, false)
+  }));
+  return lookup(table);
+}
+
+// In-batch softmax loss: logits [B,B] = U @ I^T + itemBias^T, labels = diagonal.
+// Every other positive in the batch acts as a negative for a given user.
+// (A per-user bias is constant along each row, so it does not change the softmax and is omitted.)
+// Optional extras (see createNegativeSampler in trainer.js):
+//   posLogQ [B]: log expected count of each batch item among the sampled negatives (logQ correction)
+//   shared {emb [M,d], bias [M,1], logQ [M]}: extra negatives scored against every user in the batch
+//   perRow {emb [B,d], bias [B,1]}: one extra negative per user (a mined hard negative)
+function inBatchSoftmaxLoss(uEmb, iEmb, iBias, extras = {}) {
+  const B = uEmb.shape[0];
+  let logits = tf.add(tf.matMul(uEmb, iEmb, false, true), iBias.reshape([1, B])); // [B,B]
+  if (extras.posLogQ) logits = tf.sub(logits, extras.posLogQ.reshape([1, B]));
+  const blocks = [logits];
+  if (extras.shared) {
+    const {emb, bias, logQ} = extras.shared;
+    let shared = tf.add(tf.matMul(uEmb, emb, false, true), bias.reshape([1, -1])); // [B,M]
+    if (logQ) shared = tf.sub(shared, logQ.reshape([1, -1]));
+    blocks.push(shared);
+  }
+  if (extras.perRow) blocks.push(tf.add(tf.sum(tf.mul(uEmb, extras.perRow.emb), 1, true), extras.perRow.bias)); // [B,1]
+  const allLogits = blocks.length > 1 ? tf.concat(blocks, 1) : logits;
+  const labels = tf.oneHot(tf.range(0, B, 1, 'int32'), allLogits.shape[1]); // positives on the diagonal
+  const losses = tf.losses.softmaxCrossEntropy(labels, allLogits, undefined, 0, tf.Reduction.NONE); // [B]
+  return extras.weights ? weightedMean(losses, extras.weights) : tf.mean(losses);
+}
+
+// BPR loss = -log(sigmoid(pos - neg)), averaged over the batch (weights [B]: see weightedMean)
+function bprLoss(posScores, negScores, weights = null) {
+  const losses = tf.neg(tf.log(tf.sigmoid(tf.sub(posScores, negScores)).add(1e-8))).reshape([-1]);
+  return weights ? weightedMean(losses, weights) : tf.mean(losses);
+}
+
+// Per-example confidence weights: sum(w * loss) / (number of non-zero weights).
+// Rows with weight 0 (ratings below the positive threshold) drop out of the ranking loss but, in the
+// in-batch softmax, still serve as negatives for the other rows.
+function weightedMean(losses, weights) {
+  const count = tf.maximum(tf.sum(tf.cast(tf.greater(weights, 0), 'float32')), 1);
+  return tf.div(tf.sum(tf.mul(losses, weights)), count);
+}
+
+// Uniform random negatives (may occasionally hit a positive; acceptable for sampled BPR)
+function sampleUniformNegatives(count, numItems) {
+  const neg = new Int32Array(count);
+  for (let i = 0; i < count; i++) neg[i] = Math.floor(Math.random() * numItems);
+  return neg;
+}
+
+// Read a scalar loss tensor into JS and dispose it
+async function readLoss(lossScalar) {
+  const lossVal = (await lossScalar.data())[0];
+  lossScalar.dispose();
+  return lossVal;
+}
+
+// Snapshot of named variables/tensors: {name: {shape, data: Float32Array}} (see getState/fromState)
+async function readTensors(named) {
+  const out = {};
+  for (const [name, t] of Object.entries(named)) {
+    const data = await t.data();  // int32 tensors (e.g. demographic codes) are stored as floats too
+    out[name] = {shape: t.shape.slice(), data: data instanceof Float32Array ? data : Float32Array.from(data)};
+  }
+  return out;
+}
+
+// Copy snapshot values back into the matching variables (shapes must agree)
+function assignTensors(named, snapshot) {
+  for (const [name, v] of Object.entries(named)) {
+    const saved = snapshot[name];
+    if (!saved) throw new Error(`Saved model is missing variable "${name}"`);
+    if (saved.shape.join('x') !== v.shape.join('x')) {
+      throw new Error(`Shape mismatch for "${name}": saved ${saved.shape.join('x')}, model ${v.shape.join('x')}`);
+    }
+    tf.tidy(() => v.assign(tf.tensor(saved.data, saved.shape, 'float32')));
+  }
+}
+
+// Rebuild nested JS arrays (rows) from a {shape: [n, d], data} snapshot
+function snapshotToRows(snapshot) {
+  const [n, d] = snapshot.shape;
+  const rows = new Array(n);
+  for (let i = 0; i < n; i++) rows[i] = Array.from(snapshot.data.subarray(i * d, (i + 1) * d));
+  return rows;
+}
+
 // TwoTowerModel class encapsulates parameters and operations.
 // - userEmbedding: variable [numUsers, embDim]
 // - itemEmbedding: variable [numItems, embDim]
 // - optional item MLP: to incorporate item genre features (concat with embedding and pass through dense layers)
 // - scoring: dot product between userEmb and itemEmb (or processed item features)
 // - training supports two losses: in-batch softmax (sampled softmax using batch items as negatives) and BPR.
+//
+// - optional demographics: the user vector is the ID embedding plus one embedding per demographic field
+//   (occupation, age group, zip region, gender; see DEMOGRAPHIC_FIELDS in trainer.js). During training the ID part
+//   is dropped for a fraction of the rows (idDropout), so the demographic part alone also ranks sensibly
+//   and can recommend for users without a trained ID embedding.
+// - optional rating head: rating = ratingMean + ratingScale * (user . item) + ratingUserBias + ratingItemBias,
+//   fitted with MSE next to the ranking loss so the same embeddings also predict explicit ratings.
+// - regularization: L2 per table (l2User, l2Item on the ID embeddings, l2ItemBias on the ranking item bias), either
+//   on the rows a batch uses (frequencyScaledL2: a row is penalised every time it occurs, so popular users and items
+//   shrink most, as in ALS-WR's weighted-lambda regularization) or on the whole table every step (plain weight
+//   decay); and an optional norm constraint on the ID embedding rows after every step ('max': norm at most
+//   maxNorm, 'unit': norm exactly 1). Separately, l2 ("output L2") penalises the user and positive item tower
+//   outputs of each batch, i.e. after the MLP and demographic parts rather than on the table rows.
+//
+// Constructed positionally: new TwoTowerModel(numUsers, numItems, embDim, options)
+// options: {lr, lossType: 'inbatch'|'bpr', useMLP, mlpHidden, genreDim, ratingHead, ratingMean, ratingLossWeight,
+//           demographicSizes: codes per demographic field (null = ID embedding only), idDropout,
+//           l2, l2User, l2Item, l2ItemBias, frequencyScaledL2, normConstraint: 'none'|'max'|'unit', maxNorm}
 
 class TwoTowerModel {
-  constructor(config) {
-    this.numUsers = config.numUsers;
-    this.numItems = config.numItems;
-    this.embDim = config.embDim || 32;
-    this.useMLP = !!config.useMLP;
-    this.mlpHidden = config.mlpHidden || 64;
-    this.lr = config.lr || 0.001;
-    this.lossType = config.lossType || 'inbatch'; // 'inbatch' or 'bpr'
+  constructor(numUsers, numItems, embDim = 32, options = {}) {
+    this.numUsers = numUsers;
+    this.numItems = numItems;
+    this.embDim = embDim;
+    this.useMLP = !!options.useMLP;
+    this.mlpHidden = options.mlpHidden || 64;
+    this.lr = options.lr || 0.001;
+    this.lossType = options.lossType || 'inbatch'; // 'inbatch' or 'bpr'
+    // L2 penalty on the user and positive item tower outputs of each batch (mean squared norm)
+    this.l2 = options.l2 || 0;
+    this.l2User = options.l2User || 0;
+    this.l2Item = options.l2Item || 0;
+    this.l2ItemBias = options.l2ItemBias || 0;
+    this.frequencyScaledL2 = options.frequencyScaledL2 != null ? !!options.frequencyScaledL2 : true;
+    this.normConstraint = options.normConstraint || 'none';
+    this.maxNorm = options.maxNorm || 1;
     this.optimizer = tf.train.adam(this.lr);
 
     // Initialize embeddings: small random normal
-    this.userEmb = tf.variable(tf.randomNormal([this.numUsers, this.embDim], 0, 0.05), true, 'userEmb');
-    this.itemEmb = tf.variable(tf.randomNormal([this.numItems, this.embDim], 0, 0.05), true, 'itemEmb');
+    this.userEmb = initVariable(tf.randomNormal([this.numUsers, this.embDim], 0, 0.05));
+    this.itemEmb = initVariable(tf.randomNormal([this.numItems, this.embDim], 0, 0.05));
 
     // Optional biases
-    this.userBias = tf.variable(tf.zeros([this.numUsers, 1]), true, 'userBias');
-    this.itemBias = tf.variable(tf.zeros([this.numItems, 1]), true, 'itemBias');
+    this.userBias = initVariable(tf.zeros([this.numUsers, 1]));
+    this.itemBias = initVariable(tf.zeros([this.numItems, 1]));
+
+    // Item genre matrix [numItems, genreDim], set via setItemGenres (used only by the item MLP)
+    this.itemGenres = null;
+
+    // Demographic field embeddings; per-user codes arrive via setUserDemographics
+    this.demographicSizes = options.demographicSizes || null;
+    this.idDropout = options.idDropout != null ? options.idDropout : 0.2;
+    this.demoEmb = this.demographicSizes
+      ? this.demographicSizes.map(size => initVariable(tf.randomNormal([size, this.embDim], 0, 0.05)))
+      : [];
+    this.userDemo = null;
+
+    // Rating regression head (own biases: the ranking biases only need to order items)
+    this.ratingHead = !!options.ratingHead;
+    this.ratingMean = options.ratingMean != null ? options.ratingMean : 3.5;
+    this.ratingLossWeight = options.ratingLossWeight != null ? options.ratingLossWeight : 1;
+    if (this.ratingHead) {
+      this.ratingScale = initVariable(tf.ones([1]));
+      this.ratingUserBias = initVariable(tf.zeros([this.numUsers, 1]));
+      this.ratingItemBias = initVariable(tf.zeros([this.numItems, 1]));
+    }
 
     // MLP for item features (genres). We'll create weights if useMLP true.
     if (this.useMLP) {
       // input: embDim + genreDim -> hidden -> output embDim (project back to embDim)
-      // We'll create simple dense layers with variables
-      this.genreDim = config.genreDim || 19;
+      this.genreDim = options.genreDim || 19;
       const inDim = this.embDim + this.genreDim;
-      this.W1 = tf.variable(tf.randomNormal([inDim, this.mlpHidden], 0, 0.05));
-      this.b1 = tf.variable(tf.zeros([this.mlpHidden]));
-      this.W2 = tf.variable(tf.randomNormal([this.mlpHidden, this.embDim], 0, 0.05));
-      this.b2 = tf.variable(tf.zeros([this.embDim]));
+      ({W: this.W1, b: this.b1} = createDenseVars(inDim, this.mlpHidden));
+      ({W: this.W2, b: this.b2} = createDenseVars(this.mlpHidden, this.embDim));
+    }
+  }
+
+  // Trainable variables by name (names are used for save/load, not registered with TF.js)
+  getNamedVariables() {
+    const vars = {userEmb: this.userEmb, itemEmb: this.itemEmb, userBias: this.userBias, itemBias: this.itemBias};
+    if (this.useMLP) Object.assign(vars, {W1: this.W1, b1: this.b1, W2: this.W2, b2: this.b2});
+    this.demoEmb.forEach((v, f) => { vars['demoEmb' + f] = v; });
+    if (this.ratingHead) {
+      Object.assign(vars, {ratingScale: this.ratingScale, ratingUserBias: this.ratingUserBias, ratingItemBias: this.ratingItemBias});
     }
+    return vars;
+  }
+
+  // All trainable variables (passed explicitly as varList so the optimizer only touches this model)
+  getTrainableVariables() {
+    return Object.values(this.getNamedVariables());
+  }
+
+  // Per-user and per-item tables only (ID embeddings and biases): what an incremental fine-tune updates
+  getEmbeddingVariables() {
+    const vars = [this.userEmb, this.itemEmb, this.userBias, this.itemBias];
+    if (this.ratingHead) vars.push(this.ratingUserBias, this.ratingItemBias);
+    return vars;
+  }
+
+  // Incremental updates: extend the per-user and per-item tables to numUsers / numItems rows for IDs first seen after
+  // training. Existing rows keep their values; new embedding rows start small and random, new biases at zero.
+  // extra: {itemGenres: genre rows of the new items, userDemo: demographic code rows of the new users};
+  // missing rows are zeros (no genres, unknown demographics).
+  grow(numUsers, numItems, {itemGenres = null, userDemo = null} = {}) {
+    if (numUsers < this.numUsers || numItems < this.numItems) throw new Error('grow cannot remove users or items');
+    const normal = (shape) => tf.randomNormal(shape, 0, 0.05);
+    const rowsOr = (rows, dtype) => (shape) => rows ? tf.tensor(rows, shape, dtype) : tf.zeros(shape, dtype);
+    this.userEmb = growRows(this.userEmb, numUsers, normal);
+    this.userBias = growRows(this.userBias, numUsers, tf.zeros);
+    this.itemEmb = growRows(this.itemEmb, numItems, normal);
+    this.itemBias = growRows(this.itemBias, numItems, tf.zeros);
+    if (this.ratingHead) {
+      this.ratingUserBias = growRows(this.ratingUserBias, numUsers, tf.zeros);
+      this.ratingItemBias = growRows(this.ratingItemBias, numItems, tf.zeros);
+    }
+    if (this.itemGenres) this.itemGenres = growRows(this.itemGenres, numItems, rowsOr(itemGenres, 'float32'));
+    if (this.userDemo) this.userDemo = growRows(this.userDemo, numUsers, rowsOr(userDemo, 'int32'));
+    this.numUsers = numUsers;
+    this.numItems = numItems;
+    // the old optimizer's slots belong to the replaced variables
+    this.optimizer.dispose();
+    this.optimizer = tf.train.adam(this.lr);
+  }
+
+  // Serializable snapshot: constructor arguments, variable values and the item genre matrix
+  async getState() {
+    return {
+      type: 'TwoTowerModel',
+      config: {
+        numUsers: this.numUsers, numItems: this.numItems, embDim: this.embDim,
+        options: {
+          lr: this.lr, lossType: this.lossType, l2: this.l2, l2User: this.l2User, l2Item: this.l2Item,
+          l2ItemBias: this.l2ItemBias, frequencyScaledL2: this.frequencyScaledL2, normConstraint: this.normConstraint,
+          maxNorm: this.maxNorm, useMLP: this.useMLP, mlpHidden: this.mlpHidden, genreDim: this.genreDim,
+          ratingHead: this.ratingHead, ratingMean: this.ratingMean, ratingLossWeight: this.ratingLossWeight,
+          demographicSizes: this.demographicSizes, idDropout: this.idDropout
+        }
+      },
+      variables: await readTensors(this.getNamedVariables()),
+      tensors: await readTensors(Object.assign({},
+        this.itemGenres ? {itemGenres: this.itemGenres} : {},
+        this.userDemo ? {userDemo: this.userDemo} : {}))
+    };
+  }
+
+  // Rebuild a model from getState() output
+  static fromState(state) {
+    const {numUsers, numItems, embDim, options} = state.config;
+    const model = new TwoTowerModel(numUsers, numItems, embDim, options);
+    assignTensors(model.getNamedVariables(), state.variables);
+    if (state.tensors && state.tensors.itemGenres) model.setItemGenres(snapshotToRows(state.tensors.itemGenres));
+    if (state.tensors && state.tensors.userDemo) model.setUserDemographics(snapshotToRows(state.tensors.userDemo));
+    return model;
+  }
+
+  // genresArr: array (aligned with internal item indices) of genre flag arrays
+  setItemGenres(genresArr) {
+    if (this.itemGenres) this.itemGenres.dispose();
+    this.itemGenres = tf.tensor2d(genresArr, [this.numItems, genresArr[0].length], 'float32');
+  }
+
+  // codeRows: demographic codes per internal user (buildUserDemographics in trainer.js)
+  setUserDemographics(codeRows) {
+    if (this.userDemo) this.userDemo.dispose();
+    this.userDemo = tf.tensor2d(codeRows, [this.numUsers, this.demographicSizes.length], 'int32');
   }
 
   // Gather user embeddings for indices tensor shape [batch,1] or [batch]
-  userForward(userIdx) {
+  // (training = true applies the ID dropout of demographic models)
+  userForward(userIdx, training = false) {
     // userIdx: int32 tensor shape [batch] or [batch,1]
     const idx = userIdx.reshape([-1]).toInt();
-    return tf.gather(this.userEmb, idx); // shape [batch, embDim]
+    const idEmb = gatherRows(this.userEmb, idx); // shape [batch, embDim]
+    if (!this.userDemo) return idEmb;
+    const demo = this.demographicForward(tf.gather(this.userDemo, idx));
+    if (!training || this.idDropout <= 0) return tf.add(idEmb, demo);
+    const keep = tf.cast(tf.greaterEqual(tf.randomUniform([idx.shape[0], 1]), this.idDropout), 'float32');
+    return tf.add(tf.mul(idEmb, keep), demo);
+  }
+
+  // Sum of the demographic field embeddings for codes [batch, numFields] -> [batch, embDim]
+  demographicForward(codes) {
+    return tf.addN(this.demoEmb.map((table, f) =>
+      gatherRows(table, codes.slice([0, f], [-1, 1]).reshape([-1]))));
+  }
+
+  // User vector from demographics alone (a user without a trained ID embedding) -> tensor [1, d] (caller disposes)
+  // codes: one code per demographic field (demographicCodes in trainer.js)
+  async getDemographicEmbedding(codes) {
+    if (!this.demographicSizes) throw new Error('This model was trained without demographics');
+    return tf.tidy(() => this.demographicForward(tf.tensor2d([codes], [1, codes.length], 'int32')));
   }
 
   // Gather item embeddings (base) and optionally process with MLP using genre features
   // itemIdx: [batch] int tensor. genreFeat: optional float tensor [batch, genreDim]
+  // (when omitted, genres are gathered from the matrix given to setItemGenres)
   itemForward(itemIdx, genreFeat = null) {
-    const idx = itemIdx.reshape([-1]).toInt();
-    let emb = tf.gather(this.itemEmb, idx); // [batch, embDim]
-    if (this.useMLP && genreFeat) {
-      // concatenate embedding and genres
-      const concat = tf.concat([emb, genreFeat], 1); // [batch, embDim+genreDim]
-      const h = tf.relu(tf.add(tf.matMul(concat, this.W1), this.b1)); // [batch, mlpHidden]
-      const out = tf.add(tf.matMul(h, this.W2), this.b2); // [batch, embDim]
-      emb.dispose();
-      return out; // [batch, embDim]
-    } else {
+    return tf.tidy(() => {
+      const idx = itemIdx.reshape([-1]).toInt();
+      const emb = gatherRows(this.itemEmb, idx); // [batch, embDim]
+      const genres = genreFeat || (this.itemGenres ? tf.gather(this.itemGenres, idx) : null);
+      if (this.useMLP && genres) {
+        // concatenate embedding and genres
+        const concat = tf.concat([emb, genres], 1); // [batch, embDim+genreDim]
+        const h = tf.relu(tf.add(tf.matMul(concat, this.W1), this.b1)); // [batch, mlpHidden]
+        return tf.add(tf.matMul(h, this.W2), this.b2); // [batch, embDim]
+      }
       return emb;
-    }
+    });
   }
 
   // Compute dot scores between userEmb [batch,embDim] and itemEmb [batch,embDim] or itemEmbedding matrix
   // If itemEmbMatrix provided [numItems, embDim], result [batch, numItems]; otherwise dot per row -> [batch,1]
   scorePairwise(userEmb, itemEmb) {
     // userEmb [batch, d], itemEmb [batch, d] -> elementwise dot and sum -> [batch,1]
-    const prod = tf.mul(userEmb, itemEmb);
-    const s = tf.sum(prod, 1).reshape([-1, 1]); // [batch,1]
-    prod.dispose();
-    return s;
+    return tf.tidy(() => tf.sum(tf.mul(userEmb, itemEmb), 1).reshape([-1, 1])); // [batch,1]
   }
 
   // Compute batch logits U @ I^T (for in-batch softmax negatives)
@@ -85,94 +362,248 @@ class TwoTowerModel {
   // Compute user bias and item bias lookups
   userBiasLookup(userIdx) {
     const idx = userIdx.reshape([-1]).toInt();
-    return tf.gather(this.userBias, idx).reshape([-1,1]); // [B,1]
+    return gatherRows(this.userBias, idx).reshape([-1,1]); // [B,1]
   }
   itemBiasLookup(itemIdx) {
     const idx = itemIdx.reshape([-1]).toInt();
-    return tf.gather(this.itemBias, idx).reshape([-1,1]); // [B,1]
+    return gatherRows(this.itemBias, idx).reshape([-1,1]); // [B,1]
+  }
+
+  // Per-table L2 penalty (scalar) for a batch using the given user and item rows (see the class comment).
+  // Each term is a mean over rows, so its weight does not depend on the batch or table size.
+  // batchRows: penalise only the batch rows even when frequencyScaledL2 is off (whole-table decay otherwise).
+  tablePenalty(userIdx, itemIdx, batchRows = this.frequencyScaledL2) {
+    const rows = (table, idx) => batchRows ? gatherRows(table, idx) : table;
+    const terms = [];
+    if (this.l2User > 0) terms.push(tf.mul(this.l2User, tf.mean(tf.sum(tf.square(rows(this.userEmb, userIdx)), 1))));
+    if (this.l2Item > 0) terms.push(tf.mul(this.l2Item, tf.mean(tf.sum(tf.square(rows(this.itemEmb, itemIdx)), 1))));
+    if (this.l2ItemBias > 0) terms.push(tf.mul(this.l2ItemBias, tf.mean(tf.square(rows(this.itemBias, itemIdx)))));
+    return terms.length ? tf.addN(terms) : null;
+  }
+
+  // Project the ID embedding rows back onto the norm constraint (after an optimizer step).
+  // userIdx/itemIdx (int tensors): only project these rows; the others are left bit for bit as they are.
+  applyNormConstraint(userIdx = null, itemIdx = null) {
+    if (this.normConstraint !== 'max' && this.normConstraint !== 'unit') return;
+    tf.tidy(() => {
+      for (const [table, idx] of [[this.userEmb, userIdx], [this.itemEmb, itemIdx]]) {
+        const norms = tf.maximum(tf.norm(table, 'euclidean', 1, true), 1e-9);
+        let scale = this.normConstraint === 'unit'
+          ? tf.div(1, norms)
+          : tf.minimum(1, tf.div(this.maxNorm, norms));
+        if (idx) {
+          const hit = tf.scatterND(idx.reshape([-1, 1]), tf.onesLike(idx), [table.shape[0]]).reshape([-1, 1]);
+          scale = tf.where(tf.greater(hit, 0), scale, tf.onesLike(scale));
+        }
+        table.assign(tf.mul(table, scale));
+      }
+    });
   }
 
   // Single training step: accepts batch tensors (userIdx [B], posItemIdx [B], genreFeatPos [B,gd])
   // If lossType=='inbatch' will compute logits = U@I^T + biases and compute softmax crossentropy with labels = diagonal
-  // If lossType=='bpr' will sample negative items idxNeg [B] and compute BPR loss
-  async trainStep(batch, extra) {
-    // batch: {userIdx: Int32Array, posIdx: Int32Array, negIdx?: Int32Array}
-    // extra: {genrePos?: Float32Array2D, genreNeg?: Float32Array2D, itemEmbAll?: tf.Tensor}
-    const { userIdx, posIdx, negIdx } = batch;
+  // (negIdx then adds one extra negative per user, extraNegIdx a pool shared by the batch, logQ the popularity correction)
+  // If lossType=='bpr' will use negative items idxNeg [B] (uniform random if not provided) and compute BPR loss
+  async trainStep(batch, extra = {}) {
+    // batch: {userIdx: Int32Array, posIdx: Int32Array, negIdx?: Int32Array, extraNegIdx?: Int32Array,
+    //         weights?: Float32Array (per-positive confidence), ratings?: Float32Array (for the rating head)}
+    // extra: {genrePos?: Float32Array2D, genreNeg?: Float32Array2D, genreDim?, lossType?, optimizer?,
+    //         logQ?: Float32Array [numItems] of log sampling probabilities per draw,
+    //         varList?: the variables to update (default: all trainable variables),
+    //         batchRowsOnly?: regularize and norm-constrain only the rows of the batch, so that no other row moves
+    //         (for fine-tuning; whole-table weight decay and projection would touch every row)}
+    const { userIdx, posIdx, negIdx, extraNegIdx, weights, ratings } = batch;
     const B = userIdx.length;
+    const lossType = extra.lossType || this.lossType;
+    const optimizer = extra.optimizer || this.optimizer;
+
     const userT = tf.tensor1d(userIdx, 'int32');
     const posT = tf.tensor1d(posIdx, 'int32');
+    // BPR without explicit negatives: fall back to uniform random negatives
+    const negT = negIdx
+      ? tf.tensor1d(negIdx, 'int32')
+      : (lossType === 'bpr' ? tf.randomUniform([B], 0, this.numItems, 'int32') : null);
+    const sharedNegT = lossType === 'inbatch' && extraNegIdx ? tf.tensor1d(extraNegIdx, 'int32') : null;
+    // logQ correction subtracts the log of each negative's expected number of draws in this batch:
+    // B draws from logQ for the in-batch items, extraNegIdx.length uniform draws for the shared pool
+    const logQ = lossType === 'inbatch' ? extra.logQ : null;
+    const posLogQT = logQ ? tf.tensor1d(Float32Array.from(posIdx, i => logQ[i] + Math.log(B))) : null;
+    const sharedLogQT = logQ && sharedNegT
+      ? tf.fill([extraNegIdx.length], Math.log(extraNegIdx.length / this.numItems)) : null;
+    const weightsT = weights ? tf.tensor1d(weights) : null;
+    const ratingsT = this.ratingHead && ratings ? tf.tensor1d(ratings) : null;
 
     // convert genre features if provided
-    const genrePosT = extra && extra.genrePos ? tf.tensor2d(extra.genrePos, [B, extra.genreDim]) : null;
-    const genreNegT = extra && extra.genreNeg ? (negIdx ? tf.tensor2d(extra.genreNeg, [B, extra.genreDim]) : null) : null;
-
-    const self = this;
-    const lossScalar = await this.optimizer.minimize(() => {
-      // Forward pass
-      const uEmb = self.userForward(userT);      // [B, d]
-      const iPosEmb = self.itemForward(posT, genrePosT); // [B, d]
-      const uBias = self.userBiasLookup(userT); // [B,1]
-      const iPosBias = self.itemBiasLookup(posT); // [B,1]
-
-      if (self.lossType === 'inbatch') {
-        // logits [B,B] = U @ I_pos^T + uBias + iBias^T
-        const logits = self.batchLogits(uEmb, iPosEmb); // [B,B]
-        // Add biases: uBias broadcast + iPosBias transposed
-        const uBiasMat = tf.add(logits, uBias); // broadcasts [B,1] -> [B,B]
-        const iBiasRow = iPosBias.transpose(); // [1,B]
-        const logitsWithBias = tf.add(uBiasMat, iBiasRow); // [B,B]
-
-        // labels: identity matrix (each example's positive is diagonal)
-        // For tf.losses.softmaxCrossEntropy we provide oneHot labels of shape [B,B]
-        const labels = tf.oneHot(tf.range(0, B, 1, 'int32'), B); // [B,B]
-        const soft = tf.losses.softmaxCrossEntropy(labels, logitsWithBias);
-        // cleanup
-        labels.dispose();
-        uBiasMat.dispose();
-        iBiasRow.dispose();
-        logitsWithBias.dispose();
-        logits.dispose();
-
-        // free embeddings/biases
-        uEmb.dispose(); iPosEmb.dispose(); uBias.dispose(); iPosBias.dispose();
-        return soft;
+    const genrePosT = extra.genrePos ? tf.tensor2d(extra.genrePos, [B, extra.genreDim]) : null;
+    const genreNegT = extra.genreNeg && negT ? tf.tensor2d(extra.genreNeg, [B, extra.genreDim]) : null;
+
+    // minimize runs the closure inside a tidy, so intermediates are released automatically
+    const lossScalar = optimizer.minimize(() => {
+      const uEmb = this.userForward(userT, true);     // [B, d]
+      const iPosEmb = this.itemForward(posT, genrePosT); // [B, d]
+      const iPosBias = this.itemBiasLookup(posT);     // [B,1]
+
+      let rankLoss;
+      if (lossType === 'inbatch') {
+        const extras = {posLogQ: posLogQT, weights: weightsT};
+        if (sharedNegT) extras.shared = {emb: this.itemForward(sharedNegT), bias: this.itemBiasLookup(sharedNegT), logQ: sharedLogQT};
+        if (negT) extras.perRow = {emb: this.itemForward(negT, genreNegT), bias: this.itemBiasLookup(negT)};
+        rankLoss = inBatchSoftmaxLoss(uEmb, iPosEmb, iPosBias, extras);
       } else {
-        // BPR-style: need negative samples
-        if (!negIdx || negIdx.length !== B) {
-          // fallback: sample random negatives inside loss (not ideal) - here we pick random ints
-          // but we prefer passing negIdx in batch
-          console.warn('BPR requested but no negIdx provided; sampling random negatives.');
-        }
-        const negT = negIdx ? tf.tensor1d(negIdx, 'int32') : tf.randomUniform([B], 0, self.numItems, 'int32');
-        const iNegEmb = self.itemForward(negT, genreNegT); // [B,d]
-        const iNegBias = self.itemBiasLookup(negT); // [B,1]
-
-        const posScores = tf.add(self.scorePairwise(uEmb, iPosEmb), tf.add(uBias, iPosBias)); // [B,1]
-        const negScores = tf.add(self.scorePairwise(uEmb, iNegEmb), tf.add(uBias, iNegBias));     // [B,1]
-
-        // BPR loss = -log(sigmoid(pos - neg))
-        const x = tf.sub(posScores, negScores);
-        const losses = tf.neg(tf.log(tf.sigmoid(x).add(1e-8)));
-        const meanLoss = tf.mean(losses);
-
-        // cleanup
-        uEmb.dispose(); iPosEmb.dispose(); uNegEmb = null;
-        iNegEmb.dispose(); posScores.dispose(); negScores.dispose();
-        uBias.dispose(); iPosBias.dispose(); iNegBias.dispose();
-        negT.dispose();
-        return meanLoss;
+        const uBias = this.userBiasLookup(userT);       // [B,1]
+        const iNegEmb = this.itemForward(negT, genreNegT);
+        const iNegBias = this.itemBiasLookup(negT);
+        const posScores = tf.add(this.scorePairwise(uEmb, iPosEmb), tf.add(uBias, iPosBias)); // [B,1]
+        const negScores = tf.add(this.scorePairwise(uEmb, iNegEmb), tf.add(uBias, iNegBias)); // [B,1]
+        rankLoss = bprLoss(posScores, negScores, weightsT);
+      }
+      if (this.l2 > 0) {
+        const norms = tf.add(tf.mean(tf.sum(tf.square(uEmb), 1)), tf.mean(tf.sum(tf.square(iPosEmb), 1)));
+        rankLoss = tf.add(rankLoss, tf.mul(this.l2, norms));
       }
-    }, true);
+      const penalty = this.tablePenalty(userT, negT ? tf.concat([posT, negT]) : posT,
+        extra.batchRowsOnly || this.frequencyScaledL2);
+      if (penalty) rankLoss = tf.add(rankLoss, penalty);
+      if (!ratingsT) return rankLoss;
+      const mse = tf.losses.meanSquaredError(ratingsT, this.ratingForward(userT, posT, uEmb, iPosEmb));
+      return tf.add(rankLoss, tf.mul(this.ratingLossWeight, mse));
+    }, true, extra.varList || this.getTrainableVariables());
+    if (extra.batchRowsOnly) {
+      const itemRows = tf.concat([posT, negT, sharedNegT].filter(Boolean));
+      this.applyNormConstraint(userT, itemRows);
+      itemRows.dispose();
+    } else {
+      this.applyNormConstraint();
+    }
 
     // dispose temp tensors
     userT.dispose(); posT.dispose();
+    if (negT) negT.dispose();
+    tf.dispose([sharedNegT, posLogQT, sharedLogQT, weightsT, ratingsT].filter(Boolean));
     if (genrePosT) genrePosT.dispose();
     if (genreNegT) genreNegT.dispose();
 
-    const lossVal = lossScalar.dataSync ? lossScalar.dataSync()[0] : (await lossScalar.data())[0];
-    lossScalar.dispose();
-    return lossVal;
+    return readLoss(lossScalar);
+  }
+
+  // App-facing training step over plain index arrays.
+  // userArr/posArr: internal indices; useBPR selects the loss.
+  // optimizer: a tf.train optimizer dedicated to this model (Adam state is positional, so do not share it).
+  // sampling: this batch's negatives from a negative sampler ({negIdx?, extraNegIdx?, logQ?}, see trainer.js)
+  // targets: {weights?, ratings?} aligned with posArr (confidence weights, explicit ratings for the rating head)
+  async trainStepInBatch(userArr, posArr, optimizer = null, useBPR = false, sampling = {}, targets = {}) {
+    return this.trainStep(
+      { userIdx: Int32Array.from(userArr), posIdx: Int32Array.from(posArr),
+        negIdx: sampling.negIdx, extraNegIdx: sampling.extraNegIdx,
+        weights: targets.weights ? Float32Array.from(targets.weights) : null,
+        ratings: targets.ratings ? Float32Array.from(targets.ratings) : null },
+      { lossType: useBPR ? 'bpr' : 'inbatch', optimizer: optimizer || this.optimizer, logQ: sampling.logQ }
+    );
+  }
+
+  // Loss on held-out pairs without updating anything (validation loss): the ranking loss of trainStep, plus the
+  // rating MSE when the model has a rating head and ratings are given. No ID dropout, no L2 term; in-batch
+  // softmax uses the other pairs of each batch as negatives, BPR the given negIdx (uniform draws otherwise).
+  // Batches of batchSize are averaged like the training loss of an epoch.
+  async evaluateLoss(userArr, posArr, useBPR = false, {negIdx = null, ratings = null, batchSize = 256} = {}) {
+    let total = 0, batches = 0;
+    for (let start = 0; start < userArr.length; start += batchSize) {
+      const end = Math.min(userArr.length, start + batchSize);
+      if (end - start < 2) continue;
+      const lossScalar = tf.tidy(() => {
+        const userT = tf.tensor1d(Int32Array.from(userArr.slice(start, end)), 'int32');
+        const posT = tf.tensor1d(Int32Array.from(posArr.slice(start, end)), 'int32');
+        const uEmb = this.userForward(userT);
+        const iPosEmb = this.itemForward(posT);
+        const iPosBias = this.itemBiasLookup(posT);
+        let loss;
+        if (!useBPR) loss = inBatchSoftmaxLoss(uEmb, iPosEmb, iPosBias, {});
+        else {
+          const negT = negIdx
+            ? tf.tensor1d(Int32Array.from(negIdx.slice(start, end)), 'int32')
+            : tf.randomUniform([end - start], 0, this.numItems, 'int32');
+          const uBias = this.userBiasLookup(userT);
+          const posScores = tf.add(this.scorePairwise(uEmb, iPosEmb), tf.add(uBias, iPosBias));
+          const negScores = tf.add(this.scorePairwise(uEmb, this.itemForward(negT)), tf.add(uBias, this.itemBiasLookup(negT)));
+          loss = bprLoss(posScores, negScores, null);
+        }
+        if (!this.ratingHead || !ratings) return loss;
+        const ratingsT = tf.tensor1d(Float32Array.from(ratings.slice(start, end)));
+        const mse = tf.losses.meanSquaredError(ratingsT, this.ratingForward(userT, posT, uEmb, iPosEmb));
+        return tf.add(loss, tf.mul(this.ratingLossWeight, mse));
+      });
+      total += await readLoss(lossScalar);
+      batches++;
+    }
+    return batches ? total / batches : NaN;
+  }
+
+  // Rating head for index tensors userIdx/itemIdx [B] and their tower outputs [B,d] -> [B]
+  ratingForward(userIdx, itemIdx, uEmb, iEmb) {
+    const interaction = tf.mul(this.ratingScale, tf.sum(tf.mul(uEmb, iEmb), 1));
+    const biases = tf.add(gatherRows(this.ratingUserBias, userIdx), gatherRows(this.ratingItemBias, itemIdx)).reshape([-1]);
+    return tf.add(tf.add(interaction, biases), this.ratingMean);
+  }
+
+  // Predicted ratings of one user for the given items, clamped to the 1-5 scale -> Float32Array
+  async predictRatings(uIdx, itemIdxs) {
+    if (!this.ratingHead) throw new Error('This model was trained without a rating head');
+    const pred = tf.tidy(() => {
+      const userT = tf.fill([itemIdxs.length], uIdx, 'int32');
+      const itemT = tf.tensor1d(itemIdxs, 'int32');
+      return tf.clipByValue(this.ratingForward(userT, itemT, this.userForward(userT), this.itemForward(itemT)), 1, 5);
+    });
+    const out = await pred.data();
+    pred.dispose();
+    return out;
+  }
+
+  // User tower output for one internal user index -> tensor [1, d] (caller disposes)
+  async getUserEmbedding(uIdx) {
+    return tf.tidy(() => this.userForward(tf.tensor1d([uIdx], 'int32')));
+  }
+
+  // Item tower outputs for the given internal item indices -> tensor [n, d] (caller disposes)
+  async getItemEmbeddings(itemIdxs) {
+    return tf.tidy(() => this.itemForward(tf.tensor1d(itemIdxs, 'int32')));
+  }
+
+  // Scores of one user embedding [1,d] against every item -> tensor [numItems] (caller disposes)
+  async scoreAllItems(userEmb) {
+    return tf.tidy(() => {
+      const allItems = this.itemForward(tf.range(0, this.numItems, 1, 'int32')); // [N,d]
+      const logits = tf.matMul(userEmb.reshape([1, -1]), allItems, false, true); // [1,N]
+      return tf.add(logits, this.itemBias.reshape([1, -1])).reshape([-1]);
+    });
+  }
+
+  // Cold start: fit an embedding for a user who is not in the table, against the frozen item tower.
+  // itemIdxs: internal indices of items the user liked; weights: matching positive weights.
+  // Only the new [1, d] vector is optimized (full-catalogue softmax over the liked items + L2),
+  // so the model itself is unchanged. Returns a [1, d] tensor for scoreAllItems (caller disposes).
+  async inferUserEmbedding(itemIdxs, weights, {steps = 100, lr = 0.05, l2 = 1e-3} = {}) {
+    if (!itemIdxs.length) throw new Error('inferUserEmbedding needs at least one item');
+    const userVec = initVariable(tf.randomNormal([1, this.embDim], 0, 0.05));
+    const optimizer = tf.train.adam(lr);
+    const total = weights.reduce((a, b) => a + b, 0) || 1;
+    const idx = tf.tensor1d(itemIdxs, 'int32');
+    const w = tf.tensor1d(weights.map(x => x / total));
+    const allItems = tf.tidy(() => this.itemForward(tf.range(0, this.numItems, 1, 'int32'))); // [N,d]
+    const bias = this.itemBias.reshape([-1]);
+    try {
+      for (let step = 0; step < steps; step++) {
+        optimizer.minimize(() => {
+          const logits = tf.add(tf.matMul(userVec, allItems, false, true).reshape([-1]), bias);
+          const logProb = tf.gather(tf.logSoftmax(logits), idx);
+          return tf.add(tf.neg(tf.sum(tf.mul(logProb, w))), tf.mul(l2, tf.sum(tf.square(userVec))));
+        }, false, [userVec]);
+        if (step % 20 === 19) await tf.nextFrame();
+      }
+      return userVec.clone();
+    } finally {
+      tf.dispose([userVec, idx, w, allItems, bias]);
+      optimizer.dispose();
+    }
   }
 
   // Utility: compute scores vs all items for a given user embedding (batched to limit memory)
@@ -190,26 +621,281 @@ class TwoTowerModel {
     for (let start=0; start<N; start+=batchSize) {
       const end = Math.min(N, start+batchSize);
       const idx = tf.tensor1d(Array.from({length:end-start}, (_,i)=>i+start),'int32');
-      let itemPart = tf.gather(this.itemEmb, idx); // [b,d]
-      if (this.useMLP && genreMatrixAll) {
-        const genreSlice = tf.tensor2d(genreMatrixAll.slice(start, end)); // expects array of arrays
-        const concat = tf.concat([itemPart, genreSlice],1);
-        const h = tf.relu(tf.add(tf.matMul(concat, this.W1), this.b1));
-        const out = tf.add(tf.matMul(h, this.W2), this.b2); // [b,d]
-        itemPart.dispose();
-        concat.dispose(); h.dispose();
-        itemPart = out;
-        genreSlice.dispose();
-      }
+      const genreSlice = genreMatrixAll ? tf.tensor2d(genreMatrixAll.slice(start, end)) : null; // expects array of arrays
+      const itemPart = this.itemForward(idx, genreSlice); // [b,d]
       // dot: uEmb [1,d] x itemPart [b,d]^T => [1,b]
       const logits = tf.matMul(uEmb, itemPart, false, true); // [1,b]
-      const biasSlice = tf.gather(this.itemBias, idx).reshape([1, end-start]); // [1,b]
+      const biasSlice = gatherRows(this.itemBias, idx).reshape([1, end-start]); // [1,b]
       const withBias = tf.add(logits, biasSlice);
       const arr = await withBias.data();
       for (let i=0;i<arr.length;i++) scores[start+i]=arr[i];
       idx.dispose(); itemPart.dispose(); logits.dispose(); biasSlice.dispose(); withBias.dispose();
+      if (genreSlice) genreSlice.dispose();
     }
     uEmb.dispose();
     return scores;
   }
+
+  // Release all variables held by the model
+  dispose() {
+    this.getTrainableVariables().forEach(v => v.dispose());
+    this.optimizer.dispose();
+    if (this.itemGenres) this.itemGenres.dispose();
+    if (this.userDemo) this.userDemo.dispose();
+  }
+}
+
+// DeepRecModel: two MLP towers on top of ID embeddings.
+// - user tower: [userEmb | synthesized user features (avg rating, log count)] -> hidden -> embDim
+// - item tower: [itemEmb | genre flags] -> hidden -> embDim
+// - scoring: dot(userTower, itemTower) + itemBias
+// config: {numUsers, numItems, embDim, hidden, lr, dropout, useGenres, useUserFeat, itemMeta, userFeatArray}
+// dropout: rate applied to the hidden layer of both towers while training (0 = off)
+// Genres are attached after construction with setInternalItemGenres (aligned to internal item indices).
+
+class DeepRecModel {
+  constructor(config) {
+    this.numUsers = config.numUsers;
+    this.numItems = config.numItems;
+    this.embDim = config.embDim || 32;
+    this.hidden = config.hidden || 64;
+    this.lr = config.lr || 0.001;
+    this.dropout = config.dropout || 0;
+    this.useGenres = !!config.useGenres;
+    this.useUserFeat = !!config.useUserFeat;
+    this.itemMeta = config.itemMeta || null;
+    // userFeatArray: array (per internal user) of numeric feature arrays; may be (re)assigned later
+    this.userFeatArray = config.userFeatArray || null;
+    this.optimizer = tf.train.adam(this.lr);
+
+    this.userEmb = initVariable(tf.randomNormal([this.numUsers, this.embDim], 0, 0.05));
+    this.itemEmb = initVariable(tf.randomNormal([this.numItems, this.embDim], 0, 0.05));
+    this.itemBias = initVariable(tf.zeros([this.numItems, 1]));
+
+    // Side-feature tensors are built lazily (genres arrive via setInternalItemGenres)
+    this.itemGenres = null;
+    this.genreDim = 0;
+    this.userFeat = null;
+    this.userFeatSource = null;
+
+    // Tower weights: the item tower's input width depends on genreDim, so it is created on first use
+    this.userFeatDim = (this.useUserFeat && this.userFeatArray && this.userFeatArray.length) ? this.userFeatArray[0].length : 0;
+    this.userTowerVars = this.buildTowerVars(this.embDim + this.userFeatDim);
+    this.itemTowerVars = null;
+  }
+
+  // Two dense layers: inDim -> hidden (relu) -> embDim
+  buildTowerVars(inDim) {
+    const l1 = createDenseVars(inDim, this.hidden);
+    const l2 = createDenseVars(this.hidden, this.embDim);
+    return [l1.W, l1.b, l2.W, l2.b];
+  }
+
+  applyTower(x, towerVars, training = false) {
+    const [W1, b1, W2, b2] = towerVars;
+    let h = tf.relu(tf.add(tf.matMul(x, W1), b1));
+    if (training && this.dropout > 0) h = tf.dropout(h, this.dropout);
+    return tf.add(tf.matMul(h, W2), b2);
+  }
+
+  // genresArr: array of genre flag arrays aligned to internal item indices
+  setInternalItemGenres(genresArr) {
+    if (this.itemGenres) this.itemGenres.dispose();
+    this.genreDim = (this.useGenres && genresArr.length) ? genresArr[0].length : 0;
+    this.itemGenres = this.genreDim ? tf.tensor2d(genresArr, [this.numItems, this.genreDim], 'float32') : null;
+    if (this.itemTowerVars) this.itemTowerVars.forEach(v => v.dispose());
+    this.itemTowerVars = this.buildTowerVars(this.embDim + this.genreDim);
+  }
+
+  ensureItemTower() {
+    if (!this.itemTowerVars) this.itemTowerVars = this.buildTowerVars(this.embDim);
+  }
+
+  // User feature tensor [numUsers, userFeatDim]; rebuilt if userFeatArray was replaced
+  getUserFeatTensor() {
+    if (!this.userFeatDim || !this.userFeatArray) return null;
+    if (this.userFeatSource !== this.userFeatArray) {
+      if (this.userFeat) this.userFeat.dispose();
+      // keep(): this may first run inside optimizer.minimize's tidy scope
+      this.userFeat = tf.keep(tf.tensor2d(this.userFeatArray, [this.numUsers, this.userFeatDim], 'float32'));
+      this.userFeatSource = this.userFeatArray;
+    }
+    return this.userFeat;
+  }
+
+  // Trainable variables by name (tower layers as userTower0..3 / itemTower0..3)
+  getNamedVariables() {
+    this.ensureItemTower();
+    const vars = {userEmb: this.userEmb, itemEmb: this.itemEmb, itemBias: this.itemBias};
+    this.userTowerVars.forEach((v, i) => { vars['userTower' + i] = v; });
+    this.itemTowerVars.forEach((v, i) => { vars['itemTower' + i] = v; });
+    return vars;
+  }
+
+  getTrainableVariables() {
+    return Object.values(this.getNamedVariables());
+  }
+
+  // ID embedding and item bias tables (see TwoTowerModel.getEmbeddingVariables)
+  getEmbeddingVariables() {
+    return [this.userEmb, this.itemEmb, this.itemBias];
+  }
+
+  // Incremental updates: extend the ID tables like TwoTowerModel.grow; the tower weights are unchanged.
+  // extra: {itemGenres: genre rows of the new items (zeros if missing), userFeatArray: features of all users
+  // (ratings change the synthesized features of existing users too; without it new users get zero features)}
+  grow(numUsers, numItems, {itemGenres = null, userFeatArray = null} = {}) {
+    if (numUsers < this.numUsers || numItems < this.numItems) throw new Error('grow cannot remove users or items');
+    const normal = (shape) => tf.randomNormal(shape, 0, 0.05);
+    this.userEmb = growRows(this.userEmb, numUsers, normal);
+    this.itemEmb = growRows(this.itemEmb, numItems, normal);
+    this.itemBias = growRows(this.itemBias, numItems, tf.zeros);
+    if (this.itemGenres) {
+      this.itemGenres = growRows(this.itemGenres, numItems, (shape) => itemGenres ? tf.tensor(itemGenres, shape) : tf.zeros(shape));
+    }
+    if (this.userFeatDim) {
+      this.userFeatArray = userFeatArray || this.userFeatArray.concat(
+        Array.from({length: numUsers - this.numUsers}, () => new Array(this.userFeatDim).fill(0)));
+    }
+    this.numUsers = numUsers;
+    this.numItems = numItems;
+    this.optimizer.dispose();
+    this.optimizer = tf.train.adam(this.lr);
+  }
+
+  // Serializable snapshot, including the side features needed for scoring
+  async getState() {
+    const tensors = {};
+    if (this.itemGenres) tensors.itemGenres = this.itemGenres;
+    const userFeat = this.getUserFeatTensor();
+    if (userFeat) tensors.userFeat = userFeat;
+    return {
+      type: 'DeepRecModel',
+      config: {
+        numUsers: this.numUsers, numItems: this.numItems, embDim: this.embDim, hidden: this.hidden, lr: this.lr,
+        dropout: this.dropout, useGenres: this.useGenres, useUserFeat: this.useUserFeat
+      },
+      variables: await readTensors(this.getNamedVariables()),
+      tensors: await readTensors(tensors)
+    };
+  }
+
+  // Rebuild a model from getState() output (itemMeta is not persisted; pass it in if needed)
+  static fromState(state, itemMeta = null) {
+    const tensors = state.tensors || {};
+    const model = new DeepRecModel(Object.assign({}, state.config, {
+      itemMeta,
+      userFeatArray: tensors.userFeat ? snapshotToRows(tensors.userFeat) : null
+    }));
+    if (tensors.itemGenres) model.setInternalItemGenres(snapshotToRows(tensors.itemGenres));
+    assignTensors(model.getNamedVariables(), state.variables);
+    return model;
+  }
+
+  // userIdx: int32 tensor [B] -> [B, embDim] (training = true applies dropout)
+  userTower(userIdx, training = false) {
+    const feat = this.getUserFeatTensor();
+    return tf.tidy(() => {
+      const emb = gatherRows(this.userEmb, userIdx);
+      const x = feat ? tf.concat([emb, tf.gather(feat, userIdx)], 1) : emb;
+      return this.applyTower(x, this.userTowerVars, training);
+    });
+  }
+
+  // itemIdx: int32 tensor [B] -> [B, embDim] (training = true applies dropout)
+  itemTower(itemIdx, training = false) {
+    this.ensureItemTower();
+    return tf.tidy(() => {
+      const emb = gatherRows(this.itemEmb, itemIdx);
+      const x = this.itemGenres ? tf.concat([emb, tf.gather(this.itemGenres, itemIdx)], 1) : emb;
+      return this.applyTower(x, this.itemTowerVars, training);
+    });
+  }
+
+  // Training step over plain index arrays; same losses as TwoTowerModel (in-batch softmax or BPR)
+  // weights: optional per-positive confidence weights aligned with posArr (see weightedMean)
+  // varList: the variables to update (default: all trainable variables)
+  async trainStep(userArr, posArr, optimizer = null, useBPR = false, weights = null, varList = null) {
+    const opt = optimizer || this.optimizer;
+    const B = userArr.length;
+    const userT = tf.tensor1d(Int32Array.from(userArr), 'int32');
+    const posT = tf.tensor1d(Int32Array.from(posArr), 'int32');
+    const negT = useBPR ? tf.tensor1d(sampleUniformNegatives(B, this.numItems), 'int32') : null;
+    const weightsT = weights ? tf.tensor1d(Float32Array.from(weights)) : null;
+
+    const lossScalar = opt.minimize(() => {
+      const uOut = this.userTower(userT, true);
+      const posOut = this.itemTower(posT, true);
+      const posBias = gatherRows(this.itemBias, posT); // [B,1]
+      if (!useBPR) return inBatchSoftmaxLoss(uOut, posOut, posBias, {weights: weightsT});
+
+      const negOut = this.itemTower(negT, true);
+      const negBias = gatherRows(this.itemBias, negT);
+      const posScores = tf.add(tf.sum(tf.mul(uOut, posOut), 1, true), posBias);
+      const negScores = tf.add(tf.sum(tf.mul(uOut, negOut), 1, true), negBias);
+      return bprLoss(posScores, negScores, weightsT);
+    }, true, varList || this.getTrainableVariables());
+
+    userT.dispose(); posT.dispose();
+    if (negT) negT.dispose();
+    if (weightsT) weightsT.dispose();
+    return readLoss(lossScalar);
+  }
+
+  // Loss on held-out pairs without updating anything (see TwoTowerModel.evaluateLoss)
+  async evaluateLoss(userArr, posArr, useBPR = false, {negIdx = null, batchSize = 256} = {}) {
+    let total = 0, batches = 0;
+    for (let start = 0; start < userArr.length; start += batchSize) {
+      const end = Math.min(userArr.length, start + batchSize);
+      if (end - start < 2) continue;
+      const lossScalar = tf.tidy(() => {
+        const userT = tf.tensor1d(Int32Array.from(userArr.slice(start, end)), 'int32');
+        const posT = tf.tensor1d(Int32Array.from(posArr.slice(start, end)), 'int32');
+        const uOut = this.userTower(userT);
+        const posOut = this.itemTower(posT);
+        const posBias = gatherRows(this.itemBias, posT);
+        if (!useBPR) return inBatchSoftmaxLoss(uOut, posOut, posBias, {});
+        const negT = tf.tensor1d(negIdx ? Int32Array.from(negIdx.slice(start, end)) : sampleUniformNegatives(end - start, this.numItems), 'int32');
+        const posScores = tf.add(tf.sum(tf.mul(uOut, posOut), 1, true), posBias);
+        const negScores = tf.add(tf.sum(tf.mul(uOut, this.itemTower(negT)), 1, true), gatherRows(this.itemBias, negT));
+        return bprLoss(posScores, negScores);
+      });
+      total += await readLoss(lossScalar);
+      batches++;
+    }
+    return batches ? total / batches : NaN;
+  }
+
+  // User tower output -> tensor [1, d] (caller disposes)
+  async getUserEmbedding(uIdx) {
+    return tf.tidy(() => this.userTower(tf.tensor1d([uIdx], 'int32')));
+  }
+
+  // Item tower outputs -> tensor [n, d] (caller disposes)
+  async getItemEmbeddings(itemIdxs) {
+    return tf.tidy(() => this.itemTower(tf.tensor1d(itemIdxs, 'int32')));
+  }
+
+  // Scores of a user tower output [1,d] against all items -> tensor [numItems] (caller disposes)
+  async scoreAllItems(userEmb) {
+    return tf.tidy(() => {
+      const allItems = this.itemTower(tf.range(0, this.numItems, 1, 'int32'));
+      const logits = tf.matMul(userEmb.reshape([1, -1]), allItems, false, true);
+      return tf.add(logits, this.itemBias.reshape([1, -1])).reshape([-1]);
+    });
+  }
+
+  dispose() {
+    this.getTrainableVariables().forEach(v => v.dispose());
+    this.optimizer.dispose();
+    if (this.itemGenres) this.itemGenres.dispose();
+    if (this.userFeat) this.userFeat.dispose();
+  }
+}
+
+// Node (CLI) export; in the browser these stay globals
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = {
+    TwoTowerModel, DeepRecModel, initVariable, growRows, createDenseVars, gatherRows, readTensors, assignTensors, snapshotToRows
+  };
 }